@@ -1,8 +1,37 @@
 // display.js - ST7735S Display Driver for Waveshare 1.44" LCD
 // Uses persistent Python server to eliminate subprocess lag
+//
+// Protocol with display_server.py: one JSON object per line each way.
+//   -> { id, action, ... }    <- { id, status: 'ok' } or { id, status: 'error', message }
+//   <- { event: 'ready' } once the panel is set up (other output is ignored)
+// Commands go one at a time. A queued frame (anything that redraws the whole screen) is dropped
+// once a newer frame is queued, and so is a queued backlight change; their promises resolve
+// with { status: 'superseded' }. If the server dies or stops answering it is restarted, and the
+// backlight level and last frame are sent again so the screen comes back as it was. Meanwhile
+// commands are kept for then but resolve at once ({ status: 'deferred' }): a capture never
+// waits on the display.
+// options.server (or PIXEL_DISPLAY_SERVER) = 'mock' runs display_server_mock.js instead.
 
 const { spawn } = require('child_process');
-const fs = require('fs');
+const path = require('path');
+
+const FRAME_ACTIONS = ['clear', 'text', 'number', 'image', 'color', 'menu'];
+const READY_TIMEOUT_MS = 5000;
+const COMMAND_TIMEOUT_MS = 1500;
+const IMAGE_TIMEOUT_MS = 5000; // opening and scaling a photo is slow on a Pi Zero
+// Unanswered commands in a row before the server counts as hung and is restarted
+const MAX_TIMEOUTS = 2;
+const RESTART_MIN_MS = 1000;
+const RESTART_MAX_MS = 30000;
+// A server that stayed up this long is restarted without waiting for the backoff
+const STABLE_MS = 60000;
+
+const SERVERS = {
+  python: () => ['python3', [path.join(__dirname, 'display_server.py')]],
+  mock: () => [process.execPath, [path.join(__dirname, 'display_server_mock.js')]],
+};
+
+const isFrame = (command) => FRAME_ACTIONS.includes(command.action);
 
 class ST7735SDisplay {
   constructor(options = {}) {
@@ -13,44 +42,35 @@ class ST7735SDisplay {
     this.dcPin = options.dcPin || 25; // Data/Command pin
     this.rstPin = options.rstPin || 27; // Reset pin
     this.csPin = options.csPin || 8; // Chip select pin
+    this.server = options.server || process.env.PIXEL_DISPLAY_SERVER || 'python';
     this.initialized = false;
     this.serverProcess = null;
+    this.ready = false;
+    this.buffer = '';
+    this.queue = []; // [{ command, resolve, reject }]
+    this.inFlight = null; // { id, command, resolve, reject, timer }
+    this.nextId = 1;
+    this.timeouts = 0;
+    this.restarts = 0;
+    this.restartDelay = RESTART_MIN_MS;
+    this.restartTimer = null;
+    this.startedAt = 0;
+    // What the screen shows, for replay after a restart
+    this.lastFrame = null;
+    this.backlight = null;
   }
 
   async init() {
+    console.log('Initializing ST7735S display...');
     try {
-      console.log('Initializing ST7735S display...');
-      
-      // Start persistent Python display server
-      this.serverProcess = spawn('python3', [__dirname + '/display_server.py'], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      
-      // Wait for server to be ready
-      await new Promise((resolve, reject) => {
-        this.serverProcess.stdout.on('data', (data) => {
-          if (data.toString().includes('Display server ready')) {
-            resolve();
-          }
-        });
-        
-        this.serverProcess.stderr.on('data', (data) => {
-          reject(new Error(data.toString()));
-        });
-        
-        this.serverProcess.on('error', (error) => {
-          reject(error);
-        });
-        
-        // Timeout after 5 seconds
-        setTimeout(() => reject(new Error('Display server startup timeout')), 5000);
-      });
-      
+      if (!SERVERS[this.server]) throw new Error(`Unknown display server "${this.server}" (expected ${Object.keys(SERVERS).join(', ')})`);
+      await this.startServer();
       this.initialized = true;
-      console.log('ST7735S display initialized');
+      this.pump();
+      console.log(`ST7735S display initialized${this.server === 'mock' ? ' (mock server)' : ''}`);
       return true;
     } catch (error) {
-      console.error('Display initialization failed:', error);
+      console.error('Display initialization failed:', error.message || error);
       this.initialized = false;
       if (this.serverProcess) {
         this.serverProcess.kill();
@@ -60,68 +80,244 @@ class ST7735SDisplay {
     }
   }
 
+  // Resolves once the server says it is ready; stderr output is only logged
+  startServer() {
+    const [cmd, args] = SERVERS[this.server]();
+    const child = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    this.serverProcess = child;
+    this.ready = false;
+    this.buffer = '';
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('Display server startup timeout'));
+        child.kill('SIGKILL');
+      }, READY_TIMEOUT_MS);
+      this.onReady = () => {
+        clearTimeout(timer);
+        this.startedAt = Date.now();
+        resolve();
+      };
+
+      let gone = false;
+      const onGone = (reason) => {
+        clearTimeout(timer);
+        reject(new Error(`Display server ${reason} before it was ready`));
+        if (gone) return;
+        gone = true;
+        this.onExit(child, reason);
+      };
+      child.on('error', (e) => onGone(`failed (${e.message})`));
+      child.on('exit', (code, signal) => onGone(`exited (${signal || code})`));
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => this.onData(chunk));
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => {
+        for (const line of chunk.split('\n')) if (line.trim()) console.warn('Display server:', line.trim());
+      });
+      child.stdin.on('error', () => {}); // EPIPE when it died; 'exit' deals with that
+    });
+  }
+
+  // stdout arrives in arbitrary chunks: only whole lines are parsed
+  onData(chunk) {
+    this.buffer += chunk;
+    let nl;
+    while ((nl = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, nl).trim();
+      this.buffer = this.buffer.slice(nl + 1);
+      if (!line) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        console.log('Display server:', line);
+        continue;
+      }
+      if (message.event === 'ready') {
+        this.ready = true;
+        // Nothing is sent before startServer() settles: a restart replays the screen first
+        if (this.onReady) this.onReady();
+      } else if (message.id !== undefined) {
+        this.onResponse(message);
+      }
+    }
+  }
+
+  onResponse(message) {
+    const job = this.inFlight;
+    // An answer that comes after its timeout belongs to nobody any more
+    if (!job || job.id !== message.id) return;
+    clearTimeout(job.timer);
+    this.inFlight = null;
+    this.timeouts = 0;
+    if (message.status === 'ok') {
+      if (isFrame(job.command)) this.lastFrame = job.command;
+      else if (job.command.action === 'backlight') this.backlight = job.command.level;
+      job.resolve(message);
+    } else {
+      job.reject(new Error(message.message || 'Display command failed'));
+    }
+    this.pump();
+  }
+
+  onTimeout(id) {
+    const job = this.inFlight;
+    if (!job || job.id !== id) return;
+    this.inFlight = null;
+    job.reject(new Error('Display command timeout'));
+    if (++this.timeouts >= MAX_TIMEOUTS) {
+      this.timeouts = 0;
+      console.error('Display server not answering; restarting it');
+      if (this.serverProcess) this.serverProcess.kill('SIGKILL');
+      return;
+    }
+    this.pump();
+  }
+
+  onExit(child, reason) {
+    if (child !== this.serverProcess) return;
+    this.serverProcess = null;
+    this.ready = false;
+    if (this.inFlight) {
+      clearTimeout(this.inFlight.timer);
+      this.inFlight.reject(new Error(`Display server ${reason}`));
+      this.inFlight = null;
+    }
+    this.deferQueued();
+    if (this.initialized) this.scheduleRestart(reason);
+  }
+
+  scheduleRestart(reason) {
+    if (this.restartTimer) return;
+    const delay = Date.now() - this.startedAt > STABLE_MS ? RESTART_MIN_MS : this.restartDelay;
+    this.restartDelay = Math.min(delay * 2, RESTART_MAX_MS);
+    console.error(`Display server ${reason}; restarting in ${delay / 1000}s`);
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      try {
+        await this.startServer();
+        this.restarts++;
+        console.log('Display server restarted');
+        this.replay();
+      } catch (e) {
+        console.error('Display server restart failed:', e.message);
+      }
+    }, delay);
+  }
+
+  // Queued commands stay for after the restart (coalescing keeps that to a frame and a backlight)
+  deferQueued() {
+    const noop = () => {};
+    for (const job of this.queue) {
+      job.resolve({ status: 'deferred' });
+      job.resolve = noop;
+      job.reject = noop;
+    }
+  }
+
+  // Puts the backlight and the last frame back in front of whatever is queued
+  replay() {
+    const pending = this.queue.map(q => q.command);
+    if (this.inFlight) pending.push(this.inFlight.command);
+    const replayed = [];
+    if (this.backlight !== null && !pending.some(c => c.action === 'backlight')) {
+      replayed.push({ action: 'backlight', level: this.backlight });
+    }
+    if (this.lastFrame && !pending.some(isFrame)) replayed.push(this.lastFrame);
+    const noop = () => {};
+    this.queue.unshift(...replayed.map(command => ({ command, resolve: noop, reject: noop })));
+    this.pump();
+  }
+
+  pump() {
+    if (this.inFlight || !this.ready || !this.serverProcess || !this.queue.length) return;
+    const job = this.queue.shift();
+    const id = this.nextId++;
+    const ms = job.command.action === 'image' ? IMAGE_TIMEOUT_MS : COMMAND_TIMEOUT_MS;
+    this.inFlight = { ...job, id, timer: setTimeout(() => this.onTimeout(id), ms) };
+    this.serverProcess.stdin.write(JSON.stringify({ id, ...job.command }) + '\n');
+  }
+
   async clear() {
-    if (!this.initialized || !this.serverProcess) return;
+    if (!this.initialized) return;
     await this.sendCommand({ action: 'clear' });
   }
 
-  async showText(text, size = 'small', color = 'white') {
-    if (!this.initialized || !this.serverProcess) return;
-    await this.sendCommand({ action: 'text', text, size, color });
+  // caption is an optional small line drawn above the main text
+  async showText(text, size = 'small', color = 'white', caption = '') {
+    if (!this.initialized) return;
+    await this.sendCommand({ action: 'text', text, size, color, caption });
   }
 
-  async showNumber(number, size = 'large') {
-    if (!this.initialized || !this.serverProcess) return;
-    await this.sendCommand({ action: 'number', number, size, color: 'white' });
+  async showNumber(number, size = 'large', caption = '') {
+    if (!this.initialized) return;
+    await this.sendCommand({ action: 'number', number, size, color: 'white', caption });
   }
 
-  async showImage(imagePath) {
-    if (!this.initialized || !this.serverProcess) return;
-    await this.sendCommand({ action: 'image', imagePath });
+  // lines: optional overlay text drawn on a dark band at the bottom of the photo
+  async showImage(imagePath, lines = []) {
+    if (!this.initialized) return;
+    await this.sendCommand({ action: 'image', imagePath, lines });
   }
 
   async showColor(r, g, b) {
-    if (!this.initialized || !this.serverProcess) return;
+    if (!this.initialized) return;
     await this.sendCommand({ action: 'color', r, g, b });
   }
 
-  async sendCommand(command) {
+  // rows: [{ label, value }]; selected row is highlighted (amber while editing)
+  async showMenu(title, rows, selected = 0, editing = false) {
+    if (!this.initialized) return;
+    await this.sendCommand({ action: 'menu', title, rows, selected, editing });
+  }
+
+  // 0 turns the backlight off, 1-100 dims it
+  async setBrightness(level) {
+    if (!this.initialized) return;
+    await this.sendCommand({ action: 'backlight', level });
+  }
+
+  // The Python display server is up and answering (it is being restarted otherwise)
+  isRunning() {
+    return !!this.serverProcess && this.ready;
+  }
+
+  sendCommand(command) {
     return new Promise((resolve, reject) => {
-      if (!this.serverProcess) {
+      if (!this.initialized) {
         reject(new Error('Display server not running'));
         return;
       }
-
-      const timeout = setTimeout(() => {
-        reject(new Error('Display command timeout'));
-      }, 1000);
-
-      const onData = (data) => {
-        try {
-          const response = JSON.parse(data.toString());
-          clearTimeout(timeout);
-          this.serverProcess.stdout.removeListener('data', onData);
-          if (response.status === 'ok') {
-            resolve(response);
-          } else {
-            reject(new Error(response.message || 'Display command failed'));
-          }
-        } catch (e) {
-          // Ignore non-JSON output
-        }
-      };
-
-      this.serverProcess.stdout.on('data', onData);
-      this.serverProcess.stdin.write(JSON.stringify(command) + '\n');
+      // Only the newest frame (and backlight level) still waiting is worth drawing
+      const supersedes = (queued) => (isFrame(command) ? isFrame(queued) : queued.action === 'backlight' && command.action === 'backlight');
+      this.queue = this.queue.filter((q) => {
+        if (!supersedes(q.command)) return true;
+        q.resolve({ status: 'superseded' });
+        return false;
+      });
+      this.queue.push({ command, resolve, reject });
+      if (this.ready) this.pump();
+      else this.deferQueued();
     });
   }
 
   async cleanup() {
+    this.initialized = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    const closed = new Error('Display closed');
+    if (this.inFlight) {
+      clearTimeout(this.inFlight.timer);
+      this.inFlight.reject(closed);
+      this.inFlight = null;
+    }
+    for (const job of this.queue.splice(0)) job.reject(closed);
     if (this.serverProcess) {
       this.serverProcess.kill();
       this.serverProcess = null;
     }
-    this.initialized = false;
   }
 }
 
@@ -2,6 +2,12 @@
 """
 Persistent display server for ST7735S display
 Communicates with Node.js via stdin/stdout to eliminate subprocess lag
+
+Protocol: one JSON object per line each way (see display.js)
+  in:  {"id": 7, "action": "text", ...}
+  out: {"id": 7, "status": "ok"} or {"id": 7, "status": "error", "message": "..."}
+  out: {"event": "ready"} once, when the panel is set up
+Anything else on stdout is ignored by display.js, so keep prints on stderr.
 """
 
 import sys
@@ -32,10 +38,16 @@ try:
         font_large = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf", 50)
         font_medium = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf", 30)
         font_small = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf", 20)
+        font_caption = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf", 12)
+        font_overlay = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf", 10)
+        font_menu = ImageFont.truetype("/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf", 11)
     except:
         font_large = ImageFont.load_default()
         font_medium = ImageFont.load_default()
         font_small = ImageFont.load_default()
+        font_caption = ImageFont.load_default()
+        font_overlay = ImageFont.load_default()
+        font_menu = ImageFont.load_default()
     
     # Color mapping
     def get_color(color_name):
@@ -55,13 +67,18 @@ try:
         img = Image.new("RGB", (WIDTH, HEIGHT), (0, 0, 0))
         disp.display(img)
     
-    def show_text(text, size='medium', color='white'):
+    def show_text(text, size='medium', color='white', caption=''):
         font = font_large if size == 'large' else font_medium if size == 'medium' else font_small
         color_rgb = get_color(color)
         
         img = Image.new("RGB", (WIDTH, HEIGHT), (0, 0, 0))
         draw = ImageDraw.Draw(img)
         
+        # Optional small caption line at the top
+        if caption:
+            cw, ch = draw.textsize(caption, font=font_caption)
+            draw.text(((WIDTH - cw) // 2, 4), caption, font=font_caption, fill=(200, 200, 200))
+        
         # Calculate text position
         tw, th = draw.textsize(text, font=font)
         x = (WIDTH - tw) // 2
@@ -70,51 +87,118 @@ try:
         
         disp.display(img)
     
-    def show_number(number, size='large', color='white'):
-        show_text(str(number), size, color)
+    def show_number(number, size='large', color='white', caption=''):
+        show_text(str(number), size, color, caption)
     
     def show_color(r, g, b):
         img = Image.new("RGB", (WIDTH, HEIGHT), (r, g, b))
         disp.display(img)
     
-    def show_image(image_path):
+    # A missing or broken file raises, so the caller gets an error answer
+    def show_image(image_path, lines=None):
+        # Fit without distorting, letterboxed on black
+        src = Image.open(image_path).convert("RGB")
+        src.thumbnail((WIDTH, HEIGHT))
+        img = Image.new("RGB", (WIDTH, HEIGHT), (0, 0, 0))
+        img.paste(src, ((WIDTH - src.width) // 2, (HEIGHT - src.height) // 2))
+        
+        # Overlay lines (filename, time, upload status) on a dark band at the bottom
+        if lines:
+            line_h = 11
+            band_h = line_h * len(lines) + 2
+            band = Image.new("RGB", (WIDTH, band_h), (0, 0, 0))
+            img.paste(Image.blend(img.crop((0, HEIGHT - band_h, WIDTH, HEIGHT)), band, 0.6), (0, HEIGHT - band_h))
+            draw = ImageDraw.Draw(img)
+            for i, line in enumerate(lines):
+                draw.text((2, HEIGHT - band_h + 1 + i * line_h), str(line), font=font_overlay, fill=(255, 255, 255))
+        
+        disp.display(img)
+    
+    def show_menu(title, rows, selected=0, editing=False):
+        img = Image.new("RGB", (WIDTH, HEIGHT), (0, 0, 0))
+        draw = ImageDraw.Draw(img)
+        
+        # Title bar
+        draw.rectangle((0, 0, WIDTH, 15), fill=(60, 60, 60))
+        draw.text((3, 1), str(title), font=font_caption, fill=(255, 255, 255))
+        
+        # Rows: selected one highlighted, amber while a value is being edited
+        row_h = 18
+        for i, row in enumerate(rows or []):
+            y = 18 + i * row_h
+            fg = (255, 255, 255)
+            if i == selected:
+                draw.rectangle((0, y - 1, WIDTH, y + row_h - 3), fill=(255, 200, 0) if editing else (255, 255, 255))
+                fg = (0, 0, 0)
+            draw.text((4, y), str(row.get('label', '')), font=font_menu, fill=fg)
+            value = str(row.get('value', ''))
+            if value:
+                vw, vh = draw.textsize(value, font=font_menu)
+                draw.text((WIDTH - vw - 4, y), value, font=font_menu, fill=fg)
+        
+        disp.display(img)
+    
+    # PWM on the backlight pin when RPi.GPIO is around, plain on/off otherwise
+    backlight_pwm = None
+    
+    def set_backlight(level):
+        global backlight_pwm
+        level = max(0, min(100, int(level)))
         try:
-            img = Image.open(image_path)
-            img = img.resize((WIDTH, HEIGHT))
-            disp.display(img)
-        except Exception as e:
-            print(f"Error loading image: {e}", file=sys.stderr)
+            import RPi.GPIO as GPIO
+            if backlight_pwm is None:
+                GPIO.setmode(GPIO.BCM)
+                GPIO.setup(BL_PIN, GPIO.OUT)
+                backlight_pwm = GPIO.PWM(BL_PIN, 1000)
+                backlight_pwm.start(level)
+            else:
+                backlight_pwm.ChangeDutyCycle(level)
+        except Exception:
+            disp.set_backlight(level > 0)
+    
+    def reply(message):
+        print(json.dumps(message), flush=True)
     
     # Main server loop
-    print("Display server ready", flush=True)
+    reply({"event": "ready"})
     
     while True:
+        line = sys.stdin.readline()
+        if not line:
+            break
+        if not line.strip():
+            continue
+        
+        request_id = None
         try:
-            line = sys.stdin.readline()
-            if not line:
-                break
-                
-            command = json.loads(line.strip())
+            command = json.loads(line)
+            request_id = command.get('id')
             action = command.get('action')
             
             if action == 'clear':
                 clear_display()
             elif action == 'text':
-                show_text(command.get('text', ''), command.get('size', 'medium'), command.get('color', 'white'))
+                show_text(command.get('text', ''), command.get('size', 'medium'), command.get('color', 'white'), command.get('caption', ''))
             elif action == 'number':
-                show_number(command.get('number', 0), command.get('size', 'large'), command.get('color', 'white'))
+                show_number(command.get('number', 0), command.get('size', 'large'), command.get('color', 'white'), command.get('caption', ''))
             elif action == 'color':
                 show_color(command.get('r', 0), command.get('g', 0), command.get('b', 0))
             elif action == 'image':
-                show_image(command.get('imagePath', ''))
+                show_image(command.get('imagePath', ''), command.get('lines'))
+            elif action == 'menu':
+                show_menu(command.get('title', ''), command.get('rows'), command.get('selected', 0), command.get('editing', False))
+            elif action == 'backlight':
+                set_backlight(command.get('level', 100))
+            else:
+                raise ValueError(f"Unknown action: {action}")
             
             # Send acknowledgment
-            print(json.dumps({"status": "ok"}), flush=True)
+            reply({"id": request_id, "status": "ok"})
             
         except json.JSONDecodeError:
-            print(json.dumps({"status": "error", "message": "Invalid JSON"}), flush=True)
+            reply({"id": None, "status": "error", "message": "Invalid JSON"})
         except Exception as e:
-            print(json.dumps({"status": "error", "message": str(e)}), flush=True)
+            reply({"id": request_id, "status": "error", "message": str(e)})
 
 except ImportError as e:
     print(f"ST7735 library not found: {e}", file=sys.stderr)
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// display_server_mock.js - Stand-in for display_server.py: same protocol, no panel, no Python
+// Used by display.js with PIXEL_DISPLAY_SERVER=mock (e.g. PIXEL_HAL=sim PIXEL_DISPLAY=st7735s).
+// It can misbehave on purpose, to exercise the driver:
+//   MOCK_DISPLAY_LOG=<file>        append every command received, one JSON line each
+//   MOCK_DISPLAY_DELAY_MS=<ms>     answer each command this late
+//   MOCK_DISPLAY_CRASH_AFTER=<n>   exit after receiving the n-th command (without answering it)
+//   MOCK_DISPLAY_HANG_AFTER=<n>    stop answering from the n-th command on
+//   MOCK_DISPLAY_CHUNKED=1         write answers in small pieces, as a slow pipe would
+// Like the real server it chats on stderr at startup, and it prints a non-JSON line on stdout.
+
+const fs = require('fs');
+const readline = require('readline');
+
+const ACTIONS = ['clear', 'text', 'number', 'image', 'color', 'menu', 'backlight'];
+const env = (name) => Number(process.env[name]) || 0;
+const delayMs = env('MOCK_DISPLAY_DELAY_MS');
+const crashAfter = env('MOCK_DISPLAY_CRASH_AFTER');
+const hangAfter = env('MOCK_DISPLAY_HANG_AFTER');
+const chunked = process.env.MOCK_DISPLAY_CHUNKED === '1';
+const logFile = process.env.MOCK_DISPLAY_LOG || null;
+
+let received = 0;
+
+function write(message) {
+  const text = JSON.stringify(message) + '\n';
+  if (!chunked) return process.stdout.write(text);
+  for (let i = 0; i < text.length; i += 5) {
+    const piece = text.slice(i, i + 5);
+    setTimeout(() => process.stdout.write(piece), 1 + i);
+  }
+}
+
+function handle(command) {
+  if (!ACTIONS.includes(command.action)) throw new Error(`Unknown action: ${command.action}`);
+  if (command.action === 'image' && !fs.existsSync(command.imagePath || '')) {
+    throw new Error(`No such file: ${command.imagePath}`);
+  }
+}
+
+process.stderr.write('mock display: starting (no panel)\n');
+process.stdout.write('mock display server v1\n');
+write({ event: 'ready' });
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (!line.trim()) return;
+  received++;
+  let command = null;
+  let reply;
+  try {
+    command = JSON.parse(line);
+    if (logFile) fs.appendFileSync(logFile, JSON.stringify({ pid: process.pid, ...command }) + '\n');
+    handle(command);
+    reply = { id: command.id, status: 'ok' };
+  } catch (e) {
+    reply = { id: command?.id ?? null, status: 'error', message: e instanceof SyntaxError ? 'Invalid JSON' : e.message };
+  }
+  if (crashAfter && received >= crashAfter) process.exit(3);
+  if (hangAfter && received >= hangAfter) return;
+  if (delayMs) setTimeout(() => write(reply), delayMs);
+  else write(reply);
+});
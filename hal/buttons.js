@@ -0,0 +1,75 @@
+// hal/buttons.js - Button backends
+// "pigpio"  : real GPIO via pigpio (default, needs sudo on the Pi)
+// "virtual" : in-process stand-in for pigpio's Gpio; press it over HTTP or stdin
+
+const { EventEmitter } = require("events");
+const readline = require("readline");
+
+// Same surface the app uses from pigpio's Gpio: constructor(gpio, opts),
+// glitchFilter, enableAlert/disableAlert, digitalRead and "alert" events.
+class VirtualGpio extends EventEmitter {
+  constructor(gpio, options = {}) {
+    super();
+    this.gpio = gpio;
+    this.options = options;
+    this.level = 1; // pulled up = released
+    this.alertEnabled = !!options.alert;
+    VirtualGpio.pins.set(gpio, this);
+  }
+
+  glitchFilter(_steadyUs) {}
+  enableAlert() { this.alertEnabled = true; }
+  disableAlert() { this.alertEnabled = false; }
+  digitalRead() { return this.level; }
+  digitalWrite(level) { this.level = level; }
+
+  setLevel(level) {
+    this.level = level;
+    if (this.alertEnabled) this.emit("alert", level, Date.now() * 1000);
+  }
+
+  // Falling edge, hold, rising edge (active-low like the real wiring)
+  press(holdMs = 50) {
+    this.setLevel(0);
+    return new Promise((resolve) => setTimeout(() => {
+      this.setLevel(1);
+      resolve();
+    }, holdMs));
+  }
+
+  static press(gpio, holdMs) {
+    const pin = VirtualGpio.pins.get(Number(gpio));
+    if (!pin) throw new Error(`No virtual button on GPIO ${gpio}`);
+    return pin.press(holdMs);
+  }
+}
+VirtualGpio.INPUT = 0;
+VirtualGpio.OUTPUT = 1;
+VirtualGpio.PUD_OFF = 0;
+VirtualGpio.PUD_DOWN = 1;
+VirtualGpio.PUD_UP = 2;
+VirtualGpio.pins = new Map();
+
+// Reads "press <gpio> [holdMs]" lines from stdin
+function attachStdin(input = process.stdin) {
+  const rl = readline.createInterface({ input });
+  rl.on("line", (line) => {
+    const [cmd, gpio, hold] = line.trim().split(/\s+/);
+    if (cmd !== "press") return;
+    try {
+      VirtualGpio.press(gpio, hold ? Number(hold) : undefined);
+    } catch (e) {
+      console.error(e.message);
+    }
+  });
+  console.log("Virtual buttons: type `press <gpio> [holdMs]` to press.");
+  return rl;
+}
+
+function load(name) {
+  if (name === "pigpio") return require("pigpio").Gpio;
+  if (name === "virtual") return VirtualGpio;
+  throw new Error(`Unknown button backend "${name}" (expected pigpio, virtual)`);
+}
+
+module.exports = { load, attachStdin, VirtualGpio };
@@ -0,0 +1,225 @@
+// hal/camera.js - Camera backends
+// "rpicam"  : real Pi camera via rpicam-still / rpicam-vid (default)
+// "fixture" : serves frames from a fixture directory, round-robin
+//
+// capture(outFile) writes one full-size still and resolves with what the sensor reported
+// ({ exposureUs, analogueGain, digitalGain }, fields null when unknown). openPreview(opts) starts a
+// low-res live feed and returns a Preview that emits "frame" (Buffer, contentType).
+// detect() resolves with { detected, model } (for GET /status).
+
+const { EventEmitter } = require("events");
+const { spawn, execFile } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const { safeExec } = require("../lib/exec");
+
+const FIXTURE_EXTS = [".jpg", ".jpeg", ".png"];
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+// rpicam metadata JSON (ExposureTime in µs, gains as floats) -> capture() result
+function exposureFrom(meta) {
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+  return {
+    exposureUs: num(meta?.ExposureTime),
+    analogueGain: num(meta?.AnalogueGain),
+    digitalGain: num(meta?.DigitalGain),
+  };
+}
+
+// Live feed handle shared by both backends; stop() resolves once the camera is free again
+class Preview extends EventEmitter {
+  constructor(stopFn) {
+    super();
+    this.stopFn = stopFn;
+    this.stopped = false;
+  }
+
+  stop() {
+    if (this.stopped) return Promise.resolve();
+    this.stopped = true;
+    return this.stopFn();
+  }
+}
+
+class RpicamCamera {
+  constructor(options = {}) {
+    this.name = "rpicam";
+    this.bin = options.bin || "rpicam-still";
+    this.vidBin = options.vidBin || "rpicam-vid";
+  }
+
+  // Writes a full-size JPEG to outFile; exposure and gain come from --metadata
+  async capture(outFile) {
+    const metaFile = `${outFile}.meta.json`;
+    try {
+      await safeExec(`${this.bin} -o "${outFile}" --metadata "${metaFile}" --metadata-format json`);
+      try {
+        return exposureFrom(JSON.parse(await fs.promises.readFile(metaFile, "utf8")));
+      } catch {
+        return exposureFrom(null);
+      }
+    } finally {
+      fs.promises.rm(metaFile, { force: true }).catch(() => {});
+    }
+  }
+
+  // Lists the sensors libcamera sees; throws when rpicam-still is not installed (not a Pi)
+  async detect() {
+    let out;
+    try {
+      const { stdout, stderr } = await safeExec(`${this.bin} --list-cameras`, { timeout: 10000 });
+      out = stdout + stderr;
+    } catch (e) {
+      if (e.cause?.code === 127) throw Object.assign(new Error(`${this.bin} not installed`), { code: "ENOENT" });
+      return { detected: false, model: null, error: e.message.trim() };
+    }
+    // "0 : imx708 [4608x2592 10-bit RGGB] (/base/soc/i2c0mux/i2c@1/imx708@1a)"
+    const m = /^\s*\d+\s*:\s*(\S+)/m.exec(out);
+    return { detected: !!m, model: m ? m[1] : null };
+  }
+
+  // MJPEG from rpicam-vid with saturation 0, so frames come out of the ISP already gray
+  openPreview({ width = 320, height = 240, fps = 8 } = {}) {
+    const args = [
+      "-t", "0", "-n",
+      "--codec", "mjpeg",
+      "--width", String(width), "--height", String(height),
+      "--framerate", String(fps),
+      "--saturation", "0",
+      "-o", "-",
+    ];
+    const child = spawn(this.vidBin, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const exited = new Promise((resolve) => child.once("close", resolve));
+    const preview = new Preview(() => {
+      child.kill("SIGTERM");
+      return exited;
+    });
+
+    // Split the byte stream into whole JPEGs on the SOI/EOI markers
+    let buf = Buffer.alloc(0);
+    child.stdout.on("data", (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      for (;;) {
+        const start = buf.indexOf(JPEG_SOI);
+        if (start < 0) { buf = Buffer.alloc(0); break; }
+        const end = buf.indexOf(JPEG_EOI, start + 2);
+        if (end < 0) { buf = buf.subarray(start); break; }
+        preview.emit("frame", buf.subarray(start, end + 2), "image/jpeg");
+        buf = buf.subarray(end + 2);
+      }
+    });
+    child.stderr.on("data", () => {}); // rpicam-vid is chatty; keep the pipe drained
+    child.on("error", (e) => preview.emit("error", e));
+    child.on("close", (code) => {
+      if (!preview.stopped) preview.emit("error", new Error(`${this.vidBin} exited (${code})`));
+      preview.emit("close");
+    });
+    return preview;
+  }
+}
+
+class FixtureCamera {
+  constructor(options = {}) {
+    this.name = "fixture";
+    this.dir = options.dir || process.env.PIXEL_FIXTURE_DIR || path.join(__dirname, "..", "fixtures", "camera");
+    // Used when the fixture directory is missing or empty so a fresh checkout still "captures"
+    this.fallback = options.fallback || path.join(__dirname, "..", "logo.png");
+    this.convertBin = options.convertBin || "convert"; // ImageMagick, for the preview frames
+    this.index = 0;
+  }
+
+  frames() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter(n => FIXTURE_EXTS.includes(path.extname(n).toLowerCase()))
+        .sort()
+        .map(n => path.join(this.dir, n));
+    } catch {
+      return [];
+    }
+  }
+
+  nextFrame() {
+    const list = this.frames();
+    if (!list.length) return this.fallback;
+    const file = list[this.index % list.length];
+    this.index++;
+    return file;
+  }
+
+  async detect() {
+    return { detected: true, model: "fixture", frames: this.frames().length };
+  }
+
+  // An optional <frame>.json next to a fixture holds rpicam-style metadata for it
+  async capture(outFile) {
+    const src = this.nextFrame();
+    console.log("Fixture camera:", path.basename(src));
+    await fs.promises.copyFile(src, outFile);
+    try {
+      return exposureFrom(JSON.parse(await fs.promises.readFile(`${src}.json`, "utf8")));
+    } catch {
+      return exposureFrom(null);
+    }
+  }
+
+  // Fixture files at the requested rate, each put through ImageMagick once (cropped to the preview
+  // size, gray, JPEG) so the feed looks like rpicam-vid's. A frame that cannot be converted ends
+  // the preview with an error, as a dying rpicam-vid would.
+  openPreview({ width = 320, height = 240, fps = 8 } = {}) {
+    const list = this.frames();
+    const files = list.length ? list : [this.fallback];
+    const cache = new Map(); // file -> Promise<Buffer>
+    const grayFrame = (file) => {
+      if (!cache.has(file)) {
+        const size = `${width}x${height}`;
+        const args = [file, "-resize", `${size}^`, "-gravity", "center", "-extent", size, "-colorspace", "Gray", "-quality", "70", "jpg:-"];
+        cache.set(file, new Promise((resolve, reject) => {
+          execFile(this.convertBin, args, { encoding: "buffer", maxBuffer: 8 * 1024 * 1024, timeout: 10000 }, (err, stdout, stderr) => {
+            if (err) reject(new Error(`${this.convertBin} failed for ${path.basename(file)}: ${String(stderr || err.message).trim()}`));
+            else resolve(stdout);
+          });
+        }));
+      }
+      return cache.get(file);
+    };
+
+    let i = 0;
+    let converting = false;
+    const timer = setInterval(async () => {
+      if (converting) return; // still on the previous frame: skip this tick, as a slow camera would
+      converting = true;
+      try {
+        const frame = await grayFrame(files[i++ % files.length]);
+        if (!preview.stopped) preview.emit("frame", frame, "image/jpeg");
+      } catch (e) {
+        clearInterval(timer);
+        if (preview.stopped) return;
+        preview.emit("error", e);
+        preview.emit("close");
+      } finally {
+        converting = false;
+      }
+    }, Math.round(1000 / fps));
+    const preview = new Preview(async () => {
+      clearInterval(timer);
+      preview.emit("close");
+    });
+    return preview;
+  }
+}
+
+const BACKENDS = {
+  rpicam: RpicamCamera,
+  fixture: FixtureCamera,
+};
+
+function create(name, options = {}) {
+  const Backend = BACKENDS[name];
+  if (!Backend) throw new Error(`Unknown camera backend "${name}" (expected ${Object.keys(BACKENDS).join(", ")})`);
+  return new Backend(options);
+}
+
+module.exports = { create, RpicamCamera, FixtureCamera };
@@ -0,0 +1,98 @@
+// hal/display.js - Display backends
+// "st7735s" : Waveshare 1.44" LCD via display_server.py (default;
+//             PIXEL_DISPLAY_SERVER=mock swaps in display_server_mock.js, no panel needed)
+// "ssd1306" : 128x64 I²C OLED
+// "virtual" : framebuffer stand-in that records every frame it is asked to draw
+
+const fs = require("fs");
+const ST7735SDisplay = require("../display");
+const SSD1306Display = require("../oled");
+
+const MAX_FRAMES = 500;
+
+// Mirrors the real drivers' public methods so callers cannot tell the difference
+class VirtualDisplay {
+  constructor(options = {}) {
+    this.width = options.width || 128;
+    this.height = options.height || 128;
+    this.rotation = options.rotation || 0;
+    this.initialized = false;
+    this.frames = [];
+    this.seq = 0;
+    // Optional JSONL log of every frame; the in-memory list keeps only the newest MAX_FRAMES
+    this.framesFile = options.framesFile || process.env.PIXEL_FRAMES_FILE || null;
+  }
+
+  async init() {
+    this.initialized = true;
+    console.log("Virtual display initialized");
+    return true;
+  }
+
+  record(frame) {
+    const entry = { seq: ++this.seq, ts: Date.now(), ...frame };
+    this.frames.push(entry);
+    if (this.frames.length > MAX_FRAMES) this.frames.shift();
+    if (this.framesFile) {
+      try { fs.appendFileSync(this.framesFile, JSON.stringify(entry) + "\n"); } catch {}
+    }
+    return entry;
+  }
+
+  lastFrame() {
+    return this.frames[this.frames.length - 1] || null;
+  }
+
+  async clear() {
+    if (!this.initialized) return;
+    this.record({ action: "clear" });
+  }
+
+  async showText(text, size = "small", color = "white", caption = "") {
+    if (!this.initialized) return;
+    this.record({ action: "text", text, size, color, ...(caption ? { caption } : {}) });
+  }
+
+  async showNumber(number, size = "large", caption = "") {
+    if (!this.initialized) return;
+    this.record({ action: "number", number, size, color: "white", ...(caption ? { caption } : {}) });
+  }
+
+  async showImage(imagePath, lines = []) {
+    if (!this.initialized) return;
+    this.record({ action: "image", imagePath, lines });
+  }
+
+  async showColor(r, g, b) {
+    if (!this.initialized) return;
+    this.record({ action: "color", r, g, b });
+  }
+
+  async showMenu(title, rows, selected = 0, editing = false) {
+    if (!this.initialized) return;
+    this.record({ action: "menu", title, rows, selected, editing });
+  }
+
+  async setBrightness(level) {
+    if (!this.initialized) return;
+    this.record({ action: "backlight", level });
+  }
+
+  async cleanup() {
+    this.initialized = false;
+  }
+}
+
+const BACKENDS = {
+  st7735s: ST7735SDisplay,
+  ssd1306: SSD1306Display,
+  virtual: VirtualDisplay,
+};
+
+function create(name, options = {}) {
+  const Backend = BACKENDS[name];
+  if (!Backend) throw new Error(`Unknown display backend "${name}" (expected ${Object.keys(BACKENDS).join(", ")})`);
+  return new Backend(options);
+}
+
+module.exports = { create, VirtualDisplay };
@@ -0,0 +1,69 @@
+// hal/index.js - Hardware abstraction layer
+// Real Pi hardware is the default (the display driver comes from the profile).
+// PIXEL_HAL=sim swaps every part for a simulated one; PIXEL_CAMERA /
+// PIXEL_BUTTONS / PIXEL_DISPLAY pick per part.
+//
+//   PIXEL_HAL=sim node pixel.js
+//   curl -X POST localhost:3000/hal/buttons/13/press
+//   curl localhost:3000/hal/display/frames
+
+const camera = require("./camera");
+const buttons = require("./buttons");
+const display = require("./display");
+
+function resolveBackends(options = {}) {
+  const sim = (options.hal || process.env.PIXEL_HAL) === "sim";
+  return {
+    camera: options.camera || process.env.PIXEL_CAMERA || (sim ? "fixture" : "rpicam"),
+    buttons: options.buttons || process.env.PIXEL_BUTTONS || (sim ? "virtual" : "pigpio"),
+    display: options.display || process.env.PIXEL_DISPLAY || (sim ? "virtual" : options.displayDriver || "st7735s"),
+  };
+}
+
+function createHardware(options = {}) {
+  const backends = resolveBackends(options);
+  const hw = {
+    backends,
+    camera: camera.create(backends.camera, options.cameraOptions),
+    Gpio: buttons.load(backends.buttons),
+    displays: [],
+    createDisplay(displayOptions = {}) {
+      const d = display.create(backends.display, displayOptions);
+      hw.displays.push(d);
+      return d;
+    },
+  };
+  console.log(`HAL: camera=${backends.camera} buttons=${backends.buttons} display=${backends.display}`);
+  return hw;
+}
+
+// Test hooks for the simulated backends; no-op on real hardware
+function mountRoutes(app, hw) {
+  if (hw.backends.buttons === "virtual") {
+    app.post("/hal/buttons/:gpio/press", async (req, res) => {
+      try {
+        const holdMs = req.query.holdMs ? Number(req.query.holdMs) : undefined;
+        await buttons.VirtualGpio.press(req.params.gpio, holdMs);
+        res.json({ ok: true });
+      } catch (e) {
+        res.status(404).json({ ok: false, error: e.message });
+      }
+    });
+  }
+  if (hw.backends.display === "virtual") {
+    app.get("/hal/display/frames", (req, res) => {
+      const since = Number(req.query.since || 0);
+      const frames = hw.displays.flatMap(d => d.frames || []).filter(f => f.seq > since);
+      res.json({ ok: true, frames });
+    });
+  }
+}
+
+function attachStdin(hw) {
+  if (hw.backends.buttons === "virtual") {
+    return buttons.attachStdin();
+  }
+  return null;
+}
+
+module.exports = { createHardware, resolveBackends, mountRoutes, attachStdin };
@@ -0,0 +1,95 @@
+// lib/archive/ans104.js - Signed Arweave data items (ANS-104), built here rather than inside
+// the Turbo SDK so the uploader knows the item's ID before sending it and can check that
+// the ID Turbo answers with is the item it signed.
+// Layout: sig type (2) | signature (512) | owner (512) | target flag | anchor flag |
+//         tag count (8) | tag bytes length (8) | Avro tags | data
+const crypto = require("crypto");
+
+const SIGNATURE_TYPE = 1; // Arweave RSA-PSS 4096
+const MAX_TAGS = 128;
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const sha384 = (...parts) => crypto.createHash("sha384").update(Buffer.concat(parts)).digest();
+
+// Arweave deep hash over a list of byte blobs
+function deepHash(chunks) {
+  const blob = (data) => sha384(sha384(Buffer.from(`blob${data.length}`)), sha384(data));
+  return chunks.reduce((acc, chunk) => sha384(acc, blob(chunk)), sha384(Buffer.from(`list${chunks.length}`)));
+}
+
+// Avro zig-zag varint (non-negative numbers only here)
+function avroLong(n) {
+  const out = [];
+  let v = n * 2;
+  do {
+    let byte = v % 128;
+    v = Math.floor(v / 128);
+    if (v > 0) byte |= 0x80;
+    out.push(byte);
+  } while (v > 0);
+  return Buffer.from(out);
+}
+
+// [{ name, value }] -> Avro array of { name: bytes, value: bytes }
+function encodeTags(tags) {
+  if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+  if (!tags.length) return Buffer.alloc(0);
+  const parts = [avroLong(tags.length)];
+  for (const { name, value } of tags) {
+    for (const s of [name, value]) {
+      const bytes = Buffer.from(String(s), "utf8");
+      if (!bytes.length) throw new Error(`Empty tag ${name ? "value" : "name"}`);
+      parts.push(avroLong(bytes.length), bytes);
+    }
+  }
+  parts.push(avroLong(0));
+  return Buffer.concat(parts);
+}
+
+const signatureData = ({ owner, tagBytes, data }) => deepHash([
+  Buffer.from("dataitem"),
+  Buffer.from("1"),
+  Buffer.from(String(SIGNATURE_TYPE)),
+  owner,
+  Buffer.alloc(0), // target
+  Buffer.alloc(0), // anchor
+  tagBytes,
+  data,
+]);
+
+// jwk: the wallet; data: Buffer. Returns { id, bytes } with id = base64url(sha256(signature)).
+function createDataItem({ jwk, data, tags }) {
+  const owner = Buffer.from(jwk.n, "base64url");
+  const tagBytes = encodeTags(tags);
+  const key = crypto.createPrivateKey({ key: jwk, format: "jwk" });
+  const signature = crypto.sign("sha256", signatureData({ owner, tagBytes, data }), { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING });
+
+  const head = Buffer.alloc(2);
+  head.writeUInt16LE(SIGNATURE_TYPE, 0);
+  const counts = Buffer.alloc(16);
+  counts.writeBigUInt64LE(BigInt(tags.length), 0);
+  counts.writeBigUInt64LE(BigInt(tagBytes.length), 8);
+  const bytes = Buffer.concat([head, signature, owner, Buffer.from([0, 0]), counts, tagBytes, data]);
+  return { id: b64url(crypto.createHash("sha256").update(signature).digest()), bytes };
+}
+
+// Parses and checks a data item: signature valid for its owner; returns { id, owner, data }
+function verifyDataItem(bytes) {
+  if (bytes.readUInt16LE(0) !== SIGNATURE_TYPE) throw new Error("Not an Arweave-signed data item");
+  const signature = bytes.subarray(2, 514);
+  const owner = bytes.subarray(514, 1026);
+  if (bytes[1026] !== 0 || bytes[1027] !== 0) throw new Error("Target/anchor not supported");
+  const tagBytesLength = Number(bytes.readBigUInt64LE(1036));
+  const tagBytes = bytes.subarray(1044, 1044 + tagBytesLength);
+  const data = bytes.subarray(1044 + tagBytesLength);
+  const key = crypto.createPublicKey({ key: { kty: "RSA", n: b64url(owner), e: "AQAB" }, format: "jwk" });
+  const ok = crypto.verify("sha256", signatureData({ owner, tagBytes, data }), {
+    key,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO,
+  }, signature);
+  if (!ok) throw new Error("Data item signature does not verify");
+  return { id: b64url(crypto.createHash("sha256").update(signature).digest()), owner: b64url(owner), data };
+}
+
+module.exports = { createDataItem, verifyDataItem, encodeTags, deepHash };
@@ -0,0 +1,68 @@
+// lib/archive/http.js - Minimal HTTP client for the S3 and WebDAV backends
+// Streams a file as the request body with an exact Content-Length (fetch cannot do that
+// without buffering), and reads the (small) response body as text; downloads stream.
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+
+const TIMEOUT_MS = 60000;
+
+// body: null, a Buffer, or { file } to stream from disk -> { status, headers, text }
+function request(url, { method = "GET", headers = {}, body = null, timeoutMs = TIMEOUT_MS } = {}) {
+  const u = new URL(url);
+  const lib = u.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = lib.request(u, { method, headers, timeout: timeoutMs }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString("utf8") }));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(new Error(`${method} ${u.host} timed out`)));
+    req.on("error", reject);
+    if (body?.file) {
+      const src = fs.createReadStream(body.file);
+      src.on("error", (e) => req.destroy(e));
+      src.pipe(req);
+    } else {
+      req.end(body || undefined);
+    }
+  });
+}
+
+// GET whose body is handed over as a stream -> { status, headers, stream }
+function openStream(url, { headers = {}, timeoutMs = TIMEOUT_MS } = {}) {
+  const u = new URL(url);
+  const lib = u.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = lib.request(u, { method: "GET", headers, timeout: timeoutMs }, (res) => {
+      resolve({ status: res.statusCode, headers: res.headers, stream: res });
+    });
+    req.on("timeout", () => req.destroy(new Error(`GET ${u.host} timed out`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// Reads a failed streamed response into the { status, text } shape describeFailure takes
+async function drainFailure({ status, stream }) {
+  const chunks = [];
+  for await (const c of stream) chunks.push(c);
+  return { status, text: Buffer.concat(chunks).toString("utf8") };
+}
+
+// "<Error><Code>..</Code><Message>..</Message>" (S3) or the first line of anything else
+function describeFailure(res) {
+  const code = /<Code>([^<]*)<\/Code>/.exec(res.text)?.[1];
+  const msg = /<Message>([^<]*)<\/Message>/.exec(res.text)?.[1];
+  const detail = code ? [code, msg].filter(Boolean).join(": ") : res.text.split("\n")[0].slice(0, 200);
+  return `HTTP ${res.status}${detail ? ` (${detail})` : ""}`;
+}
+
+// Joins a base URL and path segments, encoding each segment
+function joinUrl(base, ...segments) {
+  const parts = segments.flatMap(s => String(s).split("/")).filter(Boolean).map(encodeURIComponent);
+  return base.replace(/\/+$/, "") + "/" + parts.join("/");
+}
+
+module.exports = { request, openStream, drainFailure, describeFailure, joinUrl };
@@ -0,0 +1,46 @@
+// lib/archive/index.js - Archive backends: where uploaded photos are kept
+// "turbo"  : Arweave through ArDrive Turbo (default)
+// "local"  : a directory, e.g. a mounted NAS share (a mountpoint, or marked with .pixel-archive)
+// "s3"     : an S3-compatible bucket
+// "webdav" : a WebDAV share
+// Each enabled backend (config "archive") gets its own copy; priority 1 is tried first and
+// its URL is the one the gallery links to. A backend is { init(), upload(file) -> { url, id? } },
+// plus optionally download(url) -> readable, for copies that need its credentials to read,
+// and quote(sizes) -> { costs, balance } (winc) for a backend that charges per upload.
+//
+//   node test/standin.js s3 9000 /tmp/bucket      (local stand-in servers for testing)
+
+const BACKENDS = {
+  turbo: require("./turbo"),
+  local: require("./local"),
+  s3: require("./s3"),
+  webdav: require("./webdav"),
+};
+
+// settings: config "archive" section. Throws listing every problem, like an invalid config.
+function createArchive({ settings, rootDir, wallet }) {
+  const errors = [];
+  const enabled = Object.entries(settings)
+    .filter(([, s]) => s.enabled)
+    .sort(([, a], [, b]) => a.priority - b.priority);
+  for (const [name, s] of enabled) {
+    for (const key of BACKENDS[name].REQUIRED) {
+      if (s[key] == null) errors.push(`archive.${name}.${key} is required when archive.${name} is enabled`);
+    }
+  }
+  if (errors.length) throw new Error(`Invalid archive configuration:\n  - ${errors.join("\n  - ")}`);
+
+  const backends = enabled.map(([name, s]) => ({
+    name,
+    priority: s.priority,
+    ...BACKENDS[name].create(s, { rootDir, wallet }),
+  }));
+  console.log(`Archive: ${backends.map(b => b.name).join(", ") || "none"}`);
+  return {
+    backends,
+    names: backends.map(b => b.name),
+    get: (name) => backends.find(b => b.name === name),
+  };
+}
+
+module.exports = { createArchive, BACKEND_NAMES: Object.keys(BACKENDS) };
@@ -0,0 +1,56 @@
+// lib/archive/local.js - Copy into a directory (a USB disk, or a NAS share mounted on the Pi)
+// The directory is never created here. It must be a mountpoint, or hold a .pixel-archive file
+// (for a folder further down a mounted disk): an unmounted share leaves an empty directory on the
+// SD card, and a copy made there would let the uploader delete the only other copy.
+const path = require("path");
+const fs = require("fs");
+const { pathToFileURL, fileURLToPath } = require("url");
+const { joinUrl } = require("./http");
+const { fileSha256 } = require("../hash");
+
+const MARKER = ".pixel-archive";
+
+function create({ dir, publicUrl }, { rootDir }) {
+  const target = path.resolve(rootDir, dir);
+
+  // Runs before every upload, so a share that went away is caught before the copy
+  async function init() {
+    const st = await fs.promises.stat(target).catch(() => null);
+    if (!st?.isDirectory()) throw new Error(`${target} does not exist (is the disk mounted?)`);
+    const parent = await fs.promises.stat(path.dirname(target));
+    const mountpoint = st.dev !== parent.dev;
+    if (!mountpoint && !fs.existsSync(path.join(target, MARKER))) {
+      throw new Error(`${target} is not a mountpoint and has no ${MARKER} file (is the disk mounted?)`);
+    }
+    await fs.promises.access(target, fs.constants.W_OK);
+  }
+
+  // The copy is read back and hashed before it takes its final name
+  async function upload({ filename, filePath, sha256 }) {
+    const dest = path.join(target, filename);
+    const tmp = `${dest}.part`;
+    try {
+      await fs.promises.copyFile(filePath, tmp);
+      if (await fileSha256(tmp) !== sha256) throw new Error("Copy does not match the original (SHA-256)");
+      await fs.promises.rename(tmp, dest);
+    } catch (e) {
+      await fs.promises.rm(tmp, { force: true });
+      throw e;
+    }
+    return { url: publicUrl ? joinUrl(publicUrl, filename) : pathToFileURL(dest).href };
+  }
+
+  async function download(url) {
+    if (!url.startsWith("file:")) return null;
+    const file = fileURLToPath(url);
+    await fs.promises.access(file, fs.constants.R_OK);
+    return fs.createReadStream(file);
+  }
+
+  return { init, upload, download };
+}
+
+// Required settings when enabled
+const REQUIRED = ["dir"];
+
+module.exports = { create, REQUIRED, MARKER };
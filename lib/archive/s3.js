@@ -0,0 +1,79 @@
+// lib/archive/s3.js - S3-compatible bucket (AWS, MinIO, Backblaze B2, Wasabi, ...)
+// Plain PUT Object signed with AWS Signature Version 4; no SDK needed.
+const crypto = require("crypto");
+const { sha256 } = require("../hash");
+const { request, openStream, drainFailure, describeFailure, joinUrl } = require("./http");
+
+const EMPTY_SHA256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it in the canonical URI ("/" kept between segments)
+const encodePath = (p) => p.split("/").map(s =>
+  encodeURIComponent(decodeURIComponent(s)).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase())).join("/");
+
+// headers must include host, x-amz-date and x-amz-content-sha256; all of them are signed.
+// Returns the Authorization header value.
+function signV4({ method, url, headers, accessKeyId, secretAccessKey, region, service = "s3" }) {
+  const u = new URL(url);
+  const amzDate = headers["x-amz-date"];
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const query = [...u.searchParams].map(([k, v]) => [encodeURIComponent(k), encodeURIComponent(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([k, v]) => `${k}=${v}`).join("&");
+  const canonical = [
+    method,
+    encodePath(u.pathname),
+    query,
+    names.map(n => `${n}:${lower[n]}\n`).join(""),
+    names.join(";"),
+    lower["x-amz-content-sha256"],
+  ].join("\n");
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+  const key = [amzDate.slice(0, 8), region, service, "aws4_request"].reduce(hmac, "AWS4" + secretAccessKey);
+  const signature = crypto.createHmac("sha256", key).update(toSign).digest("hex");
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`;
+}
+
+function create({ endpoint, region, bucket, prefix, pathStyle, accessKeyId, secretAccessKey, publicUrl }) {
+  const base = new URL(endpoint);
+  const objectUrl = (key) => pathStyle
+    ? joinUrl(base.href, bucket, key)
+    : joinUrl(`${base.protocol}//${bucket}.${base.host}${base.pathname}`, key);
+  const amzDate = () => new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+  async function init() {}
+
+  // S3 checks the body against x-amz-content-sha256 and refuses a mismatch, so a 200 is a verified copy
+  async function upload({ filename, filePath, size, type, sha256: hash }) {
+    const key = `${prefix}${filename}`;
+    const url = objectUrl(key);
+    const headers = {
+      host: new URL(url).host,
+      "content-length": String(size),
+      "content-type": type,
+      "x-amz-content-sha256": hash,
+      "x-amz-date": amzDate(),
+    };
+    headers.authorization = signV4({ method: "PUT", url, headers, accessKeyId, secretAccessKey, region });
+    const res = await request(url, { method: "PUT", headers, body: { file: filePath } });
+    if (res.status !== 200) throw new Error(`S3 PUT failed: ${describeFailure(res)}`);
+    return { id: String(res.headers.etag || "").replace(/"/g, "") || null, url: publicUrl ? joinUrl(publicUrl, key) : url };
+  }
+
+  // Readable for an object in this bucket (null for any other URL, so credentials stay here)
+  async function download(url) {
+    if (!url.startsWith(objectUrl(prefix))) return null;
+    const headers = { host: new URL(url).host, "x-amz-content-sha256": EMPTY_SHA256, "x-amz-date": amzDate() };
+    headers.authorization = signV4({ method: "GET", url, headers, accessKeyId, secretAccessKey, region });
+    const res = await openStream(url, { headers });
+    if (res.status !== 200) throw new Error(`S3 GET failed: ${describeFailure(await drainFailure(res))}`);
+    return res.stream;
+  }
+
+  return { init, upload, download };
+}
+
+const REQUIRED = ["endpoint", "bucket", "accessKeyId", "secretAccessKey"];
+
+module.exports = { create, REQUIRED, signV4 };
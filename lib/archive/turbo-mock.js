@@ -0,0 +1,41 @@
+// lib/archive/turbo-mock.js - Offline stand-in for the Turbo SDK client (PIXEL_TURBO=mock)
+// Has the methods the turbo backend uses and behaves like the service in the ways that matter:
+// items are checked, the first 100 KiB of an item are free, the rest is charged per byte, and
+// an upload the balance cannot cover is refused. Nothing is stored.
+//   PIXEL_TURBO=mock PIXEL_TURBO_MOCK_WINC=5000000000 PIXEL_HAL=sim node pixel.js
+const crypto = require("crypto");
+const { verifyDataItem } = require("./ans104");
+
+const FREE_BYTES = 100 * 1024;
+
+function createMockTurbo({ winc = "1000000000000", wincPerByte = "20000" } = {}) {
+  let balance = BigInt(winc);
+  const perByte = BigInt(wincPerByte);
+  const costOf = (bytes) => (bytes <= FREE_BYTES ? 0n : BigInt(bytes) * perByte);
+
+  return {
+    async getBalance() {
+      const w = String(balance);
+      return { winc: w, controlledWinc: w, effectiveBalance: w, receivedApprovals: [], givenApprovals: [] };
+    },
+
+    async getUploadCosts({ bytes }) {
+      return bytes.map(b => ({ winc: String(costOf(b)), adjustments: [], fees: [] }));
+    },
+
+    async uploadSignedDataItem({ dataItemStreamFactory, dataItemSizeFactory }) {
+      const chunks = [];
+      for await (const c of dataItemStreamFactory()) chunks.push(c);
+      const bytes = Buffer.concat(chunks);
+      if (bytes.length !== dataItemSizeFactory()) throw new Error("Data item size does not match");
+      const { id, owner } = verifyDataItem(bytes);
+      const cost = costOf(bytes.length);
+      if (cost > balance) throw new Error("Insufficient balance (402)");
+      balance -= cost;
+      const address = crypto.createHash("sha256").update(Buffer.from(owner, "base64url")).digest("base64url");
+      return { id, owner: address, winc: String(cost), dataCaches: ["arweave.net"], fastFinalityIndexes: ["arweave.net"] };
+    },
+  };
+}
+
+module.exports = { createMockTurbo };
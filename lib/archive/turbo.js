@@ -0,0 +1,78 @@
+// lib/archive/turbo.js - Arweave through ArDrive Turbo (pays with the wallet's Turbo credits)
+// The data item is signed here (lib/archive/ans104.js) and checked before the upload counts:
+// Turbo must answer with the ID of that exact item, and the item must carry the file's bytes.
+// PIXEL_TURBO=mock swaps the SDK client for lib/archive/turbo-mock.js (no network, no credits).
+const fs = require("fs");
+const { Readable } = require("stream");
+const { createDataItem, verifyDataItem } = require("./ans104");
+const { createMockTurbo } = require("./turbo-mock");
+const { sha256 } = require("../hash");
+
+// A data item is the file plus its header (1044 bytes) and tags; this leaves room for the tags
+const ITEM_OVERHEAD = 1044 + 2048;
+
+function create(_settings, { wallet }) {
+  let turbo = null;
+
+  // The SDK client never sees the key: items are signed here, so it can stay unauthenticated
+  async function client() {
+    if (turbo) return turbo;
+    if (process.env.PIXEL_TURBO === "mock") {
+      turbo = createMockTurbo({ winc: process.env.PIXEL_TURBO_MOCK_WINC, wincPerByte: process.env.PIXEL_TURBO_MOCK_WINC_PER_BYTE });
+      console.log("Turbo: mock client (offline)");
+      return turbo;
+    }
+    const { TurboFactory } = await import("@ardrive/turbo-sdk");
+    turbo = TurboFactory.unauthenticated();
+    return turbo;
+  }
+
+  function walletAddress() {
+    const address = wallet.address();
+    if (!address) throw new Error("No wallet keystore (run `node lib/wallet.js migrate`)");
+    return address;
+  }
+
+  // Needs an unlocked wallet; a failure is retried later by the uploader
+  async function init() {
+    walletAddress();
+    if (!wallet.isUnlocked()) throw new Error("Wallet is locked");
+    await client();
+  }
+
+  // Price of uploading files of these sizes, and what the wallet can spend (winc, as BigInt);
+  // works while the wallet is locked
+  async function quote(sizes) {
+    const address = walletAddress();
+    await client();
+    const [balance, prices] = await Promise.all([
+      turbo.getBalance(address),
+      sizes.length ? turbo.getUploadCosts({ bytes: sizes.map(n => n + ITEM_OVERHEAD) }) : [],
+    ]);
+    return { costs: prices.map(p => BigInt(p.winc)), balance: BigInt(balance.effectiveBalance ?? balance.winc) };
+  }
+
+  async function upload({ filePath, sha256: expected, tags }) {
+    const data = await fs.promises.readFile(filePath);
+    if (sha256(data) !== expected) throw new Error("File changed while it was being uploaded");
+    const address = walletAddress();
+    const item = createDataItem({ jwk: wallet.getJwk(), data, tags });
+    const check = verifyDataItem(item.bytes);
+    if (check.id !== item.id || sha256(check.data) !== expected) throw new Error("Signed data item does not hold the file");
+
+    const result = await turbo.uploadSignedDataItem({
+      dataItemStreamFactory: () => Readable.from(item.bytes),
+      dataItemSizeFactory: () => item.bytes.length,
+    });
+    if (result.id !== item.id) throw new Error(`Turbo answered with ID ${result.id}, expected ${item.id}`);
+    if (result.owner && result.owner !== address) throw new Error(`Turbo recorded owner ${result.owner}, expected ${address}`);
+    return { id: item.id, url: `https://arweave.net/${item.id}` };
+  }
+
+  return { init, upload, quote };
+}
+
+// The wallet is the keystore at paths.keystore (lib/wallet.js)
+const REQUIRED = [];
+
+module.exports = { create, REQUIRED };
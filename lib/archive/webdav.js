@@ -0,0 +1,45 @@
+// lib/archive/webdav.js - WebDAV share (Nextcloud, ownCloud, Apache mod_dav, a NAS, ...)
+const crypto = require("crypto");
+const { request, openStream, drainFailure, describeFailure, joinUrl } = require("./http");
+
+function create({ url, username, password, publicUrl }) {
+  const auth = username ? { authorization: "Basic " + Buffer.from(`${username}:${password || ""}`).toString("base64") } : {};
+
+  async function init() {}
+
+  async function upload({ filename, filePath, size, type, sha256 }) {
+    const target = joinUrl(url, filename);
+    const put = () => request(target, {
+      method: "PUT",
+      headers: { ...auth, "content-type": type, "content-length": String(size) },
+      body: { file: filePath },
+    });
+    let res = await put();
+    // 409: the folder does not exist yet; create it once and try again
+    if (res.status === 409) {
+      const mk = await request(url.replace(/\/*$/, "/"), { method: "MKCOL", headers: auth });
+      if (![201, 405].includes(mk.status)) throw new Error(`WebDAV MKCOL failed: ${describeFailure(mk)}`);
+      res = await put();
+    }
+    if (![200, 201, 204].includes(res.status)) throw new Error(`WebDAV PUT failed: ${describeFailure(res)}`);
+    // WebDAV has no checksum of its own: read the copy back
+    const copy = crypto.createHash("sha256");
+    for await (const chunk of await download(target)) copy.update(chunk);
+    if (copy.digest("hex") !== sha256) throw new Error("Copy on the share does not match the original (SHA-256)");
+    return { url: publicUrl ? joinUrl(publicUrl, filename) : target };
+  }
+
+  // Readable for a copy this share holds (null for any other URL, so credentials stay here)
+  async function download(copyUrl) {
+    if (!copyUrl.startsWith(url.replace(/\/*$/, "/"))) return null;
+    const res = await openStream(copyUrl, { headers: auth });
+    if (res.status !== 200) throw new Error(`WebDAV GET failed: ${describeFailure(await drainFailure(res))}`);
+    return res.stream;
+  }
+
+  return { init, upload, download };
+}
+
+const REQUIRED = ["url"];
+
+module.exports = { create, REQUIRED };
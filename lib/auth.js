@@ -0,0 +1,202 @@
+// lib/auth.js - Who may use the HTTP API: paired browsers hold long-lived tokens with a role
+// Pairing: POST /auth/pair/start puts a short code on the device's screen; whoever can read it
+// sends it to POST /auth/pair and gets a token (as an HttpOnly cookie and in the answer).
+// Roles, each including the ones before: viewer (gallery, status) < shooter (capture, uploads,
+// photo edits) < admin (config, wallet, tokens). PIXEL_ADMIN_TOKEN is one more admin token.
+// Only a SHA-256 of each token is stored (tokens.json).
+const fs = require("fs");
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "shooter", "admin"];
+const CODE_DIGITS = 6;
+// Wrong codes in a row before pairing is refused for a while
+const MAX_CODE_FAILURES = 5;
+const PAIRING_COOLDOWN_MS = 60 * 1000;
+const COOKIE = "pixel_token";
+const COOKIE_MAX_AGE_SEC = 10 * 365 * 24 * 3600;
+// lastUsedAt is written at most this often per token (SD card)
+const LAST_USED_STEP_MS = 60 * 60 * 1000;
+
+const authError = (status, message) => Object.assign(new Error(message), { status });
+const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+const rank = (role) => ROLES.indexOf(role);
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// getSettings() -> config "auth" section. onPairing({ code, role, expiresAt }) shows the code,
+// onPairingEnd(reason) takes it off the screen ("paired" | "expired" | "cancelled").
+function createAuth({ file, getSettings, onPairing = () => {}, onPairingEnd = () => {} }) {
+  let tokens = readTokens();
+  let pairing = null; // { code, role, expiresAt, timer }
+  let failures = 0;
+  let blockedUntil = 0;
+
+  function readTokens() {
+    try {
+      const arr = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!Array.isArray(arr)) throw new Error("bad token store");
+      return arr;
+    } catch {
+      return [];
+    }
+  }
+  function writeTokens() {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  const describe = ({ id, name, role, createdAt, lastUsedAt }) => ({ id, name, role, createdAt, lastUsedAt });
+
+  // -> { token, ...record }; the token itself is only ever returned here
+  function issueToken({ name, role }) {
+    if (!ROLES.includes(role)) throw authError(400, `role must be one of ${ROLES.join(", ")}`);
+    const token = `pxl_${crypto.randomBytes(32).toString("base64url")}`;
+    const record = {
+      id: crypto.randomBytes(6).toString("hex"),
+      name: String(name || "unnamed").slice(0, 60),
+      role,
+      hash: digest(token).toString("hex"),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    tokens.push(record);
+    writeTokens();
+    console.log(`Auth: token ${record.id} (${record.name}) issued as ${role}`);
+    return { token, ...describe(record) };
+  }
+
+  const listTokens = () => tokens.map(describe);
+
+  function revokeToken(id) {
+    const before = tokens.length;
+    tokens = tokens.filter(t => t.id !== id);
+    if (tokens.length === before) return false;
+    writeTokens();
+    console.log(`Auth: token ${id} revoked`);
+    return true;
+  }
+
+  // token string -> { id, name, role } or null
+  function lookup(token) {
+    if (!token) return null;
+    const admin = process.env.PIXEL_ADMIN_TOKEN;
+    if (admin && safeEqual(token, admin)) return { id: null, name: "PIXEL_ADMIN_TOKEN", role: "admin" };
+    const hash = digest(token).toString("hex");
+    const record = tokens.find(t => t.hash === hash);
+    if (!record) return null;
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_STEP_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      writeTokens();
+    }
+    return { id: record.id, name: record.name, role: record.role };
+  }
+
+  // ---------- Pairing ----------
+  function endPairing(reason) {
+    if (!pairing) return;
+    clearTimeout(pairing.timer);
+    pairing = null;
+    onPairingEnd(reason);
+  }
+
+  function pairingStatus() {
+    return pairing ? { role: pairing.role, expiresAt: new Date(pairing.expiresAt).toISOString() } : null;
+  }
+
+  // A new request replaces the code on screen
+  function startPairing({ role = "viewer" } = {}) {
+    if (!ROLES.includes(role)) throw authError(400, `role must be one of ${ROLES.join(", ")}`);
+    if (Date.now() < blockedUntil) {
+      throw authError(429, `Too many wrong codes; try again after ${new Date(blockedUntil).toISOString()}`);
+    }
+    endPairing("cancelled");
+    const ttlMs = getSettings().pairingTtlSec * 1000;
+    const code = String(crypto.randomInt(10 ** CODE_DIGITS)).padStart(CODE_DIGITS, "0");
+    pairing = { code, role, expiresAt: Date.now() + ttlMs, timer: setTimeout(() => endPairing("expired"), ttlMs) };
+    console.log(`Auth: pairing started for ${role}`);
+    onPairing({ code, role, expiresAt: pairing.expiresAt });
+    return pairingStatus();
+  }
+
+  function completePairing({ code, name }) {
+    if (Date.now() < blockedUntil) {
+      throw authError(429, `Too many wrong codes; try again after ${new Date(blockedUntil).toISOString()}`);
+    }
+    if (!pairing) throw authError(409, "No pairing in progress; start one first");
+    if (typeof code !== "string" || !safeEqual(code.replace(/\s/g, ""), pairing.code)) {
+      if (++failures >= MAX_CODE_FAILURES) {
+        failures = 0;
+        blockedUntil = Date.now() + PAIRING_COOLDOWN_MS;
+        endPairing("cancelled");
+        throw authError(429, "Too many wrong codes; pairing cancelled");
+      }
+      throw authError(403, "Wrong code");
+    }
+    failures = 0;
+    const { role } = pairing;
+    endPairing("paired");
+    return issueToken({ name, role });
+  }
+
+  // ---------- Express ----------
+  // Sets req.auth = { id, name, role } (null when anonymous); with auth off everyone is admin
+  function identify(req, _res, next) {
+    if (!getSettings().enabled) {
+      req.auth = { id: null, name: null, role: "admin" };
+      return next();
+    }
+    const bearer = /^Bearer (.+)$/.exec(req.get("authorization") || "")?.[1];
+    req.auth = lookup(bearer || readCookie(req, COOKIE));
+    next();
+  }
+
+  // Route guard: 401 without a valid token, 403 when the token's role is too low
+  function allow(role) {
+    return (req, res, next) => {
+      if (!req.auth) return res.status(401).json({ ok: false, error: "Pair this browser with the camera first (POST /auth/pair/start)" });
+      if (rank(req.auth.role) < rank(role)) return res.status(403).json({ ok: false, error: `Needs the ${role} role` });
+      next();
+    };
+  }
+  const allowViewer = allow("viewer");
+
+  // Photos and the gallery listing: open to anyone when auth.publicGallery is on
+  function allowGallery(req, res, next) {
+    if (getSettings().publicGallery) return next();
+    allowViewer(req, res, next);
+  }
+
+  // SameSite=Strict keeps other sites from riding on the cookie
+  function setCookie(res, token) {
+    res.append("Set-Cookie", `${COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${COOKIE_MAX_AGE_SEC}`);
+  }
+  function clearCookie(res) {
+    res.append("Set-Cookie", `${COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  return {
+    issueToken,
+    listTokens,
+    revokeToken,
+    startPairing,
+    completePairing,
+    cancelPairing: () => endPairing("cancelled"),
+    pairingStatus,
+    identify,
+    allow,
+    allowGallery,
+    setCookie,
+    clearCookie,
+  };
+}
+
+module.exports = { createAuth, ROLES };
@@ -0,0 +1,36 @@
+// lib/buttons.js - Wires the configured buttons to the gesture engine via pigpio ALERT
+// (no ISR interrupts). Buttons are wired to GND with pull-ups: falling edge = press.
+const { createGestureEngine } = require("./gestures");
+
+function describe(b) {
+  const parts = [b.action, b.long && `long: ${b.long}`, b.double && `double: ${b.double}`].filter(Boolean);
+  return `GPIO ${b.gpio}${parts.length ? ` (${parts.join(", ")})` : ""}`;
+}
+
+// dispatch(actionName, { gesture, button }) runs the mapped action
+function initButtons({ Gpio, buttons, getGestureSettings, dispatch }) {
+  const pins = [];
+  const engine = createGestureEngine({ buttons, getSettings: getGestureSettings, dispatch });
+  try {
+    for (const b of buttons) {
+      const pin = new Gpio(b.gpio, { mode: Gpio.INPUT, pullUpDown: Gpio.PUD_UP });
+      pin.glitchFilter(b.glitchUs ?? 10000);
+      pin.enableAlert();
+      pins.push(pin);
+
+      // Both edges: the gesture engine needs releases to tell short, long and double apart
+      pin.on("alert", (level) => engine.handle(b, level));
+    }
+
+    console.log(`Buttons ready on ${buttons.map(describe).join(", ")} [ALERT mode].`);
+    return pins;
+  } catch (e) {
+    console.error("Button init failed:", e.message || e);
+    for (const pin of pins) {
+      try { pin.disableAlert(); } catch {}
+    }
+    return null;
+  }
+}
+
+module.exports = { initButtons };
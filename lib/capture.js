@@ -0,0 +1,89 @@
+// lib/capture.js - Camera -> temp JPEG -> ImageMagick -> public/latest.webp + images/<stamp>.webp
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { safeExec } = require("./exec");
+const { nowStamp, isoLocal } = require("./time");
+const { buildConvertArgs } = require("./presets");
+const { embedMetadata } = require("./metadata");
+const { APP_VERSION } = require("./version");
+
+// Preset and convertArgs are read from config on every capture so PUT /config applies immediately.
+// The viewfinder (optional) is paused while rpicam-still holds the camera.
+// Errors carry .code and .stage (CAMERA, NO_FILE, CONVERT, SAVE) for the capture journal.
+const stageError = (code, stage, message, extra = {}) => Object.assign(new Error(message), { code, stage }, extra);
+
+function createCapture({ camera, config, photos, viewfinder, tempFile, imagesDir, outputPath }) {
+  // options.preset overrides the configured default for this one shot; options.caption is optional;
+  // options.stages (an object) receives the milliseconds each stage took
+  async function captureImage(options = {}) {
+    const { capture, device } = config.get();
+    const preset = options.preset || capture.preset;
+    const convertArgs = buildConvertArgs(preset, capture.convertArgs);
+    const stages = options.stages || {};
+    const timed = async (stage, fn) => {
+      const t0 = Date.now();
+      try {
+        return await fn();
+      } finally {
+        stages[stage] = Date.now() - t0;
+      }
+    };
+
+    console.log('Starting camera capture...');
+    if (viewfinder) await viewfinder.pause();
+    const shotAt = new Date();
+    let exposure;
+    try {
+      exposure = await timed("camera", () => camera.capture(tempFile));
+    } catch (e) {
+      console.error('Capture failed:', e);
+      throw stageError("CAMERA", "camera", 'Camera capture failed: ' + e.message, { stderr: e.stderr });
+    } finally {
+      if (viewfinder) viewfinder.resume();
+    }
+    console.log('Camera capture completed');
+
+    if (!fs.existsSync(tempFile)) throw stageError("NO_FILE", "camera", 'No file created');
+
+    console.log('Processing image...');
+    try {
+      await timed("convert", () => safeExec(`convert "${tempFile}" ${convertArgs} "${outputPath}"`));
+    } catch (e) {
+      throw stageError("CONVERT", "convert", 'Image processing failed: ' + e.message, { stderr: e.stderr });
+    } finally {
+      try { fs.unlinkSync(tempFile); } catch {}
+    }
+
+    const meta = {
+      capturedAt: isoLocal(shotAt),
+      ...exposure,
+      preset,
+      deviceId: device.id || os.hostname(),
+      appVersion: APP_VERSION,
+      caption: options.caption || null,
+    };
+    // A photo without metadata is still a photo, so a failure here only warns
+    try {
+      await timed("metadata", () => embedMetadata(outputPath, meta));
+    } catch (e) {
+      console.warn('Metadata not embedded:', e.message);
+    }
+
+    const name = `${nowStamp(shotAt)}.webp`;
+    try {
+      await timed("save", () => {
+        fs.copyFileSync(outputPath, path.join(imagesDir, name));
+        photos.upsertPhoto(name, meta);
+      });
+    } catch (e) {
+      throw stageError("SAVE", "save", 'Saving the image failed: ' + e.message);
+    }
+    console.log('Image saved:', name, `(${preset})`);
+    return name;
+  }
+
+  return { captureImage };
+}
+
+module.exports = { createCapture };
@@ -0,0 +1,560 @@
+// lib/config.js - Central settings: config.json + PIXEL_* env overrides, validated against SCHEMA
+// Precedence (last wins): built-in defaults < profile < config.json < env.
+// Settings marked `hot` apply immediately through PUT /config; the rest are saved
+// to config.json and take effect after a restart.
+const { EventEmitter } = require("events");
+const path = require("path");
+const fs = require("fs");
+const { PROFILES, PIPELINES, DEFAULT_PROFILE } = require("./profiles");
+const { PRESETS } = require("./presets");
+const { ACTION_NAMES } = require("./gestures");
+const { REVIEW_ACTIONS } = require("./review");
+const { MENU_ACTIONS } = require("./menu");
+const { PERIODS, WEEKDAYS } = require("./quota");
+
+const DEFAULTS = {
+  profile: DEFAULT_PROFILE,
+  port: 3000,
+  device: { id: null },
+  // Shots per period for the camera ("device") and, optionally, each paired token (lib/quota.js)
+  quota: {
+    dailyLimit: 10, // per period, despite the name (per roll with period "roll")
+    period: "daily",
+    resetTime: "00:00",
+    weekStart: "monday",
+    rollover: 0,
+    perToken: { enabled: false, limit: 10 },
+    historyDays: 90,
+  },
+  capture: {
+    countdownSec: 3,
+    timeoutMs: 15000,
+    convertArgs: PIPELINES.plain,
+    preset: "classic",
+  },
+  // Which local photos may be deleted to make room, and the free space captures need (lib/storage.js)
+  retention: {
+    enabled: false,
+    maxSizeMb: null,
+    maxAgeDays: null,
+    keepFavorites: true,
+    keepUnuploaded: true,
+  },
+  // archiveCacheMb: archived photos fetched back for an export are kept up to this much (lib/export.js)
+  disk: { minFreeMb: 100, archiveCacheMb: 256 },
+  // Capture attempt log (lib/journal.js), rotated to stay under maxSizeKb x files
+  journal: {
+    maxSizeKb: 512,
+    files: 4,
+  },
+  gestures: {
+    longPressMs: 800,
+    doublePressMs: 300,
+    chordMs: 150,
+    chords: [],
+  },
+  review: {
+    afterCaptureSec: 3,
+    timeoutSec: 15,
+    gestures: { short: "older", double: "newer", long: "exit" },
+  },
+  uploads: {
+    maxAttempts: 6,
+    backoffBaseSec: 30,
+    backoffMaxSec: 3600,
+    paused: false,
+  },
+  // HTTP API access: browsers pair with a code shown on the device (lib/auth.js)
+  auth: {
+    enabled: true,
+    publicGallery: false,
+    pairingTtlSec: 120,
+  },
+  // Where photos are archived; every enabled backend gets a copy, in priority order (1 first)
+  archive: {
+    turbo: { enabled: true, priority: 1 },
+    local: { enabled: false, priority: 2, dir: null, publicUrl: null },
+    s3: {
+      enabled: false,
+      priority: 3,
+      endpoint: null,
+      region: "us-east-1",
+      bucket: null,
+      prefix: "",
+      pathStyle: true,
+      accessKeyId: null,
+      secretAccessKey: null,
+      publicUrl: null,
+    },
+    webdav: { enabled: false, priority: 4, url: null, username: null, password: null, publicUrl: null },
+  },
+  menu: {
+    timeoutSec: 30,
+    gestures: { short: "next", double: "prev", long: "select" },
+  },
+  screen: {
+    brightness: 100,
+    sleepSec: 0,
+  },
+  viewfinder: {
+    enabled: true,
+    width: 320,
+    height: 240,
+    fps: 8,
+  },
+  paths: {
+    public: "public",
+    images: "images",
+    thumbs: "thumbs",
+    archiveCache: "archive-cache",
+    output: "public/latest.webp",
+    temp: "temp_capture.jpg",
+    state: "state.json",
+    manifest: "arweave.json",
+    photos: "photos.json",
+    timelapse: "timelapse.json",
+    wallet: "wallet.json", // plaintext, only read by `node lib/wallet.js migrate`
+    keystore: "wallet.keystore.json",
+    tokens: "tokens.json",
+    journal: "captures.jsonl",
+  },
+};
+
+// convertArgs is spliced into a shell command, so keep it to plain ImageMagick options.
+// Single-quoted segments such as '1024x1024>' are literal to the shell and allowed.
+function checkConvertArgs(v) {
+  const unquoted = v.replace(/'[^']*'/g, "");
+  if (unquoted.includes("'")) return "has an unbalanced single quote";
+  if (/[;&|`$<>\\"\n\r]/.test(unquoted)) {
+    return "must not contain shell metacharacters (; & | ` $ < > \\ \" or newlines) outside single quotes";
+  }
+  return null;
+}
+
+function checkTimeOfDay(v) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(v) ? null : 'must be a time of day like "04:30"';
+}
+
+function checkChordGpios(v) {
+  if (v.length < 2 || !v.every(g => Number.isInteger(g) && g >= 0 && g <= 27)) return "must list at least two GPIO numbers (0-27)";
+  return null;
+}
+
+function checkHttpUrl(v) {
+  try {
+    if (["http:", "https:"].includes(new URL(v).protocol)) return null;
+  } catch {}
+  return "must be an http(s) URL";
+}
+
+function checkDisplay(v) {
+  const drivers = ["st7735s", "ssd1306"];
+  if (!drivers.includes(v.driver)) return `driver must be one of ${drivers.join(", ")}`;
+  return null;
+}
+
+const PATH_SETTING = { type: "string", minLength: 1 };
+const URL_SETTING = { type: "string", nullable: true, check: checkHttpUrl };
+const PRIORITY_SETTING = { type: "integer", min: 1, max: 99 };
+const ACTION_SETTING = { type: "string", enum: ACTION_NAMES, nullable: true };
+
+// Leaves have a `type`; anything else is a section. Env name defaults to PIXEL_<PATH_IN_SNAKE_CASE>.
+// `optional` leaves may be left out entirely; `secret` leaves are masked when the config is shown.
+const SCHEMA = {
+  profile: { type: "string", enum: Object.keys(PROFILES) },
+  port: { type: "integer", min: 1, max: 65535, env: "PORT" },
+  device: {
+    // Stamped into every photo's metadata; null = the host name
+    id: { type: "string", minLength: 1, nullable: true, hot: true },
+  },
+  quota: {
+    dailyLimit: { type: "integer", min: 0, max: 10000, hot: true },
+    period: { type: "string", enum: PERIODS, hot: true },
+    resetTime: { type: "string", hot: true, check: checkTimeOfDay },
+    weekStart: { type: "string", enum: WEEKDAYS, hot: true },
+    rollover: { type: "integer", min: 0, max: 10000, hot: true },
+    perToken: {
+      enabled: { type: "boolean", hot: true },
+      limit: { type: "integer", min: 0, max: 10000, hot: true },
+    },
+    historyDays: { type: "integer", min: 1, max: 3650, hot: true },
+  },
+  capture: {
+    countdownSec: { type: "integer", min: 0, max: 30, hot: true },
+    timeoutMs: { type: "integer", min: 1000, max: 120000, hot: true },
+    convertArgs: { type: "string", minLength: 1, hot: true, check: checkConvertArgs },
+    preset: { type: "string", enum: Object.keys(PRESETS), hot: true },
+  },
+  retention: {
+    enabled: { type: "boolean", hot: true },
+    maxSizeMb: { type: "integer", min: 1, max: 1048576, nullable: true, hot: true },
+    maxAgeDays: { type: "integer", min: 1, max: 3650, nullable: true, hot: true },
+    keepFavorites: { type: "boolean", hot: true },
+    keepUnuploaded: { type: "boolean", hot: true },
+  },
+  disk: {
+    minFreeMb: { type: "integer", min: 0, max: 1048576, hot: true },
+    archiveCacheMb: { type: "integer", min: 0, max: 1048576, hot: true },
+  },
+  journal: {
+    maxSizeKb: { type: "integer", min: 16, max: 65536, hot: true },
+    files: { type: "integer", min: 2, max: 20, hot: true },
+  },
+  buttons: {
+    type: "array",
+    items: {
+      gpio: { type: "integer", min: 0, max: 27 },
+      action: ACTION_SETTING,
+      long: { ...ACTION_SETTING, optional: true },
+      double: { ...ACTION_SETTING, optional: true },
+      glitchUs: { type: "integer", min: 0, max: 300000 },
+    },
+  },
+  gestures: {
+    longPressMs: { type: "integer", min: 200, max: 10000, hot: true },
+    doublePressMs: { type: "integer", min: 100, max: 2000, hot: true },
+    chordMs: { type: "integer", min: 20, max: 2000, hot: true },
+    chords: {
+      type: "array",
+      hot: true,
+      items: {
+        gpios: { type: "array", check: checkChordGpios },
+        action: ACTION_SETTING,
+      },
+    },
+  },
+  // PIXEL_DISPLAY already picks the HAL display backend (hal/index.js)
+  display: { type: "object", check: checkDisplay, env: "PIXEL_DISPLAY_OPTIONS" },
+  review: {
+    afterCaptureSec: { type: "integer", min: 0, max: 60, hot: true },
+    timeoutSec: { type: "integer", min: 3, max: 600, hot: true },
+    gestures: {
+      short: { type: "string", enum: REVIEW_ACTIONS, nullable: true, hot: true },
+      double: { type: "string", enum: REVIEW_ACTIONS, nullable: true, hot: true },
+      long: { type: "string", enum: REVIEW_ACTIONS, nullable: true, hot: true },
+    },
+  },
+  uploads: {
+    maxAttempts: { type: "integer", min: 1, max: 100, hot: true },
+    backoffBaseSec: { type: "integer", min: 1, max: 86400, hot: true },
+    backoffMaxSec: { type: "integer", min: 1, max: 604800, hot: true },
+    paused: { type: "boolean", hot: true },
+  },
+  auth: {
+    enabled: { type: "boolean", hot: true },
+    publicGallery: { type: "boolean", hot: true },
+    pairingTtlSec: { type: "integer", min: 30, max: 900, hot: true },
+  },
+  // Restart to apply; required fields of enabled backends are checked in lib/archive
+  archive: {
+    turbo: {
+      enabled: { type: "boolean" },
+      priority: PRIORITY_SETTING,
+    },
+    local: {
+      enabled: { type: "boolean" },
+      priority: PRIORITY_SETTING,
+      dir: { ...PATH_SETTING, nullable: true },
+      publicUrl: URL_SETTING,
+    },
+    s3: {
+      enabled: { type: "boolean" },
+      priority: PRIORITY_SETTING,
+      endpoint: URL_SETTING,
+      region: { type: "string", minLength: 1 },
+      bucket: { type: "string", minLength: 1, nullable: true },
+      prefix: { type: "string" },
+      pathStyle: { type: "boolean" },
+      accessKeyId: { type: "string", minLength: 1, nullable: true },
+      secretAccessKey: { type: "string", minLength: 1, nullable: true, secret: true },
+      publicUrl: URL_SETTING,
+    },
+    webdav: {
+      enabled: { type: "boolean" },
+      priority: PRIORITY_SETTING,
+      url: URL_SETTING,
+      username: { type: "string", minLength: 1, nullable: true },
+      password: { type: "string", nullable: true, secret: true },
+      publicUrl: URL_SETTING,
+    },
+  },
+  menu: {
+    timeoutSec: { type: "integer", min: 5, max: 600, hot: true },
+    gestures: {
+      short: { type: "string", enum: MENU_ACTIONS, nullable: true, hot: true },
+      double: { type: "string", enum: MENU_ACTIONS, nullable: true, hot: true },
+      long: { type: "string", enum: MENU_ACTIONS, nullable: true, hot: true },
+    },
+  },
+  screen: {
+    brightness: { type: "integer", min: 0, max: 100, hot: true },
+    sleepSec: { type: "integer", min: 0, max: 3600, hot: true },
+  },
+  viewfinder: {
+    enabled: { type: "boolean", hot: true },
+    width: { type: "integer", min: 64, max: 1920, hot: true },
+    height: { type: "integer", min: 48, max: 1080, hot: true },
+    fps: { type: "integer", min: 1, max: 30, hot: true },
+  },
+  features: {
+    quota: { type: "boolean" },
+    upload: { type: "boolean" },
+  },
+  paths: {
+    public: PATH_SETTING,
+    images: PATH_SETTING,
+    thumbs: PATH_SETTING,
+    archiveCache: PATH_SETTING,
+    output: PATH_SETTING,
+    temp: PATH_SETTING,
+    state: PATH_SETTING,
+    manifest: PATH_SETTING,
+    photos: PATH_SETTING,
+    timelapse: PATH_SETTING,
+    wallet: PATH_SETTING,
+    keystore: PATH_SETTING,
+    tokens: PATH_SETTING,
+    journal: PATH_SETTING,
+  },
+};
+
+// ---------- helpers ----------
+const isLeaf = (node) => node && typeof node.type === "string";
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function deepMerge(base, patch) {
+  if (!isPlainObject(base) || !isPlainObject(patch)) return patch === undefined ? base : patch;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch)) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+function getAt(obj, keys) {
+  return keys.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setAt(obj, keys, value) {
+  let o = obj;
+  for (const k of keys.slice(0, -1)) {
+    if (!isPlainObject(o[k])) o[k] = {};
+    o = o[k];
+  }
+  o[keys[keys.length - 1]] = value;
+}
+
+function leaves(schema, prefix = []) {
+  const out = [];
+  for (const [k, node] of Object.entries(schema)) {
+    const keys = [...prefix, k];
+    if (isLeaf(node)) out.push({ keys, node });
+    else out.push(...leaves(node, keys));
+  }
+  return out;
+}
+
+const envName = ({ keys, node }) =>
+  node.env || "PIXEL_" + keys.map(k => k.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()).join("_");
+
+function coerceEnv(raw, node) {
+  switch (node.type) {
+    case "integer":
+    case "number": return raw.trim() === "" ? NaN : Number(raw);
+    case "boolean": return /^(1|true|yes|on)$/i.test(raw) ? true : /^(0|false|no|off)$/i.test(raw) ? false : raw;
+    case "array":
+    case "object": return JSON.parse(raw);
+    default: return raw;
+  }
+}
+
+function checkValue(value, node, name) {
+  if (value === null && node.nullable) return null;
+  switch (node.type) {
+    case "integer":
+      if (!Number.isInteger(value)) return `${name} must be an integer`;
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return `${name} must be a number`;
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return `${name} must be true or false`;
+      break;
+    case "string":
+      if (typeof value !== "string") return `${name} must be a string`;
+      if (node.minLength && value.length < node.minLength) return `${name} must not be empty`;
+      break;
+    case "array":
+      if (!Array.isArray(value)) return `${name} must be an array`;
+      break;
+    case "object":
+      if (!isPlainObject(value)) return `${name} must be an object`;
+      break;
+  }
+  if (node.min !== undefined && value < node.min) return `${name} must be >= ${node.min}`;
+  if (node.max !== undefined && value > node.max) return `${name} must be <= ${node.max}`;
+  if (node.enum && !node.enum.includes(value)) return `${name} must be one of ${node.enum.join(", ")}`;
+  if (node.check) {
+    const msg = node.check(value);
+    if (msg) return `${name} ${msg}`;
+  }
+  return null;
+}
+
+function validate(config, schema = SCHEMA, prefix = []) {
+  const errors = [];
+  for (const [k, node] of Object.entries(schema)) {
+    const keys = [...prefix, k];
+    const name = keys.join(".");
+    const value = getAt(config, [k]);
+    if (!isLeaf(node)) {
+      if (!isPlainObject(value)) errors.push(`${name} must be an object`);
+      else errors.push(...validate(value, node, keys));
+      continue;
+    }
+    if (value === undefined) {
+      if (!node.optional) errors.push(`${name} is required`);
+      continue;
+    }
+    const err = checkValue(value, node, name);
+    if (err) {
+      errors.push(err);
+    } else if (node.type === "array" && node.items) {
+      value.forEach((item, i) => {
+        if (!isPlainObject(item)) errors.push(`${name}[${i}] must be an object`);
+        else errors.push(...validate(item, node.items, [`${name}[${i}]`]));
+      });
+    }
+  }
+  return errors;
+}
+
+// Flags keys in a PUT body that the schema does not know about
+function unknownKeys(patch, schema = SCHEMA, prefix = []) {
+  const errors = [];
+  for (const [k, v] of Object.entries(patch)) {
+    const keys = [...prefix, k];
+    const node = schema[k];
+    if (!node) errors.push(`unknown setting ${keys.join(".")}`);
+    else if (!isLeaf(node)) {
+      if (!isPlainObject(v)) errors.push(`${keys.join(".")} must be an object`);
+      else errors.push(...unknownKeys(v, node, keys));
+    }
+  }
+  return errors;
+}
+
+// Copy of `config` with every secret that is set replaced by "********"
+function redact(config) {
+  const out = JSON.parse(JSON.stringify(config));
+  for (const { keys, node } of leaves(SCHEMA)) {
+    if (node.secret && getAt(out, keys) != null) setAt(out, keys, "********");
+  }
+  return out;
+}
+
+// ---------- store ----------
+function createConfig({ rootDir, file = process.env.PIXEL_CONFIG || path.join(rootDir, "config.json"), env = process.env }) {
+  const emitter = new EventEmitter();
+  const envLeaves = leaves(SCHEMA).filter(l => env[envName(l)] !== undefined);
+
+  function readFileConfig() {
+    if (!fs.existsSync(file)) return {};
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Config file ${file} is not valid JSON: ${e.message}`);
+    }
+    if (!isPlainObject(parsed)) throw new Error(`Config file ${file} must contain a JSON object`);
+    return parsed;
+  }
+
+  function envLayer() {
+    const layer = {};
+    const errors = [];
+    for (const l of envLeaves) {
+      const name = envName(l);
+      try {
+        setAt(layer, l.keys, coerceEnv(env[name], l.node));
+      } catch (e) {
+        errors.push(`${name} is not valid JSON: ${e.message}`);
+      }
+    }
+    return { layer, errors };
+  }
+
+  // defaults < profile < file < env, then validated as a whole
+  function build(fileConfig) {
+    const { layer, errors } = envLayer();
+    const profileName = layer.profile || fileConfig.profile || DEFAULTS.profile;
+    const profile = PROFILES[profileName] || {};
+    const merged = [profile, fileConfig, layer].reduce(deepMerge, { ...DEFAULTS, profile: profileName });
+    return { config: merged, errors: [...errors, ...unknownKeys(fileConfig), ...validate(merged)] };
+  }
+
+  let fileConfig = readFileConfig();
+  const initial = build(fileConfig);
+  if (initial.errors.length) {
+    throw new Error(`Invalid configuration:\n  - ${initial.errors.join("\n  - ")}`);
+  }
+  let current = initial.config;
+  let pendingRestart = [];
+
+  function writeFileConfig(obj) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Returns { ok, errors } or { ok, applied, restartRequired }
+  function update(patch) {
+    if (!isPlainObject(patch)) return { ok: false, errors: ["body must be a JSON object"] };
+    const errors = unknownKeys(patch);
+    for (const l of envLeaves) {
+      if (getAt(patch, l.keys) !== undefined) {
+        errors.push(`${l.keys.join(".")} is set by the ${envName(l)} environment variable and cannot be changed here`);
+      }
+    }
+    if (errors.length) return { ok: false, errors };
+
+    const nextFile = deepMerge(fileConfig, patch);
+    const next = build(nextFile);
+    if (next.errors.length) return { ok: false, errors: next.errors };
+
+    const changed = leaves(SCHEMA).filter(l =>
+      JSON.stringify(getAt(current, l.keys)) !== JSON.stringify(getAt(next.config, l.keys)));
+    // A profile switch rewrites the hardware section, so treat everything as restart-only
+    const profileChanged = changed.some(l => l.keys[0] === "profile");
+    const applied = profileChanged ? [] : changed.filter(l => l.node.hot);
+    const restart = changed.filter(l => !applied.includes(l));
+
+    writeFileConfig(nextFile);
+    fileConfig = nextFile;
+
+    const previous = current;
+    current = JSON.parse(JSON.stringify(current));
+    for (const l of applied) setAt(current, l.keys, getAt(next.config, l.keys));
+
+    const restartRequired = restart.map(l => l.keys.join("."));
+    pendingRestart = [...new Set([...pendingRestart, ...restartRequired])];
+
+    if (applied.length) {
+      emitter.emit("change", { changed: applied.map(l => l.keys.join(".")), previous, current });
+    }
+    return { ok: true, applied: applied.map(l => l.keys.join(".")), restartRequired };
+  }
+
+  return {
+    file,
+    get: () => current,
+    redacted: () => redact(current),
+    resolvePath: (key) => path.resolve(rootDir, current.paths[key]),
+    envOverrides: () => envLeaves.map(envName),
+    pendingRestart: () => pendingRestart,
+    update,
+    on: (event, fn) => emitter.on(event, fn),
+  };
+}
+
+module.exports = { createConfig, validate, SCHEMA, DEFAULTS };
@@ -0,0 +1,27 @@
+// lib/events.js - Server-sent events (/events) for live UI updates
+function createEvents() {
+  const clients = new Set();
+
+  function handler(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      "Connection": "keep-alive",
+    });
+    res.flushHeaders();
+    res.write("retry: 2000\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+  }
+
+  function broadcast(obj) {
+    const payload = `data: ${JSON.stringify(obj)}\n\n`;
+    for (const res of clients) {
+      try { res.write(payload); } catch {}
+    }
+  }
+
+  return { handler, broadcast, clients };
+}
+
+module.exports = { createEvents };
@@ -0,0 +1,22 @@
+// lib/exec.js - Shell helper shared by the capture pipeline and tools
+const { exec } = require("child_process");
+
+// Rejects with a real Error (stderr attached) so callers can rely on e.message
+function safeExec(cmd, opts = {}) {
+  return new Promise((resolve, reject) => {
+    console.log('Executing:', cmd);
+    exec(cmd, { timeout: 30000, ...opts }, (err, stdout, stderr) => {
+      if (err) {
+        console.error('Command failed:', err.message);
+        console.error('Stderr:', stderr);
+        const e = new Error(String(stderr || err.message || "exec failed"));
+        e.stderr = String(stderr || "");
+        e.cause = err;
+        return reject(e);
+      }
+      resolve({ stdout: String(stdout), stderr: String(stderr) });
+    });
+  });
+}
+
+module.exports = { safeExec };
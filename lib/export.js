@@ -0,0 +1,143 @@
+// lib/export.js - ZIP export of photos by date range (GET /export.zip)
+// Photos still on disk are read from images/. Archived ones whose local file went away
+// after upload come from the archive cache, or are fetched back from their archive copies
+// (arweave.net, a NAS folder, a bucket, ...). index.json at the end lists every photo and where it came from.
+// A download is written to the cache and checked against the SHA-256 the manifest recorded at upload
+// before it is used; the cache keeps the most recently used photos up to disk.archiveCacheMb (plus
+// the one being exported).
+const path = require("path");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { fileSha256 } = require("./hash");
+const { createZipWriter } = require("./zip");
+const { photoMeta } = require("./photos");
+const { stampTime } = require("./gallery-index");
+
+const INCLUDES = ["local", "archived"];
+const FETCH_TIMEOUT_MS = 60000;
+const MB = 1024 * 1024;
+
+// getSettings() -> the "disk" config section
+function createExporter({ galleryIndex, imagesDir, cacheDir, archive, getSettings }) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  // Least recently used first, until the cache fits; keep (the photo just fetched) always stays
+  function pruneCache(keep = null) {
+    const maxBytes = getSettings().archiveCacheMb * MB;
+    const files = [];
+    for (const name of fs.readdirSync(cacheDir)) {
+      if (name.endsWith(".part")) continue;
+      try {
+        const st = fs.statSync(path.join(cacheDir, name));
+        files.push({ name, size: st.size, mtimeMs: st.mtimeMs });
+      } catch {}
+    }
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    for (const f of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+      if (total <= maxBytes) break;
+      if (f.name === keep) continue;
+      fs.rmSync(path.join(cacheDir, f.name), { force: true });
+      total -= f.size;
+    }
+  }
+  pruneCache();
+
+  // { from, to, include } query -> { filters, include, label } or { errors }
+  function parseExportQuery(q = {}) {
+    const { filters, errors = [] } = galleryIndex.parseQuery({ from: q.from, to: q.to, sort: "oldest" });
+    const include = q.include === undefined ? INCLUDES : String(q.include).split(",").map(s => s.trim()).filter(Boolean);
+    if (!include.length || include.some(i => !INCLUDES.includes(i))) errors.push(`include must be one or more of ${INCLUDES.join(", ")}`);
+    const label = [q.from, q.to].filter(Boolean).join("_to_").replace(/[^\w.-]/g, "-") || "all";
+    return errors.length ? { errors } : { filters, include, label };
+  }
+
+  // Into the cache, then read back and hashed; the file only gets its name once it checks out
+  async function saveToCache(body, name, expected) {
+    const final = path.join(cacheDir, name);
+    const tmp = `${final}.part`;
+    try {
+      await pipeline(body, fs.createWriteStream(tmp));
+      if (expected && await fileSha256(tmp) !== expected) throw new Error("Copy does not match the manifest (SHA-256)");
+      await fs.promises.rename(tmp, final);
+    } catch (e) {
+      await fs.promises.rm(tmp, { force: true });
+      throw e;
+    }
+    pruneCache(name);
+    return final;
+  }
+
+  // One archived copy: read by its backend when it holds the credentials, otherwise a plain GET
+  async function fetchCopy(entry, { backend, url, sha256 }) {
+    let body = await archive.get(backend)?.download?.(url);
+    if (!body) {
+      const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!res.ok || !res.body) throw new Error(`${new URL(url).host} answered ${res.status}`);
+      body = res.body;
+    }
+    const file = await saveToCache(body, entry.name, sha256);
+    return { source: `archive:${backend}`, stream: fs.createReadStream(file) };
+  }
+
+  // -> { source, stream } or { source: "missing", error }; archived copies are tried primary first
+  async function open(entry) {
+    const local = path.join(imagesDir, entry.name);
+    if (entry.onDisk && fs.existsSync(local)) return { source: "local", stream: fs.createReadStream(local) };
+    const cached = path.join(cacheDir, entry.name);
+    if (fs.existsSync(cached)) {
+      const now = new Date();
+      fs.utimesSync(cached, now, now); // most recently used
+      return { source: "cache", stream: fs.createReadStream(cached) };
+    }
+    if (!entry.archives.length) return { source: "missing", error: "No archive URL" };
+    const errors = [];
+    for (const copy of entry.archives) {
+      try {
+        return await fetchCopy(entry, copy);
+      } catch (e) {
+        errors.push(`${copy.backend}: ${e.message}`);
+      }
+    }
+    return { source: "missing", error: errors.join("; ") };
+  }
+
+  // Streams the ZIP into res (headers must not be sent yet)
+  async function streamExport(res, { filters, include, label }) {
+    const entries = galleryIndex.select(filters).filter(e => include.includes(e.onDisk ? "local" : "archived"));
+    const fileName = `pixel-${label}.zip`;
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    const zip = createZipWriter(res);
+    const index = [];
+    for (const entry of entries) {
+      const src = await open(entry);
+      const row = {
+        name: entry.name,
+        file: src.stream ? `photos/${entry.name}` : null,
+        source: src.source,
+        ...(src.error ? { error: src.error } : {}),
+        status: entry.status,
+        favorite: entry.favorite,
+        ...photoMeta(entry),
+        txId: entry.txId,
+        url: entry.archiveUrl,
+        uploadedAt: entry.uploadedAt,
+        size: entry.size,
+      };
+      index.push(row);
+      if (!src.stream) continue;
+      const mtime = new Date(Date.parse(entry.capturedAt) || stampTime(entry.name) || entry.mtimeMs || Date.now());
+      await zip.addFile(`photos/${entry.name}`, src.stream, mtime);
+    }
+    const exportedAt = new Date();
+    await zip.addBuffer("index.json", Buffer.from(JSON.stringify({ exportedAt: exportedAt.toISOString(), photos: index }, null, 2)), exportedAt);
+    await zip.finish();
+    return { count: index.filter(r => r.file).length, missing: index.filter(r => !r.file).length };
+  }
+
+  return { parseExportQuery, streamExport };
+}
+
+module.exports = { createExporter };
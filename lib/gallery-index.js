@@ -0,0 +1,256 @@
+// lib/gallery-index.js - In-memory index of every photo (on disk and archived) for /gallery.json
+// Built once at startup, then kept current from the manifest and photo store "change" events
+// plus a watch on images/, so a gallery request never rescans the disk or re-reads arweave.json.
+const path = require("path");
+const fs = require("fs");
+const { photoMeta } = require("./photos");
+const { backendRecords } = require("./manifest");
+
+const STATUSES = ["local", "pending", "uploaded", "failed"];
+const MANIFEST_STATUS = { pending: "pending", success: "uploaded", failed: "failed" };
+
+// sort name -> [field, direction]; ties are broken by filename in the same direction
+const SORTS = {
+  newest: ["takenAt", -1],
+  oldest: ["takenAt", 1],
+  largest: ["size", -1],
+  smallest: ["size", 1],
+};
+
+const MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+
+// "2026-10-19_14-03-22.webp" -> local time in ms
+function stampTime(name) {
+  const m = /^(\d{4})-(\d\d)-(\d\d)_(\d\d)-(\d\d)-(\d\d)/.exec(name);
+  return m ? new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime() : null;
+}
+
+// "2026-10-19" -> start (or end) of that local day; anything else goes through Date.parse
+function parseDate(value, endOfDay) {
+  const m = /^(\d{4})-(\d\d)-(\d\d)$/.exec(value);
+  if (m) {
+    const start = new Date(+m[1], m[2] - 1, +m[3]).getTime();
+    return endOfDay ? new Date(+m[1], m[2] - 1, +m[3] + 1).getTime() - 1 : start;
+  }
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+const encodeCursor = (key, name) => Buffer.from(JSON.stringify([key, name])).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [key, name] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof name !== "string") return null;
+    return { key, name };
+  } catch {
+    return null;
+  }
+}
+
+// urls(name) -> extra URL fields for a photo that is on disk (thumbnails)
+function createGalleryIndex({ imagesDir, manifest, photos, urls = () => ({}) }) {
+  const manifestByName = new Map();
+  let photoRecords = {};
+  const entries = new Map(); // name -> entry
+  const sorted = new Map();  // sort name -> cached ordered array (dropped on any change)
+  let watcher = null;
+
+  function build(name) {
+    const m = manifestByName.get(name);
+    const record = photoRecords[name];
+    let st = null;
+    try {
+      st = fs.statSync(path.join(imagesDir, name));
+    } catch {}
+    const status = MANIFEST_STATUS[m?.status] || "local";
+    // Only what is on disk or made it to Arweave is part of the gallery
+    if (!st && status !== "uploaded") return null;
+    const onDisk = !!st;
+    return {
+      name,
+      status,
+      onDisk,
+      url: onDisk ? `/images/${encodeURIComponent(name)}` : m.url,
+      ...(onDisk ? urls(name) : { thumb: null, thumbSmall: null }),
+      archiveUrl: m?.url || null,
+      // Every copy, primary first (lib/uploader.js)
+      archives: Object.entries(backendRecords(m))
+        .filter(([, r]) => r.status === "success" && r.url)
+        .map(([backend, r]) => ({ backend, url: r.url, sha256: r.sha256 || m.sha256 || null }))
+        .sort((a, b) => (b.url === m?.url) - (a.url === m?.url)),
+      txId: m?.txId || null,
+      uploadedAt: m?.uploadedAt || null,
+      error: status === "failed" ? m.error || null : null,
+      size: st ? st.size : m?.size || null,
+      mtimeMs: st ? st.mtimeMs : null,
+      favorite: record?.favorite === true,
+      ...photoMeta(record),
+      takenAt: Date.parse(record?.capturedAt) || stampTime(name) || (st ? st.mtimeMs : 0),
+    };
+  }
+
+  function refresh(name) {
+    if (!name || !name.toLowerCase().endsWith(".webp")) return;
+    const entry = build(name);
+    if (entry) entries.set(name, entry);
+    else entries.delete(name);
+    sorted.clear();
+  }
+
+  function rebuild() {
+    manifestByName.clear();
+    for (const m of manifest.readManifest()) manifestByName.set(m.filename, m);
+    photoRecords = photos.readPhotos();
+    entries.clear();
+    let onDisk = [];
+    try {
+      onDisk = fs.readdirSync(imagesDir);
+    } catch {}
+    const names = new Set([...onDisk, ...manifestByName.keys()]);
+    for (const name of names) refresh(name);
+    sorted.clear();
+  }
+
+  manifest.on("change", ({ filename, entry }) => {
+    if (!filename) return rebuild();
+    if (entry) manifestByName.set(filename, entry);
+    else manifestByName.delete(filename);
+    refresh(filename);
+  });
+
+  photos.on("change", ({ filename, record }) => {
+    if (!filename) return rebuild();
+    if (record) photoRecords[filename] = record;
+    else delete photoRecords[filename];
+    refresh(filename);
+  });
+
+  // Picks up files that appear or vanish behind the app's back
+  function watch() {
+    try {
+      watcher = fs.watch(imagesDir, (_event, name) => refresh(name && String(name)));
+      watcher.on("error", (e) => console.error("Gallery index watch failed:", e.message));
+    } catch (e) {
+      console.error("Gallery index watch failed:", e.message);
+    }
+  }
+
+  function stop() {
+    if (watcher) watcher.close();
+    watcher = null;
+  }
+
+  function compareFor(sort) {
+    const [field, dir] = SORTS[sort];
+    return (a, b) => {
+      const av = a[field] ?? 0;
+      const bv = b[field] ?? 0;
+      if (av !== bv) return (av < bv ? -1 : 1) * dir;
+      return (a.name < b.name ? -1 : a.name > b.name ? 1 : 0) * dir;
+    };
+  }
+
+  function ordered(sort) {
+    if (!sorted.has(sort)) sorted.set(sort, [...entries.values()].sort(compareFor(sort)));
+    return sorted.get(sort);
+  }
+
+  // Query-string style options -> { filters } or { errors }
+  function parseQuery(q = {}) {
+    const errors = [];
+    const list = (v) => String(v).split(",").map(s => s.trim()).filter(Boolean);
+    const out = { sort: "newest", limit: DEFAULT_LIMIT, cursor: null, status: null, preset: null, favorite: null, from: null, to: null };
+
+    if (q.sort !== undefined) {
+      if (SORTS[q.sort]) out.sort = q.sort;
+      else errors.push(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+    }
+    if (q.limit !== undefined) {
+      const n = Number(q.limit);
+      if (Number.isInteger(n) && n >= 1 && n <= MAX_LIMIT) out.limit = n;
+      else errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (q.cursor !== undefined) {
+      out.cursor = decodeCursor(String(q.cursor));
+      if (!out.cursor) errors.push("cursor is not valid");
+    }
+    if (q.status !== undefined) {
+      out.status = list(q.status);
+      const bad = out.status.filter(s => !STATUSES.includes(s));
+      if (bad.length) errors.push(`status must be one or more of ${STATUSES.join(", ")}`);
+    }
+    if (q.preset !== undefined) out.preset = list(q.preset);
+    if (q.favorite !== undefined) {
+      if (q.favorite === "true" || q.favorite === "false") out.favorite = q.favorite === "true";
+      else errors.push("favorite must be true or false");
+    }
+    for (const key of ["from", "to"]) {
+      if (q[key] === undefined) continue;
+      out[key] = parseDate(String(q[key]), key === "to");
+      if (out[key] === null) errors.push(`${key} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+    return errors.length ? { errors } : { filters: out };
+  }
+
+  function matches(e, f) {
+    if (f.status && !f.status.includes(e.status)) return false;
+    if (f.preset && !f.preset.includes(e.preset)) return false;
+    if (f.favorite !== null && e.favorite !== f.favorite) return false;
+    if (f.from !== null && e.takenAt < f.from) return false;
+    if (f.to !== null && e.takenAt > f.to) return false;
+    return true;
+  }
+
+  const publicEntry = ({ takenAt, ...rest }) => rest;
+
+  // filters from parseQuery() -> one page plus totals
+  function query(f) {
+    const compare = compareFor(f.sort);
+    const [field] = SORTS[f.sort];
+    const hits = ordered(f.sort).filter(e => matches(e, f));
+
+    // Keyset pagination: first entry that sorts after the cursor (stable while photos come and go)
+    let start = 0;
+    if (f.cursor) {
+      const probe = { [field]: f.cursor.key, name: f.cursor.name };
+      let lo = 0;
+      let hi = hits.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (compare(hits[mid], probe) <= 0) lo = mid + 1;
+        else hi = mid;
+      }
+      start = lo;
+    }
+    const page = hits.slice(start, start + f.limit);
+    const last = page[page.length - 1];
+    const more = start + page.length < hits.length;
+
+    const counts = { all: entries.size };
+    for (const s of STATUSES) counts[s] = 0;
+    for (const e of entries.values()) counts[e.status]++;
+
+    return {
+      items: page.map(publicEntry),
+      total: hits.length,
+      counts,
+      nextCursor: more && last ? encodeCursor(last[field] ?? 0, last.name) : null,
+    };
+  }
+
+  // Every match for filters from parseQuery(), unpaged (exports)
+  function select(f) {
+    return ordered(f.sort).filter(e => matches(e, f)).map(publicEntry);
+  }
+
+  // Photos still on disk, newest first (review, /latest, /gallery)
+  function localImages() {
+    return ordered("newest").filter(e => e.onDisk).map(publicEntry);
+  }
+
+  return { rebuild, refresh, watch, stop, parseQuery, query, select, localImages };
+}
+
+module.exports = { createGalleryIndex, stampTime, parseDate, STATUSES, SORTS };
@@ -0,0 +1,98 @@
+// lib/gestures.js - Turns raw button edges into gestures and dispatches named actions
+//   short  : press + release (fires at once unless the button also has a double action)
+//   long   : held for gestures.longPressMs
+//   double : two shorts within gestures.doublePressMs
+//   chord  : two buttons pressed within gestures.chordMs of each other
+// Per-button actions come from config.buttons[] (action = short, long, double);
+// chords from config.gestures.chords. Timings are read live, so PUT /config applies at once.
+
+// Every name a button or chord may be mapped to
+// ("showLast" opens review mode, see lib/review.js; "menu" the settings menu, lib/menu.js;
+// "health" the status screen, lib/health.js)
+const ACTION_NAMES = ["capture", "cyclePreset", "showLast", "discardLast", "showIp", "menu", "health"];
+
+function createGestureEngine({ buttons, getSettings, dispatch }) {
+  const state = new Map(); // gpio -> { down, downAt, consumed, longTimer, singleTimer }
+  for (const b of buttons) state.set(b.gpio, { down: false, downAt: 0, consumed: false, longTimer: null, singleTimer: null });
+
+  function fire(action, gesture, b) {
+    if (!action) return;
+    console.log(`Gesture: ${gesture}${b ? ` on GPIO ${b.gpio}` : ""} → ${action}`);
+    dispatch(action, { gesture, button: b || null });
+  }
+
+  // A chord is two configured buttons held together, the second pressed within chordMs
+  function findChord(b, now) {
+    const { chords, chordMs } = getSettings();
+    for (const chord of chords) {
+      if (!chord.gpios.includes(b.gpio)) continue;
+      const others = chord.gpios.filter(g => g !== b.gpio);
+      const ok = others.every(g => {
+        const s = state.get(g);
+        return s && s.down && !s.consumed && now - s.downAt <= chordMs;
+      });
+      if (ok) return chord;
+    }
+    return null;
+  }
+
+  function onPress(b, s, now) {
+    s.down = true;
+    s.downAt = now;
+    s.consumed = false;
+
+    const chord = findChord(b, now);
+    if (chord) {
+      for (const g of chord.gpios) {
+        const other = state.get(g);
+        other.consumed = true;
+        clearTimeout(other.longTimer);
+        clearTimeout(other.singleTimer);
+        other.singleTimer = null;
+      }
+      fire(chord.action, `chord ${chord.gpios.join("+")}`);
+      return;
+    }
+
+    if (b.long) {
+      clearTimeout(s.longTimer);
+      s.longTimer = setTimeout(() => {
+        if (!s.down || s.consumed) return;
+        s.consumed = true;
+        fire(b.long, "long", b);
+      }, getSettings().longPressMs);
+    }
+  }
+
+  function onRelease(b, s) {
+    if (!s.down) return;
+    s.down = false;
+    clearTimeout(s.longTimer);
+    if (s.consumed) return;
+
+    if (!b.double) return fire(b.action, "short", b);
+
+    if (s.singleTimer) {
+      clearTimeout(s.singleTimer);
+      s.singleTimer = null;
+      return fire(b.double, "double", b);
+    }
+    // Wait to see whether a second press follows
+    s.singleTimer = setTimeout(() => {
+      s.singleTimer = null;
+      fire(b.action, "short", b);
+    }, getSettings().doublePressMs);
+  }
+
+  // level: 0 = pressed (active-low), 1 = released
+  function handle(b, level) {
+    const s = state.get(b.gpio);
+    if (!s) return;
+    if (level === 0) onPress(b, s, Date.now());
+    else onRelease(b, s);
+  }
+
+  return { handle };
+}
+
+module.exports = { createGestureEngine, ACTION_NAMES };
@@ -0,0 +1,13 @@
+// lib/hash.js - SHA-256 helpers (archive tags and upload verification)
+const crypto = require("crypto");
+const fs = require("fs");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+async function fileSha256(file) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+module.exports = { sha256, fileSha256 };
@@ -0,0 +1,104 @@
+// lib/health.js - Device health for GET /status and the status screen
+// A probe is an async function returning its value. One that throws, or finds nothing to measure
+// on this host (no thermal sensor, no rpicam-still, ...), reports "unavailable", so a broken part
+// never hides the others and the same report works on a Pi and on a laptop.
+const fs = require("fs");
+const os = require("os");
+
+const UNAVAILABLE = "unavailable";
+// A probe that takes longer than this (a hung rpicam-still) is reported as unavailable
+const PROBE_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${ms / 1000}s`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Reuses a slow probe's answer (e.g. listing cameras) for ttlMs
+function cached(probe, ttlMs) {
+  let last = null; // { at, value }
+  let pending = null;
+  return async () => {
+    if (last && Date.now() - last.at < ttlMs) return last.value;
+    pending = pending || probe().finally(() => { pending = null; });
+    const value = await pending;
+    last = { at: Date.now(), value };
+    return value;
+  };
+}
+
+// ---------- Host probes ----------
+// SoC temperature in °C (Raspberry Pi OS exposes it as thermal zone 0, in millidegrees)
+async function socTemperature() {
+  const raw = await fs.promises.readFile("/sys/class/thermal/thermal_zone0/temp", "utf8");
+  const milli = Number(raw.trim());
+  if (!Number.isFinite(milli)) return UNAVAILABLE;
+  return Math.round(milli / 100) / 10;
+}
+
+// "Raspberry Pi Zero 2 W Rev 1.0"
+async function boardModel() {
+  const raw = await fs.promises.readFile("/proc/device-tree/model", "utf8");
+  return raw.replace(/\0/g, "").trim() || UNAVAILABLE;
+}
+
+// Space on the filesystem that holds dir
+async function diskSpace(dir) {
+  const st = await fs.promises.statfs(dir);
+  const totalBytes = st.blocks * st.bsize;
+  const freeBytes = st.bavail * st.bsize;
+  return { path: dir, freeBytes, totalBytes, freePercent: totalBytes ? Math.round((freeBytes / totalBytes) * 1000) / 10 : 0 };
+}
+
+function uptime() {
+  return { processSec: Math.round(process.uptime()), systemSec: Math.round(os.uptime()) };
+}
+
+// probes: { name: async () => value } -> check() runs them all at once
+function createHealth(probes) {
+  async function run(name, probe) {
+    try {
+      const value = await withTimeout(Promise.resolve().then(probe), PROBE_TIMEOUT_MS);
+      return value === undefined || value === null ? UNAVAILABLE : value;
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`Status: ${name} probe failed:`, e.message || e);
+      return UNAVAILABLE;
+    }
+  }
+
+  async function check() {
+    const names = Object.keys(probes);
+    const values = await Promise.all(names.map(n => run(n, probes[n])));
+    return Object.fromEntries(names.map((n, i) => [n, values[i]]));
+  }
+
+  return { check };
+}
+
+// Bytes -> "3.2G" / "870M" for the small screen
+function shortBytes(n) {
+  const units = ["B", "K", "M", "G", "T"];
+  let i = 0;
+  while (n >= 1000 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${n < 10 && i ? n.toFixed(1) : Math.round(n)}${units[i]}`;
+}
+
+// Seconds -> "3d4h" / "5h12m" / "7m"
+function shortDuration(sec) {
+  const d = Math.floor(sec / 86400);
+  const h = Math.floor((sec % 86400) / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  if (d) return `${d}d${h}h`;
+  if (h) return `${h}h${m}m`;
+  return `${m}m`;
+}
+
+module.exports = { createHealth, cached, socTemperature, boardModel, diskSpace, uptime, shortBytes, shortDuration, UNAVAILABLE };
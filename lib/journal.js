@@ -0,0 +1,176 @@
+// lib/journal.js - Capture journal: one JSON line per capture attempt (captures.jsonl, GET /history)
+// { id, at, source: "button" | "http" | "schedule", by, account, preset,
+//   result: "ok" | "failed" | "refused", filename, durationMs,
+//   stages: { camera, convert, metadata, save } (ms, as far as the attempt got),
+//   error: { code, stage, message, stderr } | null }
+// A capture that outlives capture.timeoutMs is journaled when it ends: failed with code TIMEOUT,
+// and with the filename of the photo if it still saved one.
+// Append-only. Past journal.maxSizeKb the file moves to .1 (the older ones to .2, ...) and only
+// journal.files files are kept, so it never grows past maxSizeKb x files.
+const fs = require("fs");
+const crypto = require("crypto");
+const { isoLocal } = require("./time");
+const { parseDate } = require("./gallery-index");
+
+const SOURCES = ["button", "http", "schedule"];
+const RESULTS = ["ok", "failed", "refused"];
+const STAGES = ["camera", "convert", "metadata", "save"];
+const MAX_LIMIT = 500;
+const DEFAULT_LIMIT = 50;
+const STDERR_MAX = 500;
+
+function describeError(e, stages) {
+  return {
+    code: e?.code || "ERROR",
+    // A timeout is blamed on the stage that had not finished
+    stage: e?.stage || (e?.code === "TIMEOUT" ? STAGES.find(s => !(s in stages)) || null : null),
+    message: String(e?.message || e),
+    stderr: e?.stderr ? String(e.stderr).slice(-STDERR_MAX) : null,
+  };
+}
+
+function createJournal({ file, getSettings }) {
+  const rotated = (n) => `${file}.${n}`;
+
+  function rotateIfFull() {
+    const { maxSizeKb, files } = getSettings();
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch {
+      return;
+    }
+    if (size < maxSizeKb * 1024) return;
+    for (let n = files - 1; fs.existsSync(rotated(n)); n++) fs.rmSync(rotated(n), { force: true });
+    for (let n = files - 2; n >= 1; n--) {
+      if (fs.existsSync(rotated(n))) fs.renameSync(rotated(n), rotated(n + 1));
+    }
+    fs.renameSync(file, rotated(1));
+  }
+
+  // A journal problem must never cost a photo, so failures here only log
+  function append(record) {
+    try {
+      rotateIfFull();
+      fs.appendFileSync(file, JSON.stringify(record) + "\n");
+    } catch (e) {
+      console.error("Journal write failed:", e.message);
+    }
+  }
+
+  // Starts an attempt; pass attempt.stages to captureImage() and end it with exactly one of
+  // succeed(filename), fail(error[, filename]) or refuse(code, message) (later calls are ignored)
+  function begin({ source, account = null, by = null, preset = null }) {
+    const started = Date.now();
+    const base = {
+      id: `${started.toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+      at: isoLocal(new Date(started)),
+      source,
+      by,
+      account,
+      preset,
+    };
+    const stages = {};
+    let done = false;
+    function finish(result, extra) {
+      if (done) return;
+      done = true;
+      append({ ...base, result, filename: null, durationMs: Date.now() - started, stages, error: null, ...extra });
+    }
+    return {
+      stages,
+      succeed: (filename) => finish("ok", { filename }),
+      fail: (e, filename = null) => finish("failed", { filename, error: describeError(e, stages) }),
+      refuse: (code, message) => finish("refused", { error: { code, stage: null, message, stderr: null } }),
+    };
+  }
+
+  // Every record, newest first (current file, then .1, .2, ...)
+  function readAll() {
+    const out = [];
+    for (let n = 0; ; n++) {
+      const name = n ? rotated(n) : file;
+      let text;
+      try {
+        text = fs.readFileSync(name, "utf8");
+      } catch {
+        if (n) break;
+        continue;
+      }
+      const lines = text.split("\n").filter(Boolean).reverse();
+      for (const line of lines) {
+        try {
+          out.push(JSON.parse(line));
+        } catch {} // a line cut short by a power loss
+      }
+    }
+    return out;
+  }
+
+  // Query string -> { filters } or { errors }
+  //   source=button,http  result=failed  error=TIMEOUT,CONVERT  account=device
+  //   from=YYYY-MM-DD|ISO  to=YYYY-MM-DD|ISO  limit=1..500  before=<nextBefore of the previous page>
+  function parseQuery(q = {}) {
+    const errors = [];
+    const list = (v) => String(v).split(",").map(s => s.trim()).filter(Boolean);
+    const out = { source: null, result: null, error: null, account: null, from: null, to: null, limit: DEFAULT_LIMIT, before: null };
+    for (const [key, allowed] of [["source", SOURCES], ["result", RESULTS]]) {
+      if (q[key] === undefined) continue;
+      out[key] = list(q[key]);
+      if (out[key].some(v => !allowed.includes(v))) errors.push(`${key} must be one or more of ${allowed.join(", ")}`);
+    }
+    if (q.error !== undefined) out.error = list(q.error);
+    if (q.account !== undefined) out.account = String(q.account);
+    for (const key of ["from", "to"]) {
+      if (q[key] === undefined) continue;
+      out[key] = parseDate(String(q[key]), key === "to");
+      if (out[key] === null) errors.push(`${key} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+    if (q.limit !== undefined) {
+      const n = Number(q.limit);
+      if (Number.isInteger(n) && n >= 1 && n <= MAX_LIMIT) out.limit = n;
+      else errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (q.before !== undefined) out.before = String(q.before);
+    return errors.length ? { errors } : { filters: out };
+  }
+
+  function matches(r, f) {
+    if (f.source && !f.source.includes(r.source)) return false;
+    if (f.result && !f.result.includes(r.result)) return false;
+    if (f.error && !f.error.includes(r.error?.code)) return false;
+    if (f.account !== null && r.account !== f.account) return false;
+    const t = Date.parse(r.at);
+    if (f.from !== null && t < f.from) return false;
+    if (f.to !== null && t > f.to) return false;
+    return true;
+  }
+
+  // filters from parseQuery() -> one page, newest first, plus totals over every match
+  function query(f) {
+    const hits = readAll().filter(r => matches(r, f));
+    const summary = { total: hits.length, ok: 0, failed: 0, refused: 0, avgMs: {} };
+    const sums = {};
+    for (const r of hits) {
+      summary[r.result]++;
+      if (r.result !== "ok") continue;
+      for (const [stage, ms] of Object.entries(r.stages || {})) {
+        sums[stage] = sums[stage] || { ms: 0, n: 0 };
+        sums[stage].ms += ms;
+        sums[stage].n++;
+      }
+    }
+    for (const [stage, { ms, n }] of Object.entries(sums)) summary.avgMs[stage] = Math.round(ms / n);
+
+    // A cursor that has been rotated away ends the listing
+    const start = f.before ? hits.findIndex(r => r.id === f.before) + 1 : 0;
+    if (f.before && !start) return { records: [], nextBefore: null, summary };
+    const records = hits.slice(start, start + f.limit);
+    const more = start + records.length < hits.length;
+    return { records, nextBefore: more ? records[records.length - 1].id : null, summary };
+  }
+
+  return { begin, parseQuery, query };
+}
+
+module.exports = { createJournal, SOURCES, RESULTS, STAGES };
@@ -0,0 +1,124 @@
+// lib/library.js - Photo management: delete, favorite, title and caption
+// Keeps images/, thumbnails, photos.json, arweave.json, the upload queue and
+// public/latest.webp in step, so no pending entry is left pointing at a deleted file.
+const path = require("path");
+const fs = require("fs");
+const { embedMetadata } = require("./metadata");
+const { backendRecords } = require("./manifest");
+
+const MAX_TITLE = 100;
+const MAX_CAPTION = 200;
+
+// Failure with an HTTP status for the routes (404 missing, 409 conflicting state, 400 bad input)
+function libraryError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function singleLine(value, field, max) {
+  if (value === null) return null;
+  if (typeof value !== "string" || value.length > max || /[\x00-\x1f]/.test(value)) {
+    throw libraryError(400, `${field} must be a single line of at most ${max} characters, or null`);
+  }
+  return value.trim() || null;
+}
+
+// { favorite?, title?, caption? } -> validated patch (unknown fields are an error)
+function validatePatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw libraryError(400, "Body must be an object");
+  const unknown = Object.keys(patch).filter(k => !["favorite", "title", "caption"].includes(k));
+  if (unknown.length) throw libraryError(400, `Unknown field(s): ${unknown.join(", ")}`);
+  if (!Object.keys(patch).length) throw libraryError(400, "Nothing to change");
+  const out = {};
+  if ("favorite" in patch) {
+    if (typeof patch.favorite !== "boolean") throw libraryError(400, "favorite must be true or false");
+    out.favorite = patch.favorite;
+  }
+  if ("title" in patch) out.title = singleLine(patch.title, "title", MAX_TITLE);
+  if ("caption" in patch) out.caption = singleLine(patch.caption, "caption", MAX_CAPTION);
+  return out;
+}
+
+// A bare *.webp name, so path.join(imagesDir, name) stays inside images/ (no "../", no "/")
+function isPhotoName(name) {
+  return typeof name === "string" && path.basename(name) === name && name.endsWith(".webp");
+}
+
+// listImages() -> newest-first [{ name }] of photos on disk
+function createLibrary({ imagesDir, outputPath, photos, manifest, thumbs, uploader, listImages, broadcast }) {
+  const filePath = (name) => path.join(imagesDir, name);
+
+  function check(name) {
+    if (!isPhotoName(name)) throw libraryError(400, "Invalid filename");
+    const onDisk = fs.existsSync(filePath(name));
+    const entry = manifest.getManifestEntry(name);
+    if (!onDisk && entry?.status !== "success") throw libraryError(404, "Photo not found");
+    return { onDisk, entry };
+  }
+
+  // Local photos only: an archived copy cannot be taken back
+  async function deletePhoto(name) {
+    const { onDisk, entry } = check(name);
+    if (!onDisk) throw libraryError(409, "Photo is archived and cannot be deleted");
+    if (uploader?.isUploading(name)) throw libraryError(409, "Photo is being uploaded");
+
+    const [newest] = await listImages();
+    // Never archived anywhere: forget it entirely; some copy made (file left behind): keep the
+    // record, with the copies still to be made cancelled rather than left pending
+    const archived = Object.values(backendRecords(entry)).some(r => r.status === "success");
+    if (archived) uploader?.abandonUpload(name);
+    else uploader?.cancelUpload(name);
+    await fs.promises.unlink(filePath(name));
+    if (entry && !archived) manifest.removeManifestEntry(name);
+    if (!archived) photos.removePhoto(name);
+    await thumbs.remove(name);
+
+    // Keep public/latest.webp in step with what is left
+    if (newest?.name === name) {
+      const [prev] = (await listImages()).filter(i => i.name !== name);
+      if (prev) await fs.promises.copyFile(filePath(prev.name), outputPath);
+      else await fs.promises.rm(outputPath, { force: true });
+    }
+
+    broadcast({ type: "deleted", filename: name });
+    console.log("Deleted:", name);
+  }
+
+  async function updatePhoto(name, rawPatch) {
+    const patch = validatePatch(rawPatch);
+    const { onDisk } = check(name);
+    const textChanged = "title" in patch || "caption" in patch;
+    if (textChanged && uploader?.isUploading(name)) throw libraryError(409, "Photo is being uploaded");
+
+    const record = photos.upsertPhoto(name, patch);
+    // Title and caption live in the file too, so an upload later carries the new text
+    if (textChanged && onDisk) {
+      try {
+        await embedMetadata(filePath(name), record);
+      } catch (e) {
+        console.warn("Metadata not updated:", name, e.message);
+      }
+    }
+    broadcast({ type: "updated", filename: name });
+    return record;
+  }
+
+  // action "delete" or "update" (with patch) over several photos; one failure does not stop the rest
+  async function bulk(action, names, patch) {
+    const results = [];
+    for (const name of names) {
+      try {
+        if (action === "delete") await deletePhoto(name);
+        else await updatePhoto(name, patch);
+        results.push({ name, ok: true });
+      } catch (e) {
+        results.push({ name, ok: false, error: e.status ? e.message : "Failed" });
+        if (!e.status) console.error(`Bulk ${action} failed:`, name, e);
+      }
+    }
+    return results;
+  }
+
+  return { deletePhoto, updatePhoto, bulk, validatePatch };
+}
+
+module.exports = { createLibrary, isPhotoName };
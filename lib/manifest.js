@@ -0,0 +1,98 @@
+// lib/manifest.js - arweave.json: one entry per image that was ever queued for upload
+// Emits "change" ({ filename, entry }) on every write; entry is null once removed,
+// filename is null after a whole-file write. Per-backend copies live under `backends`
+// (see lib/uploader.js). The file is read once and then served from memory: only this process
+// writes it.
+const fs = require("fs");
+const { EventEmitter } = require("events");
+
+// Entry -> { <backend>: { status, url, id, ... } }. Entries written before there were
+// several backends only know about Arweave.
+function backendRecords(entry) {
+  if (entry?.backends) return entry.backends;
+  if (entry?.status === "success") return { turbo: { status: "success", url: entry.url, id: entry.txId, uploadedAt: entry.uploadedAt } };
+  return {};
+}
+
+function createManifest(file) {
+  const emitter = new EventEmitter();
+  // Read once, then kept in step by every write; byName is what getManifestEntry looks in
+  let entries = null;
+  const byName = new Map();
+
+  function remember(arr) {
+    entries = arr;
+    byName.clear();
+    for (const m of arr) byName.set(m.filename, m);
+  }
+
+  // A file that does not parse (a write torn by a power cut) is moved aside, never overwritten:
+  // it holds the only record of where the archived copies are
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      return remember([]);
+    }
+    try {
+      const arr = JSON.parse(raw);
+      if (!Array.isArray(arr)) throw new Error("not a list of entries");
+      remember(arr);
+    } catch (e) {
+      const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+      fs.renameSync(file, aside);
+      console.error(`Manifest ${file} is unreadable (${e.message}); moved it to ${aside} and started a new one`);
+      remember([]);
+    }
+  }
+
+  function readManifest() {
+    if (!entries) load();
+    return entries.slice();
+  }
+  function writeManifest(arr) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(arr, null, 2));
+    fs.renameSync(tmp, file);
+    remember(arr.slice());
+  }
+  function writeAll(arr) {
+    writeManifest(arr);
+    emitter.emit("change", { filename: null, entry: null });
+  }
+  function upsertManifestEntry(filename, patch) {
+    const m = readManifest();
+    const i = m.findIndex(x => x.filename === filename);
+    const base = i >= 0 ? m[i] : { filename, status: "none" };
+    const next = { ...base, ...patch };
+    if (i >= 0) m[i] = next; else m.push(next);
+    writeManifest(m);
+    emitter.emit("change", { filename, entry: next });
+    return next;
+  }
+  function removeManifestEntry(filename) {
+    const m = readManifest();
+    const next = m.filter(x => x.filename !== filename);
+    if (next.length === m.length) return false;
+    writeManifest(next);
+    emitter.emit("change", { filename, entry: null });
+    return true;
+  }
+  function getManifestEntry(filename) {
+    if (!entries) load();
+    return byName.get(filename);
+  }
+
+  return {
+    readManifest,
+    writeManifest: writeAll,
+    upsertManifestEntry,
+    removeManifestEntry,
+    getManifestEntry,
+    on: (event, fn) => emitter.on(event, fn),
+  };
+}
+
+module.exports = { createManifest, backendRecords };
@@ -0,0 +1,161 @@
+// lib/menu.js - On-screen menu framework for the LCD, driven by button gestures
+// Menus are plain data:
+//   { title, items: [
+//       { type: "choice", label, options: () => [{ value, label }], get: () => value, set: async (v) => msg? },
+//       { type: "number", label, min, max, step, unit?, get, set },
+//       { type: "action", label, confirm?: true, details?: async () => [line], run: async () => msg? },
+//       { type: "submenu", label, menu: { title, items } },
+//     ] }
+// Any item may have `visible: () => bool`. A "‹ Back" / "‹ Exit" row is added automatically.
+// `details` lines are shown above No / Yes when a confirm action asks.
+// Gestures map to next / prev / select / back (config menu.gestures); chords always go back.
+
+const MENU_ACTIONS = ["next", "prev", "select", "back"];
+const VISIBLE_ROWS = 6;
+const MESSAGE_MS = 1500;
+
+function createMenu({ ui, getSettings, onExit }) {
+  let stack = [];     // [{ menu, index }]
+  let editor = null;  // { item, options, index, details } while a value is being changed
+  let timer = null;
+
+  const isActive = () => stack.length > 0;
+  const frame = () => stack[stack.length - 1];
+
+  function rowsOf(f) {
+    const items = f.menu.items.filter(i => !i.visible || i.visible());
+    return [...items, { type: "back", label: stack.length > 1 ? "‹ Back" : "‹ Exit" }];
+  }
+
+  function optionsOf(item) {
+    if (item.type === "choice") return item.options();
+    if (item.type === "number") {
+      const out = [];
+      for (let v = item.min; v <= item.max; v += item.step || 1) out.push({ value: v, label: `${v}${item.unit || ""}` });
+      return out;
+    }
+    if (item.type === "action") return [{ value: false, label: "No" }, { value: true, label: "Yes" }];
+    return [];
+  }
+
+  function valueLabel(item) {
+    if (item.type === "submenu") return "›";
+    if (item.type !== "choice" && item.type !== "number") return "";
+    const v = item.get();
+    const opt = optionsOf(item).find(o => o.value === v);
+    return opt ? opt.label : String(v);
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    timer = setTimeout(close, getSettings().timeoutSec * 1000);
+  }
+
+  async function render() {
+    const f = frame();
+    if (editor) {
+      // Editor: the options become the list, current choice highlighted, details on top
+      const rows = [...editor.details, ...editor.options.map(o => o.label)].map(label => ({ label, value: "" }));
+      const title = editor.item.type === "action" ? `${editor.item.label}?` : editor.item.label;
+      return draw(title, rows, editor.details.length + editor.index, true);
+    }
+    const rows = rowsOf(f).map(i => ({ label: i.label, value: valueLabel(i) }));
+    return draw(f.menu.title, rows, f.index, false);
+  }
+
+  // Scrolls so the selection stays on screen
+  async function draw(title, rows, selected, editing) {
+    const start = Math.max(0, Math.min(selected - Math.floor(VISIBLE_ROWS / 2), rows.length - VISIBLE_ROWS));
+    await ui.showMenu(title, rows.slice(start, start + VISIBLE_ROWS), selected - start, editing);
+  }
+
+  async function open(menu) {
+    stack = [{ menu, index: 0 }];
+    editor = null;
+    await render();
+    arm();
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (!isActive()) return;
+    stack = [];
+    editor = null;
+    onExit();
+  }
+
+  async function message(text) {
+    await ui.showStatus(text);
+    await new Promise(r => setTimeout(r, MESSAGE_MS));
+  }
+
+  async function select() {
+    const f = frame();
+    if (editor) {
+      const { item, options, index } = editor;
+      editor = null;
+      const value = options[index].value;
+      let msg = null;
+      if (item.type === "action") {
+        if (value) msg = await item.run();
+      } else if (value !== item.get()) {
+        msg = await item.set(value);
+      }
+      if (msg) await message(msg);
+      return;
+    }
+
+    const item = rowsOf(f)[f.index];
+    if (item.type === "back") return back();
+    if (item.type === "submenu") {
+      stack.push({ menu: item.menu, index: 0 });
+      return;
+    }
+    if (item.type === "action" && !item.confirm) {
+      const msg = await item.run();
+      if (msg) await message(msg);
+      return;
+    }
+    const options = optionsOf(item);
+    const current = item.type === "action" ? false : item.get();
+    const details = item.details ? await item.details() : [];
+    editor = { item, options, index: Math.max(0, options.findIndex(o => o.value === current)), details };
+  }
+
+  function back() {
+    if (editor) {
+      editor = null;
+      return;
+    }
+    if (stack.length > 1) stack.pop();
+    else close();
+  }
+
+  function move(delta) {
+    if (editor) {
+      const n = editor.options.length;
+      editor.index = (editor.index + delta + n) % n;
+      return;
+    }
+    const f = frame();
+    const n = rowsOf(f).length;
+    f.index = (f.index + delta + n) % n;
+  }
+
+  // Gesture name ("short", "long", "double", "chord …") -> menu action from config
+  async function handle(gesture) {
+    if (!isActive()) return;
+    const action = gesture.startsWith("chord") ? "back" : getSettings().gestures[gesture];
+    if (action === "next") move(1);
+    else if (action === "prev") move(-1);
+    else if (action === "select") await select();
+    else if (action === "back") back();
+    if (!isActive()) return;
+    await render();
+    arm();
+  }
+
+  return { open, close, handle, isActive };
+}
+
+module.exports = { createMenu, MENU_ACTIONS };
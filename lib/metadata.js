@@ -0,0 +1,155 @@
+// lib/metadata.js - Capture metadata embedded in each saved WebP (EXIF + XMP)
+// The file is what gets archived, so the shot stays self-describing once it is on Arweave.
+// EXIF carries what generic viewers understand; XMP carries everything, including the preset.
+const fs = require("fs");
+const { isWebp, setMetadata } = require("./webp");
+const { APP_NAME, APP_VERSION } = require("./version");
+
+const XMP_NS = "https://pixel-cam.local/ns/1.0/";
+
+// TIFF field types
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+const TYPE_SIZE = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8 };
+
+// "2026-10-19T14:03:22+02:00" -> { dateTime: "2026:10:19 14:03:22", offset: "+02:00" }
+function exifDate(iso) {
+  const m = /^(\d{4})-(\d\d)-(\d\d)T(\d\d:\d\d:\d\d)(?:\.\d+)?(Z|[+-]\d\d:\d\d)$/.exec(iso || "");
+  if (!m) return null;
+  return { dateTime: `${m[1]}:${m[2]}:${m[3]} ${m[4]}`, offset: m[5] === "Z" ? "+00:00" : m[5] };
+}
+
+// IFD entries: [tag, type, value]; ASCII is a string, SHORT/LONG a number, RATIONAL [num, den]
+function encodeValue(type, value) {
+  if (type === ASCII) return Buffer.from(String(value).replace(/[^\x20-\x7e]/g, "?") + "\0", "latin1");
+  const buf = Buffer.alloc(TYPE_SIZE[type]);
+  if (type === SHORT) buf.writeUInt16LE(value, 0);
+  else if (type === LONG) buf.writeUInt32LE(value, 0);
+  else {
+    buf.writeUInt32LE(value[0], 0);
+    buf.writeUInt32LE(value[1], 4);
+  }
+  return buf;
+}
+
+// Lays out one IFD at `offset`; returns its bytes (entries + out-of-line values)
+function encodeIfd(entries, offset) {
+  const sorted = [...entries].sort((a, b) => a[0] - b[0]);
+  const head = Buffer.alloc(2 + sorted.length * 12 + 4);
+  const extra = [];
+  let extraOff = offset + head.length;
+  head.writeUInt16LE(sorted.length, 0);
+  sorted.forEach(([tag, type, value], i) => {
+    const data = encodeValue(type, value);
+    const at = 2 + i * 12;
+    head.writeUInt16LE(tag, at);
+    head.writeUInt16LE(type, at + 2);
+    head.writeUInt32LE(data.length / TYPE_SIZE[type], at + 4);
+    if (data.length <= 4) {
+      data.copy(head, at + 8);
+    } else {
+      head.writeUInt32LE(extraOff, at + 8);
+      const padded = data.length & 1 ? Buffer.concat([data, Buffer.alloc(1)]) : data;
+      extra.push(padded);
+      extraOff += padded.length;
+    }
+  });
+  return Buffer.concat([head, ...extra]); // next-IFD pointer stays 0
+}
+
+function buildExif(meta) {
+  const ifd0 = [[0x0131, ASCII, `${APP_NAME} ${APP_VERSION}`]];
+  if (meta.caption) ifd0.push([0x010e, ASCII, meta.caption]);
+
+  const exif = [];
+  const when = exifDate(meta.capturedAt);
+  if (when) exif.push([0x9003, ASCII, when.dateTime], [0x9011, ASCII, when.offset]);
+  if (meta.exposureUs) exif.push([0x829a, RATIONAL, [Math.round(meta.exposureUs), 1000000]]);
+  if (meta.analogueGain) {
+    const iso = Math.round(meta.analogueGain * (meta.digitalGain || 1) * 100);
+    exif.push([0x8827, SHORT, Math.min(iso, 65535)]);
+  }
+  if (meta.deviceId) exif.push([0xa431, ASCII, meta.deviceId]);
+
+  // IFD0 is written first, so its size (with the Exif pointer entry) fixes where the Exif IFD goes
+  const ifd0Entries = [...ifd0, [0x8769, LONG, 0]];
+  const exifOffset = 8 + encodeIfd(ifd0Entries, 8).length;
+  ifd0Entries[ifd0Entries.length - 1][2] = exifOffset;
+
+  const header = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00]); // "II*\0", IFD0 at 8
+  return Buffer.concat([header, encodeIfd(ifd0Entries, 8), encodeIfd(exif, exifOffset)]);
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function buildXmp(meta) {
+  const attrs = [
+    ["xmp:CreateDate", meta.capturedAt],
+    ["xmp:CreatorTool", `${APP_NAME} ${APP_VERSION}`],
+    ["exif:ExposureTime", meta.exposureUs ? `${Math.round(meta.exposureUs)}/1000000` : null],
+    ["pixel:AnalogueGain", meta.analogueGain],
+    ["pixel:DigitalGain", meta.digitalGain],
+    ["pixel:Preset", meta.preset],
+    ["pixel:DeviceId", meta.deviceId],
+    ["pixel:AppVersion", APP_VERSION],
+  ].filter(([, v]) => v != null && v !== "");
+  const alt = (tag, text) => `\n   <${tag}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt></${tag}>`;
+  const texts = (meta.title ? alt("dc:title", meta.title) : "") + (meta.caption ? alt("dc:description", meta.caption) : "");
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    '    xmlns:exif="http://ns.adobe.com/exif/1.0/"',
+    '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    `    xmlns:pixel="${XMP_NS}"`,
+    ...attrs.map(([k, v]) => `    ${k}="${escapeXml(v)}"`),
+    texts ? `  >${texts}\n  </rdf:Description>` : "  />",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>',
+  ].join("\n");
+}
+
+// Arweave tags for a photo, so it can be found through GraphQL later, e.g.
+//   transactions(tags: [{ name: "App-Name", values: ["pixel"] }, { name: "Roll", values: ["cam1/2026-10-19"] }])
+// meta: the photo record (may be empty for old photos); file: { filename, type, sha256 }
+function archiveTags(meta = {}, { filename, type, sha256 }) {
+  const capturedAt = Date.parse(meta.capturedAt);
+  // The local calendar day the photo was taken, per camera: one "roll" a day
+  const day = (meta.capturedAt || "").slice(0, 10) || (/^\d{4}-\d\d-\d\d/.exec(filename) || [])[0];
+  const tags = [
+    ["Content-Type", type],
+    ["App-Name", APP_NAME],
+    ["App-Version", APP_VERSION],
+    ["Type", "photo"],
+    ["File-Name", filename],
+    ["File-SHA256", sha256],
+    ["Capture-Time", meta.capturedAt],
+    ["Unix-Time", Number.isFinite(capturedAt) ? String(Math.floor(capturedAt / 1000)) : null],
+    ["Device-Id", meta.deviceId],
+    ["Roll", day ? [meta.deviceId, day].filter(Boolean).join("/") : null],
+    ["Preset", meta.preset],
+    ["Title", meta.title],
+    ["Caption", meta.caption],
+  ];
+  return tags.filter(([, value]) => value != null && value !== "").map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Rewrites the WebP at `file` with EXIF + XMP for `meta`
+// ({ capturedAt, exposureUs, analogueGain, digitalGain, preset, deviceId, title, caption })
+async function embedMetadata(file, meta) {
+  const buf = await fs.promises.readFile(file);
+  if (!isWebp(buf)) throw new Error("Output is not a WebP file");
+  const out = setMetadata(buf, { exif: buildExif(meta), xmp: buildXmp(meta) });
+  const tmp = file + ".tmp";
+  await fs.promises.writeFile(tmp, out);
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = { embedMetadata, buildExif, buildXmp, archiveTags };
@@ -0,0 +1,67 @@
+// lib/photos.js - photos.json: per-image details recorded at capture time (preset, exposure, ...)
+// Keyed by the filename in images/. Kept after upload so archived shots stay described.
+// Emits "change" ({ filename, record }) on every write; record is null once removed,
+// filename is null after a whole-file write.
+const fs = require("fs");
+const { EventEmitter } = require("events");
+
+// Capture metadata as exposed by /gallery.json (the same fields are embedded in the file)
+const PHOTO_FIELDS = ["capturedAt", "preset", "exposureUs", "analogueGain", "digitalGain", "deviceId", "appVersion", "title", "caption"];
+
+function photoMeta(record) {
+  return Object.fromEntries(PHOTO_FIELDS.map(k => [k, record?.[k] ?? null]));
+}
+
+function createPhotoStore(file) {
+  const emitter = new EventEmitter();
+
+  function readPhotos() {
+    try {
+      const raw = fs.readFileSync(file, "utf8");
+      const obj = JSON.parse(raw);
+      if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("bad photo store");
+      return obj;
+    } catch {
+      return {};
+    }
+  }
+  function writePhotos(obj) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  function writeAll(obj) {
+    writePhotos(obj);
+    emitter.emit("change", { filename: null, record: null });
+  }
+  function upsertPhoto(filename, patch) {
+    const all = readPhotos();
+    const next = { ...(all[filename] || { filename }), ...patch };
+    all[filename] = next;
+    writePhotos(all);
+    emitter.emit("change", { filename, record: next });
+    return next;
+  }
+  function getPhoto(filename) {
+    return readPhotos()[filename];
+  }
+
+  function removePhoto(filename) {
+    const all = readPhotos();
+    if (!(filename in all)) return;
+    delete all[filename];
+    writePhotos(all);
+    emitter.emit("change", { filename, record: null });
+  }
+
+  return {
+    readPhotos,
+    writePhotos: writeAll,
+    upsertPhoto,
+    getPhoto,
+    removePhoto,
+    on: (event, fn) => emitter.on(event, fn),
+  };
+}
+
+module.exports = { createPhotoStore, photoMeta, PHOTO_FIELDS };
@@ -0,0 +1,66 @@
+// lib/presets.js - B&W film-stock presets for the ImageMagick step
+// Each preset = channel mix before the gray conversion + tone curve + synthetic grain.
+// "classic" keeps the profile's own capture.convertArgs untouched.
+
+const RESIZE = "-resize '1024x1024>'";
+const OUTPUT = "-quality 80";
+
+const PRESETS = {
+  classic: {
+    label: "Classic (profile pipeline)",
+  },
+  trix: {
+    label: "Tri-X 400 – punchy contrast",
+    mix: [0.30, 0.55, 0.15],
+    curve: { sigmoidal: "7x50%", level: "2%,98%" },
+    grain: 0.35,
+  },
+  pan: {
+    label: "Pan F – soft and fine-grained",
+    mix: [0.30, 0.59, 0.11],
+    curve: { sigmoidal: "2x45%", level: "0%,100%,1.15" },
+    grain: 0.08,
+  },
+  redfilter: {
+    label: "Red filter – dark skies, bright skin",
+    mix: [0.90, 0.10, 0.00],
+    curve: { sigmoidal: "5x45%", level: "3%,97%" },
+    grain: 0.2,
+  },
+  push: {
+    label: "Pushed 3200 – grainy and hard",
+    mix: [0.33, 0.50, 0.17],
+    curve: { sigmoidal: "9x50%", level: "8%,92%,0.9" },
+    grain: 0.8,
+  },
+};
+
+function isPreset(name) {
+  return Object.prototype.hasOwnProperty.call(PRESETS, name);
+}
+
+// ImageMagick arguments between the input JPEG and the output WebP
+function buildConvertArgs(name, classicArgs) {
+  const p = PRESETS[name];
+  if (!p) throw new Error(`Unknown preset "${name}"`);
+  if (!p.mix) return classicArgs;
+
+  const [r, g, b] = p.mix;
+  const args = [
+    RESIZE,
+    // Same weights on every row, so the gray conversion just keeps the mixed luminance
+    `-color-matrix '${[r, g, b, r, g, b, r, g, b].join(" ")}'`,
+    "-colorspace Gray",
+    `-level ${p.curve.level}`,
+    `-sigmoidal-contrast ${p.curve.sigmoidal}`,
+  ];
+  if (p.grain > 0) args.push(`-attenuate ${p.grain} +noise Gaussian`);
+  args.push(OUTPUT);
+  return args.join(" ");
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, p]) => ({ name, label: p.label }));
+}
+
+module.exports = { PRESETS, isPreset, buildConvertArgs, listPresets };
@@ -0,0 +1,38 @@
+// lib/profiles.js - Device profiles: which display, which buttons, which features
+// Pick one with "profile" in config.json or PIXEL_PROFILE=<name> (default: waveshare-144).
+// A profile only supplies defaults; config.json and env can still override any of it.
+
+// ImageMagick arguments between the input JPEG and the output WebP
+const PIPELINES = {
+  plain: "-resize '1024x1024>' -colorspace Gray -quality 80",
+  stretched: "-resize '1024x1024>' -colorspace Gray -auto-level -contrast-stretch 0.5%x0.5% -define webp:lossless=false -quality 80 -define webp:method=6 -define webp:target-size=100000",
+};
+
+const PROFILES = {
+  // Waveshare 1.44" LCD HAT (ST7735S over SPI), single button on GPIO13
+  "waveshare-144": {
+    display: { driver: "st7735s", rotation: 0, spiDevice: "/dev/spidev0.0" },
+    buttons: [
+      { gpio: 13, action: "capture", long: "showLast", double: "menu", glitchUs: 10000 },
+    ],
+    features: { quota: true, upload: true },
+    capture: { convertArgs: PIPELINES.plain },
+  },
+
+  // SSD1306 OLED @ 0x3C, buttons to GND on GPIO17 (capture) and GPIO27 (helper)
+  "oled-two-buttons": {
+    display: { driver: "ssd1306", bus: 1, address: 0x3c, width: 128, height: 64 },
+    buttons: [
+      { gpio: 17, action: "capture", glitchUs: 10000 },
+      { gpio: 27, action: "cyclePreset", long: "discardLast", double: "menu", glitchUs: 10000 },
+    ],
+    // The status screen starts with the IP address, so it also does what "showIp" did
+    gestures: { chords: [{ gpios: [17, 27], action: "health" }] },
+    features: { quota: true, upload: false },
+    capture: { convertArgs: PIPELINES.stretched },
+  },
+};
+
+const DEFAULT_PROFILE = "waveshare-144";
+
+module.exports = { PROFILES, PIPELINES, DEFAULT_PROFILE };
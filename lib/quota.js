@@ -0,0 +1,224 @@
+// lib/quota.js - Shot quota persisted in state.json
+// Settings are read through getSettings() (config "quota") so changes apply without a restart.
+// Each account gets quota.dailyLimit shots per period: "device" (the camera's buttons, time-lapse
+// and every HTTP capture) and, with quota.perToken on, each paired token on its own.
+//   daily   refills every day at quota.resetTime (local time)
+//   weekly  refills on quota.weekStart at quota.resetTime
+//   roll    a roll of dailyLimit shots; the next roll is loaded by hand (reset)
+// Up to quota.rollover unused shots carry into the next period. Shots used, granted and
+// refunded per day are kept for quota.historyDays.
+const fs = require("fs");
+const { todayLocalISODate } = require("./time");
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const PERIODS = ["daily", "weekly", "roll"];
+const DEVICE = "device";
+const DAY_MS = 24 * 3600 * 1000;
+
+const quotaError = (status, message) => Object.assign(new Error(message), { status });
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Local start of the daily/weekly period that `now` falls in
+function periodStart({ period, resetTime, weekStart }, now = new Date()) {
+  const [h, m] = resetTime.split(":").map(Number);
+  const d = new Date(now);
+  d.setHours(h, m, 0, 0);
+  if (d > now) d.setDate(d.getDate() - 1);
+  if (period === "weekly") d.setDate(d.getDate() - ((d.getDay() - WEEKDAYS.indexOf(weekStart) + 7) % 7));
+  return d;
+}
+
+function nextReset({ period }, start) {
+  if (period === "roll") return null;
+  const d = new Date(start);
+  d.setDate(d.getDate() + (period === "weekly" ? 7 : 1));
+  return d;
+}
+
+function createQuota({ statePath, getSettings }) {
+  const limitFor = (id, acc, s = getSettings()) => acc?.limit ?? (id === DEVICE ? s.dailyLimit : s.perToken.limit);
+
+  function emptyState() {
+    return { version: 2, accounts: {}, history: {} };
+  }
+  function readState() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(statePath, "utf8"));
+      if (obj?.version === 2 && isObject(obj.accounts) && isObject(obj.history)) return obj;
+      // Before accounts: { date, shotsRemaining } for the camera, reset at midnight
+      if (typeof obj?.date === "string" && typeof obj.shotsRemaining === "number") {
+        const state = emptyState();
+        const limit = getSettings().dailyLimit;
+        state.accounts[DEVICE] = {
+          period: `daily:${obj.date}`,
+          startedAt: new Date(`${obj.date}T00:00:00`).toISOString(),
+          remaining: obj.shotsRemaining,
+          used: Math.max(0, limit - obj.shotsRemaining),
+          granted: 0,
+          refunded: 0,
+          carried: 0,
+          limit: null,
+        };
+        return state;
+      }
+      throw new Error("Invalid state");
+    } catch {
+      return emptyState();
+    }
+  }
+  function writeState(state) {
+    const tmp = statePath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, statePath);
+  }
+
+  // Moves an account into the current period (rolling unused shots over); true if it changed
+  function refresh(state, id, now = new Date()) {
+    const s = getSettings();
+    const acc = state.accounts[id];
+    const fresh = (period, startedAt, carried, limit = null) => ({
+      period, startedAt, remaining: limitFor(id, { limit }, s) + carried, used: 0, granted: 0, refunded: 0, carried, limit,
+    });
+    if (s.period === "roll") {
+      if (acc?.period.startsWith("roll:")) return false;
+      state.accounts[id] = fresh("roll:1", now.toISOString(), 0, acc?.limit ?? null);
+      return true;
+    }
+    const start = periodStart(s, now);
+    const key = `${s.period}:${todayLocalISODate(start)}`;
+    if (acc?.period === key) return false;
+
+    let carried = 0;
+    if (acc && acc.period.startsWith(`${s.period}:`)) {
+      // Periods with no activity carried over too; two steps already reach the cap
+      const periodMs = (s.period === "weekly" ? 7 : 1) * DAY_MS;
+      const elapsed = Math.max(1, Math.round((start - Date.parse(acc.startedAt)) / periodMs));
+      let left = acc.remaining;
+      for (let i = 0; i < Math.min(elapsed, 2); i++) {
+        carried = Math.min(s.rollover, left);
+        left = limitFor(id, acc, s) + carried;
+      }
+    }
+    state.accounts[id] = fresh(key, start.toISOString(), carried, acc?.limit ?? null);
+    return true;
+  }
+
+  // Runs fn(account, state) on an up-to-date account and saves when anything changed
+  function withAccount(id, fn = () => false) {
+    const state = readState();
+    const refreshed = refresh(state, id);
+    const changed = fn(state.accounts[id], state);
+    if (refreshed || changed !== false) writeState(state);
+    return describe(id, state.accounts[id]);
+  }
+
+  function record(state, id, field, n) {
+    const day = todayLocalISODate();
+    const entry = ((state.history[day] ||= {})[id] ||= { used: 0, granted: 0, refunded: 0 });
+    entry[field] += n;
+    const cutoff = todayLocalISODate(new Date(Date.now() - getSettings().historyDays * DAY_MS));
+    for (const d of Object.keys(state.history)) if (d < cutoff) delete state.history[d];
+  }
+
+  function describe(id, acc) {
+    const s = getSettings();
+    const resets = s.period === "roll" ? null : nextReset(s, new Date(acc.startedAt));
+    return {
+      account: id,
+      period: s.period,
+      startedAt: acc.startedAt,
+      resetsAt: resets ? resets.toISOString() : null,
+      roll: s.period === "roll" ? Number(acc.period.split(":")[1]) : null,
+      limit: limitFor(id, acc, s),
+      limitOverride: acc.limit,
+      remaining: acc.remaining,
+      used: acc.used,
+      granted: acc.granted,
+      refunded: acc.refunded,
+      carried: acc.carried,
+    };
+  }
+
+  const status = (id = DEVICE) => withAccount(id);
+
+  const canCapture = (id = DEVICE) => status(id).remaining > 0;
+
+  // One shot taken
+  function consume(id = DEVICE) {
+    return withAccount(id, (acc, state) => {
+      acc.remaining = Math.max(0, acc.remaining - 1);
+      acc.used++;
+      record(state, id, "used", 1);
+    });
+  }
+
+  // Extra shots for this period only
+  function grant(id, shots) {
+    return withAccount(id, (acc, state) => {
+      acc.remaining += shots;
+      acc.granted += shots;
+      record(state, id, "granted", shots);
+    });
+  }
+
+  // Gives back shots used this period (a ruined frame, a test shot)
+  function refund(id, shots) {
+    return withAccount(id, (acc, state) => {
+      const refundable = acc.used - acc.refunded;
+      if (shots > refundable) throw quotaError(400, `Only ${refundable} shot(s) used this period can be refunded`);
+      acc.remaining += shots;
+      acc.refunded += shots;
+      record(state, id, "refunded", shots);
+    });
+  }
+
+  // A full allowance again; with period "roll" this loads the next roll (carrying unused shots)
+  function reset(id = DEVICE) {
+    return withAccount(id, (acc) => {
+      const s = getSettings();
+      if (s.period === "roll") {
+        acc.carried = Math.min(s.rollover, acc.remaining);
+        acc.period = `roll:${Number(acc.period.split(":")[1]) + 1}`;
+        acc.startedAt = new Date().toISOString();
+      }
+      Object.assign(acc, { remaining: limitFor(id, acc, s) + acc.carried, used: 0, granted: 0, refunded: 0 });
+    });
+  }
+
+  // Per-account limit (null = the configured one); the change also moves what is left now
+  function setLimit(id, limit) {
+    return withAccount(id, (acc) => {
+      const before = limitFor(id, acc);
+      acc.limit = limit;
+      acc.remaining = Math.max(0, acc.remaining + (limitFor(id, acc) - before));
+    });
+  }
+
+  // Raising or lowering a configured limit mid-period moves what is left by the same amount
+  function applyLimitChange(prev, next) {
+    const state = readState();
+    for (const [id, acc] of Object.entries(state.accounts)) {
+      if (acc.limit != null) continue;
+      const delta = limitFor(id, acc, next) - limitFor(id, acc, prev);
+      acc.remaining = Math.max(0, acc.remaining + delta);
+    }
+    writeState(state);
+  }
+
+  // Every account's current period plus the daily history, newest day first
+  function summary() {
+    const state = readState();
+    let changed = false;
+    for (const id of Object.keys(state.accounts)) changed = refresh(state, id) || changed;
+    if (!state.accounts[DEVICE]) changed = refresh(state, DEVICE) || changed;
+    if (changed) writeState(state);
+    return {
+      accounts: Object.entries(state.accounts).map(([id, acc]) => describe(id, acc)),
+      history: Object.keys(state.history).sort().reverse().map(date => ({ date, accounts: state.history[date] })),
+    };
+  }
+
+  return { status, canCapture, consume, grant, refund, reset, setLimit, applyLimitChange, summary };
+}
+
+module.exports = { createQuota, DEVICE, PERIODS, WEEKDAYS };
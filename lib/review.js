@@ -0,0 +1,72 @@
+// lib/review.js - On-device photo review: page through today's shots on the LCD
+// Interactive mode (open) takes over the buttons until it times out or is exited;
+// preview() is the passive look at a fresh shot right after "SAVED ✓".
+const { todayLocalISODate } = require("./time");
+
+const REVIEW_ACTIONS = ["older", "newer", "exit"];
+
+// listImages() -> newest-first [{ name }]; describe(name) -> overlay lines;
+// imagePath(name) -> file to put on the screen (the LCD-sized thumbnail when there is one)
+function createReview({ ui, imagePath, listImages, describe, getSettings, onExit }) {
+  let active = false;
+  let names = [];
+  let index = 0;
+  let timer = null;
+
+  function arm(ms, fn) {
+    clearTimeout(timer);
+    timer = setTimeout(fn, ms);
+  }
+
+  async function todaysNames() {
+    const today = todayLocalISODate();
+    return (await listImages()).map(i => i.name).filter(n => n.startsWith(today));
+  }
+
+  async function render() {
+    const name = names[index];
+    const lines = [`${index + 1}/${names.length}`, ...describe(name)];
+    await ui.showImage(imagePath(name), lines);
+  }
+
+  async function open(startName = null) {
+    names = await todaysNames();
+    if (!names.length) return false;
+    index = Math.max(0, startName ? names.indexOf(startName) : 0);
+    active = true;
+    await render();
+    arm(getSettings().timeoutSec * 1000, close);
+    return true;
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (!active) return;
+    active = false;
+    onExit();
+  }
+
+  // Gesture name ("short", "long", "double", "chord …") -> review action from config
+  async function handle(gesture) {
+    if (!active) return;
+    const { gestures, timeoutSec } = getSettings();
+    const action = gesture.startsWith("chord") ? "exit" : gestures[gesture];
+    if (action === "exit" || !action) return close();
+    if (action === "older") index = Math.min(names.length - 1, index + 1);
+    if (action === "newer") index = Math.max(0, index - 1);
+    await render();
+    arm(timeoutSec * 1000, close);
+  }
+
+  async function preview(name) {
+    const secs = getSettings().afterCaptureSec;
+    if (!secs || active) return false;
+    await ui.showImage(imagePath(name), describe(name));
+    arm(secs * 1000, () => { if (!active) onExit(); });
+    return true;
+  }
+
+  return { open, close, handle, preview, isActive: () => active };
+}
+
+module.exports = { createReview, REVIEW_ACTIONS };
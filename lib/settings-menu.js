@@ -0,0 +1,122 @@
+// lib/settings-menu.js - The device's settings menu, declared as data for lib/menu.js
+// Changes go through config.update() so they are validated and survive a restart.
+const { listPresets } = require("./presets");
+const { SCHEMA } = require("./config");
+
+const SLEEP_OPTIONS = [
+  { value: 0, label: "Never" },
+  { value: 30, label: "30s" },
+  { value: 60, label: "1 min" },
+  { value: 300, label: "5 min" },
+  { value: 600, label: "10 min" },
+];
+
+// queueAllUploads(policy) and estimateUploads(): see lib/upload-estimate.js (plan / estimate);
+// showHealth() puts the device status on screen and resolves when the menu may come back
+function buildSettingsMenu({ config, quota, uploadsEnabled, queueAllUploads, estimateUploads, showHealth }) {
+  const cfg = config.get;
+
+  // config.update() result -> short message for the screen (null = nothing to say)
+  function save(patch) {
+    const result = config.update(patch);
+    if (!result.ok) {
+      console.error("Menu change refused:", result.errors.join("; "));
+      return "Locked";
+    }
+    return result.restartRequired.length ? "Saved (restart)" : null;
+  }
+
+  return {
+    title: "Settings",
+    items: [
+      {
+        type: "choice",
+        label: "Film",
+        options: () => listPresets().map(p => ({ value: p.name, label: p.name })),
+        get: () => cfg().capture.preset,
+        set: (preset) => save({ capture: { preset } }),
+      },
+      {
+        type: "number",
+        label: "Countdown",
+        // Whatever config accepts, so a value set over HTTP is one of the choices too
+        min: SCHEMA.capture.countdownSec.min,
+        max: SCHEMA.capture.countdownSec.max,
+        unit: "s",
+        get: () => cfg().capture.countdownSec,
+        set: (countdownSec) => save({ capture: { countdownSec } }),
+      },
+      {
+        type: "submenu",
+        label: "Display",
+        menu: {
+          title: "Display",
+          items: [
+            {
+              type: "number",
+              label: "Brightness",
+              min: 10,
+              max: 100,
+              step: 10,
+              unit: "%",
+              get: () => cfg().screen.brightness,
+              set: (brightness) => save({ screen: { brightness } }),
+            },
+            {
+              type: "choice",
+              label: "Sleep",
+              options: () => SLEEP_OPTIONS,
+              get: () => cfg().screen.sleepSec,
+              set: (sleepSec) => save({ screen: { sleepSec } }),
+            },
+          ],
+        },
+      },
+      {
+        type: "action",
+        label: "Status",
+        run: async () => {
+          await showHealth();
+          return null;
+        },
+      },
+      {
+        type: "action",
+        label: "Reset quota",
+        confirm: true,
+        visible: () => cfg().features.quota,
+        run: async () => {
+          const { remaining } = quota.reset();
+          return `${remaining} shots`;
+        },
+      },
+      {
+        type: "action",
+        label: "Upload all",
+        confirm: true,
+        visible: () => uploadsEnabled,
+        // What it will cost, before Yes: "12 photos 3.4MB", "Cost 0.0123 cr", "Have 1.2000 cr"
+        details: async () => {
+          const est = await estimateUploads();
+          const lines = [`${est.count} photos ${(est.bytes / 1e6).toFixed(1)}MB`];
+          if (!est.turbo) return lines;
+          if (est.turbo.error) return [...lines, "Credits unknown"];
+          lines.push(`Cost ${est.turbo.cost.slice(0, -2)} cr`, `Have ${est.turbo.balance.slice(0, -2)} cr`);
+          if (!est.turbo.enough) lines.push(`Fits ${est.turbo.fits} of ${est.turbo.count}`);
+          return lines;
+        },
+        // Only what the credits cover goes; the rest waits for a top-up
+        run: async () => {
+          const result = await queueAllUploads("fit");
+          if (!result.ok) return result.status === 503 ? "Credits unknown" : "No credits";
+          if (!result.queue.length) return "Nothing to upload";
+          return result.queue.length < result.estimate.count
+            ? `Queued ${result.queue.length} of ${result.estimate.count}`
+            : `Queued ${result.queue.length}`;
+        },
+      },
+    ],
+  };
+}
+
+module.exports = { buildSettingsMenu };
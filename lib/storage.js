@@ -0,0 +1,139 @@
+// lib/storage.js - Keeps the SD card from filling up
+// Retention (config "retention"): photos older than maxAgeDays go first, then the oldest ones
+// until images/ is under maxSizeMb. Favorites (keepFavorites) and the newest photo (it is also
+// public/latest.webp) always stay. keepUnuploaded keeps photos an enabled archive backend still has
+// to copy; a photo every backend has copied is deleted by the uploader itself, so without any
+// backend enabled nothing is waiting and the rule keeps nothing.
+// With less than disk.minFreeMb free, retention gets a go first (ensureSpace()), then captures are refused.
+// sweepTemp() removes what an interrupted capture or write left behind; run it at startup.
+const fs = require("fs");
+const path = require("path");
+const { stampTime } = require("./gallery-index");
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 3600 * 1000;
+// Age limits are checked this often even when nobody shoots
+const INTERVAL_MS = 60 * 60 * 1000;
+
+// listImages() -> newest-first gallery entries on disk; deletePhoto(name) from lib/library;
+// getSettings() -> { retention, disk } from config; archiving() -> is any archive backend enabled
+function createStorage({ imagesDir, listImages, deletePhoto, getSettings, archiving = () => false }) {
+  let running = null;
+  let timer = null;
+
+  function diskStatus() {
+    const st = fs.statfsSync(imagesDir);
+    const freeBytes = st.bavail * st.bsize;
+    const minFreeBytes = getSettings().disk.minFreeMb * MB;
+    return { freeBytes, minFreeBytes, low: freeBytes < minFreeBytes };
+  }
+
+  const takenAt = (i) => Date.parse(i.capturedAt) || stampTime(i.name) || i.mtimeMs || 0;
+
+  // What retention would delete right now (also when it is switched off, as a preview)
+  async function plan(now = Date.now()) {
+    const { maxSizeMb, maxAgeDays, keepFavorites, keepUnuploaded } = getSettings().retention;
+    const images = await listImages();
+    const keepLocal = keepUnuploaded && archiving();
+    let bytes = images.reduce((n, i) => n + (i.size || 0), 0);
+    const imagesBytes = bytes;
+    // Oldest first
+    const candidates = images.slice(1).reverse()
+      .filter(i => !(keepFavorites && i.favorite) && !(keepLocal && i.status !== "uploaded"));
+
+    const remove = [];
+    const take = (i, reason) => {
+      remove.push({ name: i.name, size: i.size || 0, reason });
+      bytes -= i.size || 0;
+    };
+    if (maxAgeDays !== null) {
+      const cutoff = now - maxAgeDays * DAY_MS;
+      for (const i of candidates) if (takenAt(i) < cutoff) take(i, "age");
+    }
+    if (maxSizeMb !== null) {
+      const chosen = new Set(remove.map(r => r.name));
+      for (const i of candidates) {
+        if (bytes <= maxSizeMb * MB) break;
+        if (!chosen.has(i.name)) take(i, "size");
+      }
+    }
+    return {
+      photos: images.length,
+      imagesBytes,
+      remove,
+      afterBytes: bytes,
+      // What the keep rules protect is more than maxSizeMb on its own
+      overLimit: maxSizeMb !== null && bytes > maxSizeMb * MB,
+    };
+  }
+
+  // Applies the policy; one run at a time, a photo that cannot go now (uploading) is skipped
+  function enforce() {
+    if (!getSettings().retention.enabled) return Promise.resolve({ removed: [], skipped: [], freedBytes: 0 });
+    running = running || (async () => {
+      const { remove } = await plan();
+      const out = { removed: [], skipped: [], freedBytes: 0 };
+      for (const r of remove) {
+        try {
+          await deletePhoto(r.name);
+          out.removed.push(r.name);
+          out.freedBytes += r.size;
+        } catch (e) {
+          out.skipped.push({ name: r.name, error: e.message });
+        }
+      }
+      if (out.removed.length) {
+        console.log(`Retention: removed ${out.removed.length} photo(s), freed ${(out.freedBytes / MB).toFixed(1)} MB`);
+      }
+      return out;
+    })().finally(() => { running = null; });
+    return running;
+  }
+
+  // Before a capture: is there room? When space is short retention runs first, then it is checked again
+  async function ensureSpace() {
+    let disk = diskStatus();
+    if (disk.low && getSettings().retention.enabled) {
+      await enforce().catch((e) => console.error("Retention failed:", e.message));
+      disk = diskStatus();
+    }
+    return disk;
+  }
+
+  // files: exact paths; dirs: [[dir, [suffix, ...]]] for leftovers by name
+  function sweepTemp({ files = [], dirs = [] }) {
+    const found = files.filter(f => fs.existsSync(f));
+    for (const [dir, suffixes] of dirs) {
+      let names = [];
+      try {
+        names = fs.readdirSync(dir);
+      } catch {}
+      for (const n of names) if (suffixes.some(s => n.endsWith(s))) found.push(path.join(dir, n));
+    }
+    for (const f of found) {
+      try {
+        fs.rmSync(f, { force: true });
+      } catch (e) {
+        console.warn("Temp sweep: could not remove", f, e.message);
+      }
+    }
+    if (found.length) console.log(`Temp sweep: removed ${found.length} leftover file(s)`);
+    return found;
+  }
+
+  function start() {
+    clearInterval(timer);
+    timer = setInterval(() => enforce().catch((e) => console.error("Retention failed:", e.message)), INTERVAL_MS);
+    timer.unref();
+    return enforce();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { diskStatus, plan, enforce, ensureSpace, sweepTemp, start, stop };
+}
+
+module.exports = { createStorage };
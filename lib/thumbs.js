@@ -0,0 +1,69 @@
+// lib/thumbs.js - Thumbnails for the web gallery (256px) and the LCD (128px)
+// Stored as thumbs/<size>/<name>. Generated one at a time in the background so a
+// burst of captures (or the startup backfill) never competes with the camera.
+const path = require("path");
+const fs = require("fs");
+const { safeExec } = require("./exec");
+
+const THUMB_SIZES = [256, 128];
+const DEFAULT_SIZE = 256;
+
+function createThumbs({ imagesDir, thumbsDir }) {
+  let chain = Promise.resolve();
+  const pending = new Map(); // name -> promise
+
+  for (const size of THUMB_SIZES) fs.mkdirSync(path.join(thumbsDir, String(size)), { recursive: true });
+
+  const thumbPath = (name, size = DEFAULT_SIZE) => path.join(thumbsDir, String(size), name);
+  const has = (name, size = DEFAULT_SIZE) => fs.existsSync(thumbPath(name, size));
+
+  // Original when the thumbnail is not there (yet)
+  function bestPath(name, size = DEFAULT_SIZE) {
+    return has(name, size) ? thumbPath(name, size) : path.join(imagesDir, name);
+  }
+
+  async function generate(name) {
+    const src = path.join(imagesDir, name);
+    if (!fs.existsSync(src)) return;
+    for (const size of THUMB_SIZES) {
+      const out = thumbPath(name, size);
+      if (fs.existsSync(out)) continue;
+      const tmp = `${out}.tmp.webp`;
+      await safeExec(`convert "${src}" -thumbnail '${size}x${size}>' -strip -quality 70 "${tmp}"`);
+      await fs.promises.rename(tmp, out);
+    }
+  }
+
+  // Resolves once this photo's thumbnails exist (or failed; failures are only logged)
+  function queue(name) {
+    if (pending.has(name)) return pending.get(name);
+    const job = chain
+      .then(() => generate(name))
+      .catch((e) => console.error("Thumbnail failed:", name, e?.stderr || e?.message || e))
+      .finally(() => pending.delete(name));
+    pending.set(name, job);
+    chain = job;
+    return job;
+  }
+
+  // Queues every photo in images/ that is missing a thumbnail; returns how many
+  async function backfill() {
+    const names = (await fs.promises.readdir(imagesDir)).filter(n => n.toLowerCase().endsWith(".webp"));
+    const missing = names.filter(n => THUMB_SIZES.some(s => !has(n, s)));
+    missing.forEach(queue);
+    return missing.length;
+  }
+
+  async function remove(name) {
+    await Promise.all(THUMB_SIZES.map(s => fs.promises.rm(thumbPath(name, s), { force: true })));
+  }
+
+  function urls(name) {
+    const enc = encodeURIComponent(name);
+    return { thumb: `/thumbs/${enc}`, thumbSmall: `/thumbs/128/${enc}` };
+  }
+
+  return { queue, backfill, remove, has, thumbPath, bestPath, urls };
+}
+
+module.exports = { createThumbs, THUMB_SIZES, DEFAULT_SIZE };
@@ -0,0 +1,34 @@
+// lib/time.js - Local-time helpers (filenames and the quota day use local time, not UTC)
+
+function todayLocalISODate(d = new Date()) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${dd}`;
+}
+
+function nowStamp(d = new Date()) {
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}_${hh}-${mi}-${ss}`;
+}
+
+// Local time with its UTC offset: "2026-10-19T14:03:22+02:00"
+function isoLocal(d = new Date()) {
+  const off = -d.getTimezoneOffset();
+  const sign = off >= 0 ? "+" : "-";
+  const oh = String(Math.floor(Math.abs(off) / 60)).padStart(2, "0");
+  const om = String(Math.abs(off) % 60).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+  return `${todayLocalISODate(d)}T${hh}:${mi}:${ss}${sign}${oh}:${om}`;
+}
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+module.exports = { todayLocalISODate, nowStamp, isoLocal, sleep };
@@ -0,0 +1,156 @@
+// lib/timelapse.js - Interval / time-lapse shooting on top of the normal capture pipeline
+// One job at a time, persisted to timelapse.json so a restart picks it up where it left off.
+// takeShot({ preset, account }) must throw an Error with code "BUSY", "QUOTA" or "DISK" (too little
+// free space) for those cases.
+const fs = require("fs");
+
+const BUSY_RETRY_MS = 2000;
+// How often a job paused for quota or disk space checks again
+const PAUSED_RECHECK_MS = 60 * 1000;
+
+const ACTIVE = ["running", "paused"];
+
+function createTimelapse({ file, takeShot, broadcast, onProgress = () => {} }) {
+  let job = null;
+  let timer = null;
+
+  function readJob() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(file, "utf8"));
+      return obj && ACTIVE.includes(obj.status) ? obj : null;
+    } catch {
+      return null;
+    }
+  }
+  function writeJob() {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function snapshot() {
+    if (!job) return null;
+    const etaSec = job.status === "running" && job.nextShotAt
+      ? Math.max(0, Math.round((Date.parse(job.nextShotAt) - Date.now()) / 1000))
+      : null;
+    return { ...job, etaSec };
+  }
+
+  function publish() {
+    writeJob();
+    const snap = snapshot();
+    broadcast({ type: "timelapse", ...snap });
+    onProgress(snap);
+  }
+
+  function schedule(delayMs) {
+    clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, delayMs));
+  }
+
+  function finish(status, reason = null) {
+    clearTimeout(timer);
+    job.status = status;
+    job.reason = reason;
+    job.finishedAt = new Date().toISOString();
+    job.nextShotAt = null;
+    publish();
+    console.log(`Time-lapse ${status}${reason ? ` (${reason})` : ""}: ${job.taken}/${job.count} shots`);
+  }
+
+  async function tick() {
+    if (!job || !ACTIVE.includes(job.status)) return;
+    try {
+      const filename = await takeShot({ preset: job.preset, account: job.account });
+      job.taken++;
+      job.lastFilename = filename;
+      job.lastError = null;
+    } catch (e) {
+      if (e.code === "BUSY") return schedule(BUSY_RETRY_MS);
+      if (e.code === "QUOTA" || e.code === "DISK") {
+        const reason = e.code === "QUOTA" ? "quota" : "disk full";
+        if (e.code === "QUOTA" && job.onQuota === "stop") return finish("stopped", reason);
+        if (job.status !== "paused" || job.reason !== reason) {
+          job.status = "paused";
+          job.reason = reason;
+          job.nextShotAt = null;
+          publish();
+        }
+        return schedule(PAUSED_RECHECK_MS);
+      }
+      // A failed frame still uses its slot; the sequence keeps its rhythm
+      job.failed++;
+      job.lastError = String(e?.message || e);
+      console.error("Time-lapse shot failed:", job.lastError);
+    }
+    if (!job || !ACTIVE.includes(job.status)) return; // cancelled while shooting
+    if (job.taken + job.failed >= job.count) return finish("done");
+
+    job.status = "running";
+    job.reason = null;
+    // Keep the original cadence, but never try to catch up on missed slots. After a pause there
+    // is no slot to keep: the next shot is a full interval after this one.
+    const now = Date.now();
+    const interval = job.intervalSec * 1000;
+    let due = job.nextShotAt ? Date.parse(job.nextShotAt) + interval : now + interval;
+    while (due <= now) due += interval;
+    job.nextShotAt = new Date(due).toISOString();
+    publish();
+    schedule(due - Date.now());
+  }
+
+  // account: whose shot quota the frames use (lib/quota.js)
+  function start({ intervalSec, count, preset = null, onQuota = "pause", account = "device" }) {
+    if (job && ACTIVE.includes(job.status)) {
+      const e = new Error("A time-lapse is already running");
+      e.code = "RUNNING";
+      throw e;
+    }
+    const now = new Date();
+    job = {
+      id: now.getTime().toString(36),
+      status: "running",
+      reason: null,
+      intervalSec,
+      count,
+      preset,
+      onQuota,
+      account,
+      taken: 0,
+      failed: 0,
+      startedAt: now.toISOString(),
+      nextShotAt: now.toISOString(),
+      lastFilename: null,
+      lastError: null,
+    };
+    publish();
+    schedule(0);
+    console.log(`Time-lapse started: ${count} shots every ${intervalSec}s`);
+    return snapshot();
+  }
+
+  function cancel() {
+    if (!job || !ACTIVE.includes(job.status)) return null;
+    finish("cancelled");
+    return snapshot();
+  }
+
+  // Boot: continue an unfinished job; missed slots are skipped, not shot in a burst
+  function resume() {
+    job = readJob();
+    if (!job) return null;
+    console.log(`Resuming time-lapse ${job.id}: ${job.taken}/${job.count} shots done`);
+    // Slots missed while the camera was off are gone: the next shot is now, the rest follow from it
+    if (job.status === "running" && (!job.nextShotAt || Date.parse(job.nextShotAt) < Date.now())) {
+      job.nextShotAt = new Date().toISOString();
+    }
+    const due = job.nextShotAt ? Date.parse(job.nextShotAt) - Date.now() : 0;
+    schedule(due);
+    publish();
+    return snapshot();
+  }
+
+  return { start, cancel, resume, status: snapshot };
+}
+
+module.exports = { createTimelapse };
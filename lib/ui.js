@@ -0,0 +1,90 @@
+// lib/ui.js - Status screens shared by every display driver (ST7735S LCD, SSD1306 OLED, virtual)
+const { sleep } = require("./time");
+
+// getDisplay() returns the driver once it is ready, or null (console only)
+function createUI({ getDisplay }) {
+  async function draw(fn, fallback) {
+    const display = getDisplay();
+    if (!display) return;
+    try {
+      await fn(display);
+    } catch (e) {
+      console.log(`Display: ${fallback}`);
+    }
+  }
+
+  async function showStatus(text) {
+    console.log(`Display: ${text}`);
+    await draw(d => d.showText(text, 'small', 'white'), text);
+  }
+
+  async function showRemainingBig(n) {
+    console.log(`Display: Shots left: ${n}`);
+    await draw(d => d.showNumber(n, 'large', 'Shots left'), `Shots left: ${n}`);
+  }
+
+  async function showActiveCountdown(seconds = 3) {
+    console.log(`Display: Countdown starting...`);
+    if (!getDisplay()) {
+      await sleep(seconds * 1000);
+      return;
+    }
+    for (let s = seconds; s >= 1; s--) {
+      console.log(`Display: ${s}`);
+      await draw(d => d.showNumber(s, 'large', 'Hold steady…'), String(s));
+      await sleep(1000);
+    }
+  }
+
+  async function showResult(ok, msg = "") {
+    if (ok) {
+      console.log("Display: Saved ✓");
+      await draw(d => d.showText("SAVED ✓", 'large', 'green'), "Saved ✓");
+    } else {
+      console.log(`Display: Error - ${msg}`);
+      await draw(d => d.showText("ERROR", 'large', 'red', msg), `Error - ${msg}`);
+    }
+  }
+
+  // lines: overlay text (filename, time, upload status, ...)
+  async function showImage(imagePath, lines = []) {
+    console.log(`Display: image ${imagePath}${lines.length ? ` [${lines.join(" | ")}]` : ""}`);
+    await draw(d => d.showImage(imagePath, lines), imagePath);
+  }
+
+  // Time-lapse progress: "3/20" big, next-shot ETA (or why it is paused) underneath
+  async function showTimelapse(job) {
+    const line = job.status === "paused" ? `paused: ${job.reason}` : job.etaSec != null ? `next in ${job.etaSec}s` : job.status;
+    console.log(`Display: Time-lapse ${job.taken}/${job.count} (${line})`);
+    await draw(d => d.showText(`${job.taken}/${job.count}`, 'medium', 'white', line), `${job.taken}/${job.count}`);
+  }
+
+  // Pairing code for a browser, in two groups so it reads well from a distance
+  async function showPairing(code, role) {
+    const shown = `${code.slice(0, 3)} ${code.slice(3)}`;
+    console.log(`Display: Pairing code ${shown} (${role})`);
+    await draw(d => d.showText(shown, 'medium', 'white', `Pair as ${role}`), `Pairing code ${shown}`);
+  }
+
+  // rows: [{ label, value }] already scrolled to fit; selected is an index into rows
+  async function showMenu(title, rows, selected, editing = false) {
+    const row = rows[selected];
+    console.log(`Display: ${title} ${editing ? "*" : ">"} ${row ? row.label : ""}${row && row.value ? ` (${row.value})` : ""}`);
+    await draw(d => d.showMenu(title, rows, selected, editing), title);
+  }
+
+  // Read-only rows (label, value), e.g. the status screen; nothing highlighted
+  async function showDetails(title, rows) {
+    console.log(`Display: ${title}: ${rows.map(r => `${r.label} ${r.value}`).join(" | ")}`);
+    await draw(d => d.showMenu(title, rows, -1, false), title);
+  }
+
+  async function setBrightness(level) {
+    console.log(`Display: brightness ${level}`);
+    await draw(d => d.setBrightness(level), `brightness ${level}`);
+  }
+
+  return { showStatus, showRemainingBig, showActiveCountdown, showResult, showImage, showTimelapse, showPairing, showMenu, showDetails, setBrightness };
+}
+
+module.exports = { createUI };
@@ -0,0 +1,95 @@
+// lib/upload-estimate.js - What "upload all" would send, what Turbo charges for it and
+// whether the wallet's credits cover it (GET /upload-all/estimate, the LCD confirm screen).
+const path = require("path");
+const fs = require("fs");
+const { backendRecords } = require("./manifest");
+
+const WINC_PER_CREDIT = 10n ** 12n;
+const POLICIES = ["refuse", "fit", "ignore"];
+
+// winc -> credits with 6 decimals (rounded down): 1234567890123n -> "1.234567"
+function formatCredits(winc) {
+  const micro = winc / 10n ** 6n;
+  const whole = micro / 10n ** 6n;
+  return `${whole}.${String(micro % 10n ** 6n).padStart(6, "0")}`;
+}
+
+function createUploadEstimator({ imagesDir, manifest, archive }) {
+  // Local photos that still lack a copy somewhere, oldest first
+  async function candidates() {
+    const entries = new Map(manifest.readManifest().map(m => [m.filename, m]));
+    const names = (await fs.promises.readdir(imagesDir)).filter(n => n.toLowerCase().endsWith(".webp")).sort();
+    const out = [];
+    for (const name of names) {
+      const entry = entries.get(name);
+      if (entry?.status === "success") continue;
+      let st;
+      try {
+        st = await fs.promises.stat(path.join(imagesDir, name));
+      } catch {
+        continue;
+      }
+      const paid = archive.names.includes("turbo") && backendRecords(entry).turbo?.status !== "success";
+      out.push({ name, size: st.size, paid });
+    }
+    return out;
+  }
+
+  // -> { count, bytes, turbo, names, fitting }. turbo is null without a Turbo backend, else
+  // { count, bytes, cost, balance (credits), costWinc, balanceWinc, enough, fits } or { count, bytes, error }.
+  // fitting: the names to queue when only what the credits cover should go (oldest first,
+  // skipping any photo the remaining credits cannot pay for).
+  async function estimate() {
+    const files = await candidates();
+    const names = files.map(f => f.name);
+    const result = { count: files.length, bytes: files.reduce((n, f) => n + f.size, 0), turbo: null, names, fitting: names };
+    const turbo = archive.get("turbo");
+    if (!turbo?.quote) return result;
+
+    const paid = files.filter(f => f.paid);
+    const bytes = paid.reduce((n, f) => n + f.size, 0);
+    let quote;
+    try {
+      quote = await turbo.quote(paid.map(f => f.size));
+    } catch (e) {
+      result.turbo = { count: paid.length, bytes, error: String(e?.message || e) };
+      return result;
+    }
+    const total = quote.costs.reduce((a, b) => a + b, 0n);
+    let left = quote.balance;
+    const unaffordable = new Set();
+    paid.forEach((f, i) => {
+      if (quote.costs[i] <= left) left -= quote.costs[i];
+      else unaffordable.add(f.name);
+    });
+    result.fitting = names.filter(n => !unaffordable.has(n));
+    result.turbo = {
+      count: paid.length,
+      bytes,
+      cost: formatCredits(total),
+      balance: formatCredits(quote.balance),
+      costWinc: String(total),
+      balanceWinc: String(quote.balance),
+      enough: total <= quote.balance,
+      fits: paid.length - unaffordable.size,
+    };
+    return result;
+  }
+
+  // policy when the credits fall short: "refuse" (queue nothing), "fit" (queue what they cover),
+  // "ignore" (queue everything anyway). -> { ok, queue: [names], estimate } or { ok: false, status, error, estimate }
+  async function plan(policy = "refuse") {
+    const est = await estimate();
+    const { names, fitting, ...summary } = est;
+    if (!est.turbo || est.turbo.enough || policy === "ignore") return { ok: true, queue: names, estimate: summary };
+    if (est.turbo.error) {
+      return { ok: false, status: 503, error: `Could not check Turbo credits: ${est.turbo.error}`, estimate: summary };
+    }
+    if (policy === "fit") return { ok: true, queue: fitting, estimate: summary };
+    return { ok: false, status: 402, error: "Not enough Turbo credits", estimate: summary };
+  }
+
+  return { estimate, plan };
+}
+
+module.exports = { createUploadEstimator, formatCredits, POLICIES };
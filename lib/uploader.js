@@ -0,0 +1,312 @@
+// lib/uploader.js - Archive upload queue. Once every enabled backend has a copy, the local file is deleted.
+// arweave.json is the queue: each entry keeps one record per backend under `backends`
+// ({ status, url, id, attempts, error, ... }), and every "pending" record is waiting its turn,
+// so a restart picks up where it left off (resume()). Failures retry with exponential backoff
+// until uploads.maxAttempts, then that backend's record is "failed" until the photo is queued again.
+// A copy still to be made when the photo is deleted locally is "cancelled" (abandonUpload()).
+// The entry's own status/url sum up its records: "success" when all copies are made (url from
+// the highest-priority backend), "pending" while any is queued, otherwise "failed".
+const path = require("path");
+const fs = require("fs");
+const mime = require("mime-types");
+const { backendRecords } = require("./manifest");
+const { fileSha256 } = require("./hash");
+
+// Retry delay for the n-th failure: base * 2^(n-1), capped, ±20% so retries do not bunch up
+function backoffMs(attempts, { backoffBaseSec, backoffMaxSec }) {
+  const sec = Math.min(backoffMaxSec, backoffBaseSec * 2 ** Math.max(0, attempts - 1));
+  return Math.round(sec * 1000 * (0.8 + Math.random() * 0.4));
+}
+
+// archive: from lib/archive; getSettings() -> config "uploads" section
+// ({ maxAttempts, backoffBaseSec, backoffMaxSec, paused });
+// onUploaded(filename) runs after the local file has been deleted;
+// getTags(filename, { type, sha256 }) -> tags ([{ name, value }]) for that photo
+function createUploader({ imagesDir, archive, manifest, broadcast, getSettings, onUploaded = () => {}, getTags = () => [] }) {
+  const { getManifestEntry, upsertManifestEntry } = manifest;
+  // "<backend>/<filename>" -> { filename, backend, attempts, dueAt (ms) }, in queue order
+  const queue = new Map();
+  const jobKey = (backend, filename) => `${backend}/${filename}`;
+  let running = false;
+  let current = null; // job being sent right now
+  let timer = null;
+  // backend -> { failures, error, retryAt } while it cannot start (wallet, unmounted share, ...)
+  const auth = new Map();
+  let lastError = null; // { filename, backend, error, at } of the most recent failure of any kind
+
+  function addJob(backend, filename, attempts = 0, dueAt = 0) {
+    queue.set(jobKey(backend, filename), { filename, backend, attempts, dueAt });
+  }
+
+  // Writes one backend's record and the summary fields derived from all of them
+  function record(filename, backend, patch, extra = {}) {
+    const entry = getManifestEntry(filename);
+    const backends = { ...backendRecords(entry) };
+    if (backend) backends[backend] = { ...backends[backend], ...patch };
+    // Only enabled backends count; a copy made by one that is now off is kept as history
+    const active = archive.names.map(n => backends[n] || { status: "none" });
+    // "cancelled": the photo was deleted locally before this copy was made (abandonUpload)
+    const settled = active.every(r => r.status === "success" || r.status === "cancelled")
+      && Object.values(backends).some(r => r.status === "success");
+    const status = settled ? "success"
+      : active.some(r => r.status === "pending") ? "pending" : "failed";
+    const primary = archive.names.map(n => backends[n]).find(r => r?.status === "success");
+    const failed = archive.names.filter(n => backends[n]?.status === "failed");
+    const latest = (key) => active.map(r => r[key]).filter(Boolean).sort().pop() || null;
+    return upsertManifestEntry(filename, {
+      status,
+      backends,
+      url: primary?.url || null,
+      txId: backends.turbo?.status === "success" ? backends.turbo.id : null,
+      attempts: Math.max(0, ...active.map(r => r.attempts || 0)),
+      error: failed.map(n => `${n}: ${backends[n].error}`).join("; ") || null,
+      uploadedAt: status === "success" ? latest("uploadedAt") : null,
+      failedAt: status === "failed" ? latest("failedAt") : null,
+      ...extra,
+    });
+  }
+
+  // Rebuilds the queue from every pending backend record (boot)
+  function resume() {
+    const pending = manifest.readManifest()
+      .filter(m => m.status === "pending")
+      .sort((a, b) => String(a.queuedAt || "").localeCompare(String(b.queuedAt || "")));
+    for (const m of pending) {
+      const backends = backendRecords(m);
+      for (const name of archive.names) {
+        const r = backends[name];
+        if (r?.status === "success" || r?.status === "failed" || r?.status === "cancelled") continue;
+        // Also covers a backend enabled since the photo was queued
+        addJob(name, m.filename, r?.attempts || 0, Date.parse(r?.nextAttemptAt) || 0);
+        if (r?.status !== "pending") record(m.filename, name, { status: "pending", attempts: 0 });
+      }
+      // Every remaining backend already finished (one was switched off): settle the summary
+      if (!archive.names.some(n => queue.has(jobKey(n, m.filename)))) {
+        finish(m.filename, record(m.filename, null)).catch((e) => console.error("Upload finish failed:", m.filename, e.message));
+      }
+    }
+    if (pending.length) console.log(`Uploads: ${pending.length} pending from last run`);
+    schedule();
+    return pending.length;
+  }
+
+  // Queues (or re-queues a failed) photo for every backend that has no copy yet
+  function enqueueUpload(filename) {
+    if (!filename) return;
+    const entry = getManifestEntry(filename);
+    if (entry && entry.status === "success") return;
+    if (isUploadingFile(filename)) return;
+    const backends = backendRecords(entry);
+    const todo = archive.names.filter(n => backends[n]?.status !== "success" && !queue.has(jobKey(n, filename)));
+    if (!todo.length) return;
+    for (const name of todo) {
+      record(filename, name, { status: "pending", attempts: 0, nextAttemptAt: null, error: null },
+        { queuedAt: new Date().toISOString() });
+      addJob(name, filename);
+    }
+    schedule();
+  }
+
+  // Takes a photo's queued (not yet started) uploads off the queue; false if none were queued
+  function cancelUpload(filename) {
+    let removed = false;
+    for (const [key, job] of queue) {
+      if (job.filename === filename) removed = queue.delete(key);
+    }
+    if (removed) schedule();
+    return removed;
+  }
+
+  // The local file is being deleted on purpose after some copies were made: the others never
+  // will be. Their records become "cancelled", so the entry stays an archived photo instead of
+  // turning into a "File missing" failure once the queue resumes.
+  function abandonUpload(filename) {
+    cancelUpload(filename);
+    const entry = getManifestEntry(filename);
+    if (!entry) return null;
+    const backends = backendRecords(entry);
+    const names = new Set([...Object.keys(backends), ...archive.names]);
+    let next = entry;
+    for (const name of names) {
+      if (backends[name]?.status === "success") continue;
+      next = record(filename, name, { status: "cancelled", nextAttemptAt: null, error: null });
+    }
+    return next;
+  }
+
+  const isUploadingFile = (filename) => current?.filename === filename;
+
+  const readyAt = (job) => Math.max(job.dueAt, auth.get(job.backend)?.retryAt || 0);
+
+  function nextDue(now = Date.now()) {
+    for (const job of queue.values()) if (readyAt(job) <= now) return job;
+    return null;
+  }
+
+  // One timer for whatever comes next: the earliest retry, or the next backend start attempt
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (running || getSettings().paused || !queue.size) return;
+    const at = Math.min(...[...queue.values()].map(readyAt));
+    timer = setTimeout(processUploadQueue, Math.max(0, at - Date.now()));
+  }
+
+  // All copies made and each checked by its backend. The local file only goes if it is still
+  // the exact file every copy was made from; a backend whose copy is older uploads it again.
+  async function finish(filename, entry) {
+    if (entry.status !== "success") return;
+    const filePath = path.join(imagesDir, filename);
+    if (fs.existsSync(filePath)) {
+      const hash = await fileSha256(filePath);
+      const stale = archive.names.filter(n => entry.backends[n]?.sha256 && entry.backends[n].sha256 !== hash);
+      if (stale.length) {
+        console.warn(`${filename} changed since it was archived; uploading again to ${stale.join(", ")}`);
+        for (const name of stale) {
+          record(filename, name, { status: "pending", attempts: 0, nextAttemptAt: null, error: null });
+          addJob(name, filename);
+        }
+        schedule();
+        return;
+      }
+      try { fs.unlinkSync(filePath); } catch {}
+    }
+    onUploaded(filename);
+    broadcast({ type: "uploaded", filename, url: entry.url, txId: entry.txId });
+  }
+
+  async function uploadOne(job) {
+    const { filename, backend } = job;
+    const filePath = path.join(imagesDir, filename);
+    if (!fs.existsSync(filePath)) {
+      cancelUpload(filename);
+      const ent = getManifestEntry(filename);
+      // No entry: the photo was deleted on purpose, nothing to record
+      if (ent && ent.status !== "success") {
+        const failedAt = new Date().toISOString();
+        for (const name of archive.names) {
+          if (backendRecords(ent)[name]?.status === "pending") record(filename, name, { status: "failed", error: "File missing", failedAt });
+        }
+      }
+      return;
+    }
+
+    current = job;
+    try {
+      const st = fs.statSync(filePath);
+      const type = String(mime.lookup(filePath) || "application/octet-stream");
+      const sha256 = await fileSha256(filePath);
+
+      // Sent byte-for-byte, so the EXIF/XMP embedded at capture time is archived with it.
+      // upload() only resolves once the backend has checked its copy against sha256.
+      const tags = getTags(filename, { type, sha256 });
+      const result = await archive.get(backend).upload({ filename, filePath, size: st.size, type, sha256, tags });
+
+      queue.delete(jobKey(backend, filename));
+      const entry = record(filename, backend, {
+        status: "success",
+        url: result.url,
+        id: result.id || null,
+        uploadedAt: new Date().toISOString(),
+        sha256,
+        attempts: job.attempts + 1,
+        nextAttemptAt: null,
+        error: null,
+      }, { size: st.size, sha256 });
+      console.log(`Archived (${backend}):`, filename, result.url);
+      broadcast({ type: "upload-copy", filename, backend, url: result.url });
+      await finish(filename, entry);
+    } catch (e) {
+      const error = String(e?.message || e);
+      lastError = { filename, backend, error, at: new Date().toISOString() };
+      const attempts = job.attempts + 1;
+      const { maxAttempts } = getSettings();
+      if (attempts >= maxAttempts) {
+        queue.delete(jobKey(backend, filename));
+        record(filename, backend, { status: "failed", attempts, error, nextAttemptAt: null, failedAt: new Date().toISOString() });
+        broadcast({ type: "upload-failed", filename, backend, attempts, error });
+        console.error(`Upload to ${backend} failed for good after ${attempts} attempt(s):`, filename, error);
+      } else {
+        const dueAt = Date.now() + backoffMs(attempts, getSettings());
+        const nextAttemptAt = new Date(dueAt).toISOString();
+        addJob(backend, filename, attempts, dueAt);
+        record(filename, backend, { status: "pending", attempts, error, nextAttemptAt });
+        broadcast({ type: "upload-retry", filename, backend, attempts, error, nextAttemptAt });
+        console.error(`Upload to ${backend} failed (attempt ${attempts}/${maxAttempts}), retrying later:`, filename, error);
+      }
+    } finally {
+      current = null;
+    }
+  }
+
+  async function processUploadQueue() {
+    if (running) return;
+    running = true;
+    try {
+      for (let job = nextDue(); job && !getSettings().paused; job = nextDue()) {
+        // A backend that cannot start (wallet, network, share) is no photo's fault: keep its jobs, try later
+        try {
+          await archive.get(job.backend).init();
+          auth.delete(job.backend);
+        } catch (e) {
+          const a = auth.get(job.backend) || { failures: 0 };
+          a.failures++;
+          a.error = String(e?.message || e);
+          a.retryAt = Date.now() + backoffMs(a.failures, getSettings());
+          auth.set(job.backend, a);
+          lastError = { filename: null, backend: job.backend, error: a.error, at: new Date().toISOString() };
+          console.error(`Archive ${job.backend} not available:`, a.error);
+          continue;
+        }
+        await uploadOne(job);
+      }
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  function status() {
+    const now = Date.now();
+    return {
+      paused: !!getSettings().paused,
+      running,
+      current: current?.filename || null,
+      lastError,
+      backends: archive.backends.map(({ name, priority }) => {
+        const a = auth.get(name);
+        return {
+          name,
+          priority,
+          queued: [...queue.values()].filter(j => j.backend === name).length,
+          error: a ? { error: a.error, failures: a.failures, retryAt: new Date(a.retryAt).toISOString() } : null,
+        };
+      }),
+      queue: [...queue.values()].map((job) => ({
+        filename: job.filename,
+        backend: job.backend,
+        attempts: job.attempts,
+        nextAttemptAt: job.dueAt > now ? new Date(job.dueAt).toISOString() : null,
+      })),
+    };
+  }
+
+  return {
+    enqueueUpload,
+    processUploadQueue,
+    cancelUpload,
+    abandonUpload,
+    isUploading: isUploadingFile,
+    resume,
+    // Call after uploads.* settings change (pause/resume, backoff)
+    reschedule: schedule,
+    // Forget that a backend could not start and try it now (e.g. the wallet was just unlocked)
+    retryBackend: (name) => {
+      auth.delete(name);
+      schedule();
+    },
+    status,
+  };
+}
+
+module.exports = { createUploader };
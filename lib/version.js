@@ -0,0 +1,5 @@
+// lib/version.js - Name and version stamped into saved photos and reported by the server
+const APP_NAME = "pixel";
+const APP_VERSION = "1.0.0";
+
+module.exports = { APP_NAME, APP_VERSION };
@@ -0,0 +1,103 @@
+// lib/viewfinder.js - GET /stream: live MJPEG viewfinder shared by every connected browser
+// The camera preview only runs while someone is watching, and captureImage pauses it
+// so rpicam-still can take the camera; it resumes as soon as the still is done.
+
+const BOUNDARY = "pixelframe";
+const MAX_BACKLOG = 512 * 1024; // bytes queued for one client before we start dropping its frames
+const RESTART_DELAY_MS = 5000;
+
+function createViewfinder({ camera, config }) {
+  const clients = new Set();
+  let preview = null;
+  let pauseCount = 0; // pauses can nest (capture inside a time-lapse, ...)
+  let restartTimer = null;
+  let frames = 0;
+
+  const settings = () => config.get().viewfinder;
+
+  function start() {
+    if (preview || pauseCount > 0 || !clients.size || !settings().enabled) return;
+    const { width, height, fps } = settings();
+    const p = camera.openPreview({ width, height, fps });
+    preview = p;
+    p.on("frame", sendFrame);
+    p.on("error", (e) => console.error("Viewfinder error:", e.message || e));
+    p.on("close", () => {
+      if (preview !== p) return; // stopped on purpose
+      preview = null;
+      // Preview died on its own (camera busy, cable...): try again while people are watching
+      clearTimeout(restartTimer);
+      restartTimer = setTimeout(start, RESTART_DELAY_MS);
+    });
+    console.log(`Viewfinder started (${width}x${height} @ ${fps}fps)`);
+  }
+
+  async function stop() {
+    clearTimeout(restartTimer);
+    const p = preview;
+    preview = null;
+    if (p) {
+      await p.stop();
+      console.log("Viewfinder stopped");
+    }
+  }
+
+  function sendFrame(buf, type) {
+    frames++;
+    const head = `--${BOUNDARY}\r\nContent-Type: ${type}\r\nContent-Length: ${buf.length}\r\n\r\n`;
+    for (const res of clients) {
+      if (res.writableLength > MAX_BACKLOG) continue; // slow phone on Wi-Fi: skip this frame
+      try {
+        res.write(head);
+        res.write(buf);
+        res.write("\r\n");
+      } catch {}
+    }
+  }
+
+  function handler(req, res) {
+    if (!settings().enabled) return res.status(503).json({ ok: false, error: "Viewfinder disabled" });
+    res.writeHead(200, {
+      "Content-Type": `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+      "Cache-Control": "no-store",
+      "Pragma": "no-cache",
+      "Connection": "close",
+    });
+    clients.add(res);
+    req.on("close", () => {
+      clients.delete(res);
+      if (!clients.size) stop();
+    });
+    start();
+  }
+
+  // Releases the camera; resolves once the preview process has exited
+  async function pause() {
+    pauseCount++;
+    await stop();
+  }
+
+  function resume() {
+    pauseCount = Math.max(0, pauseCount - 1);
+    start();
+  }
+
+  // Picks up new size / fps / enabled settings
+  async function restart() {
+    await stop();
+    if (!settings().enabled) {
+      for (const res of clients) res.end();
+      clients.clear();
+      return;
+    }
+    start();
+  }
+
+  function status() {
+    return { enabled: settings().enabled, running: !!preview, paused: pauseCount > 0, clients: clients.size, frames };
+  }
+
+  return { handler, pause, resume, restart, stop, status };
+}
+
+module.exports = { createViewfinder };
@@ -0,0 +1,299 @@
+// lib/wallet.js - Encrypted Arweave wallet (keystore) instead of a plaintext wallet.json
+// The JWK is sealed with AES-256-GCM under a key derived from a passphrase (scrypt). It is only
+// decrypted in memory between unlock() and lock(), and lock() overwrites that copy.
+// Unlock at startup with PIXEL_WALLET_PASSPHRASE / PIXEL_WALLET_PASSPHRASE_FILE or the terminal
+// prompt, or later with POST /wallet/unlock.
+//
+//   node lib/wallet.js migrate     encrypt paths.wallet into paths.keystore and remove the plaintext
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { EventEmitter } = require("events");
+
+const scrypt = promisify(crypto.scrypt);
+
+const VERSION = 1;
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const MIN_PASSPHRASE = 8;
+// Wrong passphrases in a row before unlocking is refused for a while
+const MAX_FAILURES = 5;
+const COOLDOWN_MS = 60 * 1000;
+
+const walletError = (code, status, message) => Object.assign(new Error(message), { code, status });
+
+const addressOf = (jwk) => crypto.createHash("sha256").update(Buffer.from(jwk.n, "base64url")).digest("base64url");
+
+function checkJwk(jwk) {
+  if (jwk?.kty !== "RSA" || ["n", "e", "d", "p", "q"].some(k => typeof jwk[k] !== "string")) {
+    throw new Error("Not an Arweave wallet (RSA JWK with its private parts)");
+  }
+}
+
+async function deriveKey(passphrase, { N, r, p, salt }) {
+  return scrypt(passphrase.normalize("NFKC"), Buffer.from(salt, "base64"), 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+// Everything outside the ciphertext is authenticated too, so the address cannot be swapped
+const headerOf = (ks) => Buffer.from(JSON.stringify([ks.version, ks.kdf, ks.kdfparams, ks.cipher, ks.address]));
+
+// jwkBytes: the wallet file's contents (Buffer) -> keystore object
+async function encryptWallet(jwkBytes, passphrase) {
+  const jwk = JSON.parse(jwkBytes.toString("utf8"));
+  checkJwk(jwk);
+  const ks = {
+    version: VERSION,
+    kdf: "scrypt",
+    kdfparams: { ...KDF_PARAMS, salt: crypto.randomBytes(16).toString("base64") },
+    cipher: "aes-256-gcm",
+    address: addressOf(jwk),
+  };
+  const key = await deriveKey(passphrase, ks.kdfparams);
+  const iv = crypto.randomBytes(12);
+  try {
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(headerOf(ks));
+    const ciphertext = Buffer.concat([cipher.update(jwkBytes), cipher.final()]);
+    return { ...ks, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ciphertext: ciphertext.toString("base64") };
+  } finally {
+    key.fill(0);
+  }
+}
+
+// keystore object -> the wallet's JSON (Buffer); a wrong passphrase or a tampered file throws
+async function decryptWallet(ks, passphrase) {
+  if (ks.version !== VERSION || ks.kdf !== "scrypt" || ks.cipher !== "aes-256-gcm") {
+    throw walletError("UNSUPPORTED", 500, "Unsupported keystore format");
+  }
+  const key = await deriveKey(passphrase, ks.kdfparams);
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(ks.iv, "base64"));
+    decipher.setAAD(headerOf(ks));
+    decipher.setAuthTag(Buffer.from(ks.tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(ks.ciphertext, "base64")), decipher.final()]);
+  } catch {
+    throw walletError("BAD_PASSPHRASE", 403, "Wrong passphrase");
+  } finally {
+    key.fill(0);
+  }
+}
+
+function createWallet({ keystorePath, plaintextPath }) {
+  const events = new EventEmitter();
+  let secret = null; // decrypted JWK bytes while unlocked
+  let failures = 0;
+  let blockedUntil = 0;
+
+  function readKeystore() {
+    try {
+      return JSON.parse(fs.readFileSync(keystorePath, "utf-8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  // The address is stored in the clear, so balances can be checked while locked
+  const address = () => readKeystore()?.address || null;
+
+  function status() {
+    let keystore = null;
+    let keystoreError = null;
+    try {
+      keystore = readKeystore();
+    } catch (e) {
+      keystoreError = `Unreadable keystore: ${e.message}`;
+    }
+    return {
+      keystore: !!keystore,
+      locked: !secret,
+      address: keystore?.address || null,
+      // A plaintext wallet.json still on disk; `node lib/wallet.js migrate` encrypts it
+      plaintext: fs.existsSync(plaintextPath),
+      retryAt: blockedUntil > Date.now() ? new Date(blockedUntil).toISOString() : null,
+      keystoreError,
+    };
+  }
+
+  async function unlock(passphrase) {
+    if (secret) return status();
+    if (Date.now() < blockedUntil) {
+      throw walletError("COOLDOWN", 429, `Too many wrong passphrases; try again after ${new Date(blockedUntil).toISOString()}`);
+    }
+    const ks = readKeystore();
+    if (!ks) throw walletError("NO_KEYSTORE", 404, "No keystore; run `node lib/wallet.js migrate` to create one");
+    if (typeof passphrase !== "string" || !passphrase) throw walletError("BAD_PASSPHRASE", 400, "passphrase is required");
+    let bytes;
+    try {
+      bytes = await decryptWallet(ks, passphrase);
+    } catch (e) {
+      if (e.code === "BAD_PASSPHRASE" && ++failures >= MAX_FAILURES) {
+        failures = 0;
+        blockedUntil = Date.now() + COOLDOWN_MS;
+      }
+      throw e;
+    }
+    failures = 0;
+    if (secret) {
+      bytes.fill(0); // unlocked by someone else meanwhile
+    } else {
+      secret = bytes;
+      console.log(`Wallet: unlocked (${ks.address})`);
+      events.emit("unlock");
+    }
+    return status();
+  }
+
+  // Overwrites the decrypted key; anything holding a parsed JWK must drop it on "lock"
+  function lock() {
+    if (!secret) return false;
+    secret.fill(0);
+    secret = null;
+    console.log("Wallet: locked");
+    events.emit("lock");
+    return true;
+  }
+
+  // A fresh JWK object for one signing; callers do not keep it
+  function getJwk() {
+    if (!secret) throw walletError("LOCKED", 423, "Wallet is locked");
+    return JSON.parse(secret.toString("utf8"));
+  }
+
+  return {
+    status,
+    address,
+    unlock,
+    lock,
+    getJwk,
+    isUnlocked: () => !!secret,
+    on: (...args) => events.on(...args),
+  };
+}
+
+// Startup passphrase from the environment; the variable is removed once read
+function passphraseFromEnv(env = process.env) {
+  if (env.PIXEL_WALLET_PASSPHRASE) {
+    const value = env.PIXEL_WALLET_PASSPHRASE;
+    delete env.PIXEL_WALLET_PASSPHRASE;
+    return value;
+  }
+  if (env.PIXEL_WALLET_PASSPHRASE_FILE) {
+    return fs.readFileSync(env.PIXEL_WALLET_PASSPHRASE_FILE, "utf-8").replace(/\r?\n$/, "");
+  }
+  return null;
+}
+
+// Reads a line from the terminal without echoing it
+function promptHidden(question) {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY) return Promise.reject(new Error("No terminal to read the passphrase from"));
+  return new Promise((resolve, reject) => {
+    let value = "";
+    const finish = () => {
+      stdin.removeListener("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write("\n");
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === "\r" || ch === "\n" || ch === "\u0004") {
+          finish();
+          return resolve(value);
+        }
+        if (ch === "\u0003") {
+          finish();
+          return reject(new Error("Cancelled"));
+        }
+        value = ch === "\u007f" || ch === "\b" ? value.slice(0, -1) : value + ch;
+      }
+    };
+    stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding("utf8");
+    stdin.on("data", onData);
+    stdin.resume();
+  });
+}
+
+const isInside = (file, dir) => {
+  const rel = path.relative(dir, file);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+};
+// Symlinks resolved, also for a file that does not exist yet (through its nearest existing parent)
+function realish(p) {
+  const abs = path.resolve(p);
+  try {
+    return fs.realpathSync(abs);
+  } catch {
+    const parent = path.dirname(abs);
+    return parent === abs ? abs : path.join(realish(parent), path.basename(abs));
+  }
+}
+
+// First wallet file that a static route could hand out -> { file, dir }, else null
+function findServedWallet(files, dirs) {
+  for (const file of files) {
+    for (const dir of dirs) {
+      if (isInside(path.resolve(file), path.resolve(dir)) || isInside(realish(file), realish(dir))) return { file, dir };
+    }
+  }
+  return null;
+}
+
+// Encrypts the plaintext wallet into the keystore, checks it opens, then removes the plaintext
+async function migrate({ plaintextPath, keystorePath, passphrase }) {
+  if (fs.existsSync(keystorePath)) throw new Error(`${keystorePath} already exists`);
+  const bytes = fs.readFileSync(plaintextPath);
+  const ks = await encryptWallet(bytes, passphrase);
+  const roundTrip = await decryptWallet(ks, passphrase);
+  if (!roundTrip.equals(bytes)) throw new Error("Keystore does not decrypt to the wallet; nothing was changed");
+  roundTrip.fill(0);
+
+  const tmp = `${keystorePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ks, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, keystorePath);
+
+  // Overwrite before unlinking (best effort: SD cards and copy-on-write filesystems may keep old blocks)
+  const fd = fs.openSync(plaintextPath, "r+");
+  try {
+    fs.writeSync(fd, crypto.randomBytes(bytes.length), 0, bytes.length, 0);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.unlinkSync(plaintextPath);
+  bytes.fill(0);
+  return ks.address;
+}
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  if (command !== "migrate") {
+    console.error("Usage: node lib/wallet.js migrate");
+    process.exit(1);
+  }
+  (async () => {
+    const { createConfig } = require("./config");
+    const config = createConfig({ rootDir: path.join(__dirname, "..") });
+    const plaintextPath = config.resolvePath("wallet");
+    const keystorePath = config.resolvePath("keystore");
+    if (!fs.existsSync(plaintextPath)) throw new Error(`No plaintext wallet at ${plaintextPath}`);
+
+    let passphrase = passphraseFromEnv();
+    if (!passphrase) {
+      passphrase = await promptHidden("New wallet passphrase: ");
+      if ((await promptHidden("Repeat passphrase: ")) !== passphrase) throw new Error("Passphrases do not match");
+    }
+    if (passphrase.length < MIN_PASSPHRASE) throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE} characters`);
+
+    const address = await migrate({ plaintextPath, keystorePath, passphrase });
+    console.log(`Wallet ${address} encrypted into ${keystorePath}; ${plaintextPath} removed.`);
+  })().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createWallet, encryptWallet, decryptWallet, migrate, passphraseFromEnv, promptHidden, findServedWallet };
@@ -0,0 +1,100 @@
+// lib/webp.js - Minimal WebP (RIFF) container editing: add/read EXIF and XMP chunks
+// ImageMagick writes simple WebP (a lone VP8/VP8L chunk). Metadata needs the extended
+// layout: VP8X header first, then the image chunks, then EXIF and XMP at the end.
+
+const VP8X_ALPHA = 0x10;
+const VP8X_EXIF = 0x08;
+const VP8X_XMP = 0x04;
+
+function isWebp(buf) {
+  return buf.length >= 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP";
+}
+
+// [{ id, data }] in file order
+function readChunks(buf) {
+  if (!isWebp(buf)) throw new Error("Not a WebP file");
+  const chunks = [];
+  let off = 12;
+  while (off + 8 <= buf.length) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (off + 8 + size > buf.length) throw new Error(`Truncated WebP chunk "${id}"`);
+    chunks.push({ id, data: buf.subarray(off + 8, off + 8 + size) });
+    off += 8 + size + (size & 1);
+  }
+  return chunks;
+}
+
+function writeChunks(chunks) {
+  const parts = [];
+  for (const { id, data } of chunks) {
+    const head = Buffer.alloc(8);
+    head.write(id, 0, 4, "ascii");
+    head.writeUInt32LE(data.length, 4);
+    parts.push(head, data);
+    if (data.length & 1) parts.push(Buffer.alloc(1));
+  }
+  const body = Buffer.concat(parts);
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, 4, "ascii");
+  riff.writeUInt32LE(body.length + 4, 4);
+  riff.write("WEBP", 8, 4, "ascii");
+  return Buffer.concat([riff, body]);
+}
+
+// Canvas size and alpha from the bitstream header (needed to build a VP8X chunk)
+function imageInfo(chunk) {
+  const d = chunk.data;
+  if (chunk.id === "VP8 ") {
+    if (d.length < 10 || d[3] !== 0x9d || d[4] !== 0x01 || d[5] !== 0x2a) throw new Error("Bad VP8 header");
+    return { width: d.readUInt16LE(6) & 0x3fff, height: d.readUInt16LE(8) & 0x3fff, alpha: false };
+  }
+  if (chunk.id === "VP8L") {
+    if (d.length < 5 || d[0] !== 0x2f) throw new Error("Bad VP8L header");
+    const bits = d.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: !!((bits >>> 28) & 1) };
+  }
+  throw new Error(`Unexpected WebP chunk "${chunk.id}"`);
+}
+
+function vp8xChunk(flags, width, height) {
+  const data = Buffer.alloc(10);
+  data[0] = flags;
+  data.writeUIntLE(width - 1, 4, 3);
+  data.writeUIntLE(height - 1, 7, 3);
+  return { id: "VP8X", data };
+}
+
+// exif: raw TIFF bytes (no "Exif\0\0" prefix), xmp: XML string. Existing EXIF/XMP are replaced.
+function setMetadata(buf, { exif = null, xmp = null } = {}) {
+  let chunks = readChunks(buf).filter(c => c.id !== "EXIF" && c.id !== "XMP ");
+  let vp8x = chunks.find(c => c.id === "VP8X");
+  if (!vp8x) {
+    const image = chunks.find(c => c.id === "VP8 " || c.id === "VP8L");
+    if (!image) throw new Error("WebP has no image data");
+    const { width, height, alpha } = imageInfo(image);
+    vp8x = vp8xChunk(alpha ? VP8X_ALPHA : 0, width, height);
+    chunks = [vp8x, ...chunks];
+  }
+  let flags = vp8x.data[0] & ~(VP8X_EXIF | VP8X_XMP);
+  if (exif) {
+    chunks.push({ id: "EXIF", data: exif });
+    flags |= VP8X_EXIF;
+  }
+  if (xmp) {
+    chunks.push({ id: "XMP ", data: Buffer.from(xmp, "utf8") });
+    flags |= VP8X_XMP;
+  }
+  vp8x.data = Buffer.from(vp8x.data);
+  vp8x.data[0] = flags;
+  return writeChunks(chunks);
+}
+
+function getMetadata(buf) {
+  const chunks = readChunks(buf);
+  const exif = chunks.find(c => c.id === "EXIF");
+  const xmp = chunks.find(c => c.id === "XMP ");
+  return { exif: exif ? exif.data : null, xmp: xmp ? xmp.data.toString("utf8") : null };
+}
+
+module.exports = { isWebp, setMetadata, getMetadata };
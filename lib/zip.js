@@ -0,0 +1,128 @@
+// lib/zip.js - Streaming ZIP writer (stored entries, no compression: WebP is already compressed)
+// Entries are written as they are read, with sizes and CRC in a trailing data descriptor,
+// so nothing is buffered beyond one chunk. Classic (non-ZIP64) format: 4 GB / 65535 entries.
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+const FLAGS = 0x0008 | 0x0800; // data descriptor follows, UTF-8 names
+const LIMIT = 0xffffffff;
+
+// out: a writable stream (an HTTP response). Call addFile/addBuffer one at a time, then finish().
+function createZipWriter(out) {
+  const entries = [];
+  let offset = 0;
+
+  // Resolves on "drain", or on "close" if the client goes away first
+  function drained() {
+    return new Promise((resolve) => {
+      const done = () => {
+        out.off("drain", done);
+        out.off("close", done);
+        resolve();
+      };
+      out.on("drain", done);
+      out.on("close", done);
+    });
+  }
+
+  async function write(buf) {
+    offset += buf.length;
+    if (offset > LIMIT) throw new Error("ZIP larger than 4 GB");
+    if (out.destroyed) throw new Error("Output closed");
+    if (!out.write(buf)) {
+      await drained();
+      if (out.destroyed) throw new Error("Output closed");
+    }
+  }
+
+  function localHeader(name, when) {
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(20, 4);
+    h.writeUInt16LE(FLAGS, 6);
+    h.writeUInt16LE(0, 8); // stored
+    h.writeUInt16LE(when.time, 10);
+    h.writeUInt16LE(when.date, 12);
+    h.writeUInt16LE(name.length, 26);
+    return Buffer.concat([h, name]);
+  }
+
+  // readable: any async-iterable of Buffers (fs stream, fetch body, ...)
+  async function addFile(entryName, readable, mtime = new Date()) {
+    if (entries.length >= 0xffff) throw new Error("Too many ZIP entries");
+    const name = Buffer.from(entryName, "utf8");
+    const when = dosDateTime(mtime);
+    const start = offset;
+    await write(localHeader(name, when));
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of readable) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      crc = crc32(buf, crc);
+      size += buf.length;
+      await write(buf);
+    }
+
+    const dd = Buffer.alloc(16);
+    dd.writeUInt32LE(0x08074b50, 0);
+    dd.writeUInt32LE(crc, 4);
+    dd.writeUInt32LE(size, 8);
+    dd.writeUInt32LE(size, 12);
+    await write(dd);
+    entries.push({ name, when, crc, size, start });
+  }
+
+  function addBuffer(entryName, buf, mtime) {
+    return addFile(entryName, [buf], mtime);
+  }
+
+  // Central directory + end record; ends `out`
+  async function finish() {
+    const cdStart = offset;
+    for (const e of entries) {
+      const h = Buffer.alloc(46);
+      h.writeUInt32LE(0x02014b50, 0);
+      h.writeUInt16LE(20, 4);
+      h.writeUInt16LE(20, 6);
+      h.writeUInt16LE(FLAGS, 8);
+      h.writeUInt16LE(0, 10);
+      h.writeUInt16LE(e.when.time, 12);
+      h.writeUInt16LE(e.when.date, 14);
+      h.writeUInt32LE(e.crc, 16);
+      h.writeUInt32LE(e.size, 20);
+      h.writeUInt32LE(e.size, 24);
+      h.writeUInt16LE(e.name.length, 28);
+      h.writeUInt32LE(e.start, 42);
+      await write(Buffer.concat([h, e.name]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - cdStart, 12);
+    end.writeUInt32LE(cdStart, 16);
+    await write(end);
+    out.end();
+  }
+
+  return { addFile, addBuffer, finish };
+}
+
+module.exports = { createZipWriter, crc32 };
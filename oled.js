@@ -0,0 +1,133 @@
+// oled.js - SSD1306 OLED driver (128x64 @ 0x3C on I²C bus 1)
+// Same public methods as ST7735SDisplay so the app can swap drivers per profile.
+
+class SSD1306Display {
+  constructor(options = {}) {
+    this.width = options.width || 128;
+    this.height = options.height || 64;
+    this.busNumber = options.bus ?? 1;
+    this.address = options.address || 0x3c;
+    this.initialized = false;
+    this.bus = null;
+    this.oled = null;
+    this.font = null;
+  }
+
+  async init() {
+    try {
+      // Loaded lazily so hosts without I²C never touch the native module
+      const i2c = require("i2c-bus");
+      const Oled = require("oled-i2c-bus");
+      this.font = require("oled-font-5x7");
+
+      this.bus = i2c.openSync(this.busNumber);
+      this.oled = new Oled(this.bus, {
+        width: this.width,
+        height: this.height,
+        address: this.address,
+      });
+      this.oled.clearDisplay();
+      this.oled.turnOnDisplay();
+      this.initialized = true;
+      console.log('SSD1306 OLED initialized');
+      return true;
+    } catch (e) {
+      console.error("OLED init failed:", e.message || e);
+      this.oled = null;
+      this.initialized = false;
+      return false;
+    }
+  }
+
+  async clear() {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+  }
+
+  // The OLED is monochrome, so color is ignored; caption goes on a second line
+  async showText(text, size = 'small', color = 'white', caption = '') {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+    this.oled.setCursor(0, 0);
+    this.oled.writeString(this.font, size === 'large' ? 2 : 1, String(text), 1, true);
+    if (caption) {
+      this.oled.setCursor(0, 16 * (size === 'large' ? 2 : 1));
+      this.oled.writeString(this.font, 1, String(caption).slice(0, 21), 1, true);
+    }
+  }
+
+  // Big centered number with an optional small header ("Shots left", "Hold steady…")
+  async showNumber(number, size = 'large', caption = '') {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+    if (caption) {
+      this.oled.setCursor(0, 0);
+      this.oled.writeString(this.font, 1, caption, 1, true);
+    }
+    const s = String(number);
+    const scale = size === 'large' ? 3 : 2;
+    const charW = 5 * scale + 1;
+    const charH = 7 * scale;
+    const x = Math.max(0, Math.floor((this.width - charW * s.length) / 2));
+    const y = Math.max(0, Math.floor((this.height - charH) / 2));
+    this.oled.setCursor(x, y);
+    this.oled.writeString(this.font, scale, s, 1, true);
+  }
+
+  // 1-bit panel: photos are not worth showing here, so only the overlay lines are drawn
+  async showImage(_imagePath, lines = []) {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+    lines.slice(0, 6).forEach((line, i) => {
+      this.oled.setCursor(0, i * 10);
+      this.oled.writeString(this.font, 1, String(line).slice(0, 21), 1, true);
+    });
+  }
+
+  async showColor(r, g, b) {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+    if (r + g + b > 0) this.oled.fillRect(0, 0, this.width, this.height, 1);
+  }
+
+  // 8 text rows of 8px: title, then up to 6 items with a ">" marker ("*" while editing)
+  async showMenu(title, rows, selected = 0, editing = false) {
+    if (!this.initialized) return;
+    this.oled.clearDisplay();
+    this.oled.setCursor(0, 0);
+    this.oled.writeString(this.font, 1, String(title).slice(0, 21), 1, true);
+    rows.slice(0, 6).forEach((row, i) => {
+      const marker = i === selected ? (editing ? '*' : '>') : ' ';
+      const value = row.value ? String(row.value) : '';
+      const label = String(row.label).slice(0, 20 - value.length - (value ? 1 : 0));
+      this.oled.setCursor(0, 10 + i * 9);
+      this.oled.writeString(this.font, 1, `${marker}${label.padEnd(20 - value.length)}${value}`, 1, true);
+    });
+  }
+
+  // The SSD1306 only has on/off and a dim contrast setting
+  async setBrightness(level) {
+    if (!this.initialized) return;
+    if (level <= 0) {
+      this.oled.turnOffDisplay();
+      return;
+    }
+    this.oled.turnOnDisplay();
+    this.oled.dimDisplay(level < 50);
+  }
+
+  async cleanup() {
+    try {
+      if (this.oled) {
+        this.oled.clearDisplay();
+        this.oled.turnOffDisplay();
+      }
+      if (this.bus) this.bus.closeSync();
+    } catch {}
+    this.oled = null;
+    this.bus = null;
+    this.initialized = false;
+  }
+}
+
+module.exports = SSD1306Display;
@@ -1,18 +1,43 @@
-// pixel.js (or server.js)
+// pixel.js - Pi B&W camera: capture + quota + display + buttons + web UI + manual archive upload (Arweave, NAS, S3, WebDAV)
 // Run: sudo -E node pixel.js
-// Updated for Waveshare 1.44" display with GPIO 13 button
+// Settings live in config.json (see lib/config.js); the profile picks the hardware:
+//   "profile": "waveshare-144" (default) | "oled-two-buttons"  (or PIXEL_PROFILE=...)
+// Develop without a Pi: PIXEL_HAL=sim node pixel.js
+// Browsers pair with a code shown on the display (see lib/auth.js); PIXEL_AUTH_ENABLED=false opens the API
 const express = require("express");
-const { exec } = require("child_process");
 const path = require("path");
 const fs = require("fs");
-const mime = require("mime-types");
+const os = require("os");
 
-// ====== GPIO (buttons) via pigpio ======
-const { Gpio } = require("pigpio");
-
-// ====== Waveshare 1.44" Display (SPI) ======
-const { spawn } = require("child_process");
-const ST7735SDisplay = require("./display");
+const { createConfig } = require("./lib/config");
+const { createQuota, DEVICE } = require("./lib/quota");
+const { createManifest } = require("./lib/manifest");
+const { createPhotoStore, photoMeta } = require("./lib/photos");
+const { createThumbs, THUMB_SIZES, DEFAULT_SIZE } = require("./lib/thumbs");
+const { createGalleryIndex } = require("./lib/gallery-index");
+const { createLibrary, isPhotoName } = require("./lib/library");
+const { createStorage } = require("./lib/storage");
+const { createExporter } = require("./lib/export");
+const { isPreset, listPresets } = require("./lib/presets");
+const { createUploader } = require("./lib/uploader");
+const { createArchive } = require("./lib/archive");
+const { createWallet, findServedWallet, passphraseFromEnv, promptHidden } = require("./lib/wallet");
+const { createAuth } = require("./lib/auth");
+const { archiveTags } = require("./lib/metadata");
+const { createUploadEstimator, POLICIES: UPLOAD_POLICIES } = require("./lib/upload-estimate");
+const { createEvents } = require("./lib/events");
+const { createCapture } = require("./lib/capture");
+const { createJournal, STAGES } = require("./lib/journal");
+const { createUI } = require("./lib/ui");
+const { createViewfinder } = require("./lib/viewfinder");
+const { createTimelapse } = require("./lib/timelapse");
+const { createReview } = require("./lib/review");
+const { createMenu } = require("./lib/menu");
+const { buildSettingsMenu } = require("./lib/settings-menu");
+const { initButtons } = require("./lib/buttons");
+const { createHealth, cached, socTemperature, boardModel, diskSpace, uptime, shortBytes, shortDuration, UNAVAILABLE } = require("./lib/health");
+const { APP_VERSION } = require("./lib/version");
+const { sleep } = require("./lib/time");
 
 process.on("unhandledRejection", (reason) => {
   console.error("UNHANDLED REJECTION:", reason);
@@ -22,350 +47,272 @@ process.on("uncaughtException", (err) => {
   // Do not exit so the server keeps running; flip to process.exit(1) if you prefer a hard crash.
 });
 
+const ROOT_DIR = __dirname;
+
+// ---------- Config (invalid config.json / env stops the app with a list of problems) ----------
+let config;
+try {
+  config = createConfig({ rootDir: ROOT_DIR });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const cfg = config.get; // always read through this so hot changes are picked up
+
+// ====== Hardware (camera, GPIO buttons, display driver from the profile) ======
+// Real Pi backends by default; PIXEL_HAL=sim runs everything simulated.
+const hal = require("./hal");
+const hw = hal.createHardware({ displayDriver: cfg().display.driver });
+
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = cfg().port;
 
-const ROOT_DIR = __dirname;
-const PUBLIC_DIR = path.join(ROOT_DIR, "public");
-const OUTPUT_PATH = path.join(PUBLIC_DIR, "latest.webp");
-const IMAGES_DIR = path.join(ROOT_DIR, "images");
+const PUBLIC_DIR = config.resolvePath("public");
+const OUTPUT_PATH = config.resolvePath("output");
+const IMAGES_DIR = config.resolvePath("images");
+const THUMBS_DIR = config.resolvePath("thumbs");
+
+// A wallet file under a directory the server hands out would be one GET away from anyone
+const servedWallet = findServedWallet(
+  [config.resolvePath("keystore"), config.resolvePath("wallet")],
+  [PUBLIC_DIR, IMAGES_DIR, THUMBS_DIR]
+);
+if (servedWallet) {
+  console.error(`Refusing to start: wallet file ${servedWallet.file} is inside ${servedWallet.dir}, which is served over HTTP`);
+  process.exit(1);
+}
 
 // Ensure folders
 fs.mkdirSync(PUBLIC_DIR, { recursive: true });
 fs.mkdirSync(IMAGES_DIR, { recursive: true });
 
-// ---------- State (daily shots) ----------
-const STATE_PATH = path.join(ROOT_DIR, "state.json");
-const DAILY_LIMIT = 10;
-
-function todayLocalISODate() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${dd}`;
-}
-function nowStamp() {
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  const hh = String(d.getHours()).padStart(2, "0");
-  const mi = String(d.getMinutes()).padStart(2, "0");
-  const ss = String(d.getSeconds()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}_${hh}-${mi}-${ss}`;
-}
-function defaultState() {
-  return { date: todayLocalISODate(), shotsRemaining: DAILY_LIMIT };
-}
-function readState() {
-  try {
-    const raw = fs.readFileSync(STATE_PATH, "utf8");
-    const obj = JSON.parse(raw);
-    if (!obj || typeof obj.date !== "string" || typeof obj.shotsRemaining !== "number") {
-      throw new Error("Invalid state");
-    }
-    return obj;
-  } catch {
-    const s = defaultState();
-    writeState(s);
-    return s;
-  }
-}
-function writeState(state) {
-  const tmp = STATE_PATH + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
-  fs.renameSync(tmp, STATE_PATH);
+// ---------- State (shot quota per period, see lib/quota.js) ----------
+const quota = createQuota({
+  statePath: config.resolvePath("state"),
+  getSettings: () => cfg().quota,
+});
+
+// ---------- Capture journal (every attempt, GET /history) ----------
+const journal = createJournal({
+  file: config.resolvePath("journal"),
+  getSettings: () => cfg().journal,
+});
+function beginAttempt(source, { account = DEVICE, by = null, preset } = {}) {
+  return journal.begin({ source, account, by, preset: preset || cfg().capture.preset });
 }
-function ensureToday(state) {
-  const t = todayLocalISODate();
-  if (state.date !== t) {
-    state.date = t;
-    state.shotsRemaining = DAILY_LIMIT;
-    writeState(state);
-  }
+
+// ---------- SSE ----------
+const events = createEvents();
+const { broadcast } = events;
+function notifyCaptured(filename = null) {
+  broadcast({ type: "captured", ts: Date.now(), filename });
 }
-function canCapture(state) {
-  ensureToday(state);
-  return state.shotsRemaining > 0;
+
+// ---------- Archive manifest + upload queue (manual upload only) ----------
+const manifest = createManifest(config.resolvePath("manifest"));
+const photos = createPhotoStore(config.resolvePath("photos"));
+const thumbs = createThumbs({ imagesDir: IMAGES_DIR, thumbsDir: THUMBS_DIR });
+
+// Arweave wallet: an encrypted keystore, unlocked at startup or with POST /wallet/unlock
+const wallet = createWallet({ keystorePath: config.resolvePath("keystore"), plaintextPath: config.resolvePath("wallet") });
+
+// Enabled archive backends (Arweave, a NAS folder, S3, WebDAV), highest priority first
+let archive;
+try {
+  archive = createArchive({ settings: cfg().archive, rootDir: ROOT_DIR, wallet });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
 }
-function decAndPersist(state) {
-  state.shotsRemaining = Math.max(0, state.shotsRemaining - 1);
-  writeState(state);
+
+const uploader = createUploader({
+  imagesDir: IMAGES_DIR,
+  archive,
+  manifest,
+  broadcast,
+  getSettings: () => cfg().uploads,
+  onUploaded: (filename) => thumbs.remove(filename),
+  // Capture details travel as Arweave tags as well as inside the file
+  getTags: (filename, file) => archiveTags(photos.getPhoto(filename), { filename, ...file }),
+});
+const { enqueueUpload } = uploader;
+wallet.on("unlock", () => uploader.retryBackend("turbo"));
+
+// Everything the gallery shows, kept in memory and updated as photos come and go
+const galleryIndex = createGalleryIndex({ imagesDir: IMAGES_DIR, manifest, photos, urls: thumbs.urls });
+galleryIndex.rebuild();
+galleryIndex.watch();
+
+const exporter = createExporter({
+  galleryIndex,
+  imagesDir: IMAGES_DIR,
+  cacheDir: config.resolvePath("archiveCache"),
+  archive,
+  getSettings: () => cfg().disk,
+});
+
+const library = createLibrary({
+  imagesDir: IMAGES_DIR,
+  outputPath: OUTPUT_PATH,
+  photos,
+  manifest,
+  thumbs,
+  uploader,
+  listImages: listLocalImages,
+  broadcast,
+});
+
+// Retention policy and the free-space floor for captures
+const storage = createStorage({
+  imagesDir: IMAGES_DIR,
+  listImages: listLocalImages,
+  deletePhoto: library.deletePhoto,
+  getSettings: () => ({ retention: cfg().retention, disk: cfg().disk }),
+  archiving: () => archive.names.length > 0,
+});
+function enforceRetention() {
+  storage.enforce().catch((e) => console.error("Retention failed:", e?.message || e));
 }
 
-// ---------- Arweave manifest (manual upload only) ----------
-const ARW_MANIFEST = path.join(ROOT_DIR, "arweave.json");
-function readManifest() {
-  try {
-    const raw = fs.readFileSync(ARW_MANIFEST, "utf8");
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) throw new Error("bad manifest");
-    return arr;
-  } catch {
-    fs.writeFileSync(ARW_MANIFEST, "[]");
-    return [];
-  }
-}
-function writeManifest(arr) {
-  const tmp = ARW_MANIFEST + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(arr, null, 2));
-  fs.renameSync(tmp, ARW_MANIFEST);
-}
-function upsertManifestEntry(filename, patch) {
-  const m = readManifest();
-  const i = m.findIndex(x => x.filename === filename);
-  const base = i >= 0 ? m[i] : { filename, status: "none" };
-  const next = { ...base, ...patch };
-  if (i >= 0) m[i] = next; else m.push(next);
-  writeManifest(m);
-  return next;
-}
-function getManifestEntry(filename) {
-  return readManifest().find(x => x.filename === filename);
-}
-
-// Upload queue (manual only)
-const uploadQueue = [];
-let isUploading = false;
-let turbo = null;
-async function ensureTurbo() {
-  if (turbo) return turbo;
-  const walletPath = path.join(ROOT_DIR, "wallet.json");
-  const jwk = JSON.parse(fs.readFileSync(walletPath, "utf-8"));
-  const mod = await import("@ardrive/turbo-sdk");
-  const { TurboFactory } = mod;
-  turbo = await TurboFactory.authenticated({ privateKey: jwk });
-  return turbo;
-}
-function enqueueUpload(filename) {
-  if (!filename) return;
-  const entry = getManifestEntry(filename);
-  if (entry && entry.status === "success") return;
-  upsertManifestEntry(filename, { status: "pending", queuedAt: new Date().toISOString() });
-  uploadQueue.push(filename);
-  process.nextTick(processUploadQueue);
-}
-async function processUploadQueue() {
-  if (isUploading) return;
-  isUploading = true;
-  try {
-    await ensureTurbo();
-  } catch (e) {
-    console.error("Arweave auth failed:", e);
-    isUploading = false;
-    return;
-  }
+const uploadEstimator = createUploadEstimator({ imagesDir: IMAGES_DIR, manifest, archive });
 
-  while (uploadQueue.length) {
-    const filename = uploadQueue.shift();
-    const filePath = path.join(IMAGES_DIR, filename);
-    try {
-      if (!fs.existsSync(filePath)) {
-        const ent = getManifestEntry(filename);
-        if (!ent || ent.status !== "success") {
-          upsertManifestEntry(filename, { status: "failed", error: "File missing", failedAt: new Date().toISOString() });
-        }
-        continue;
-      }
-      const st = fs.statSync(filePath);
-      const type = mime.lookup(filePath) || "application/octet-stream";
-
-      const result = await turbo.uploadFile({
-        fileStreamFactory: () => fs.createReadStream(filePath),
-        fileSizeFactory: () => st.size,
-        dataItemOpts: { tags: [{ name: "Content-Type", value: String(type) }] },
-      });
-
-      const url = `https://arweave.net/${result.id}`;
-      try { fs.unlinkSync(filePath); } catch {}
-
-      upsertManifestEntry(filename, {
-        status: "success",
-        uploadedAt: new Date().toISOString(),
-        txId: result.id,
-        url,
-        size: st.size,
-      });
-
-      broadcast({ type: "uploaded", filename, url, txId: result.id });
-      console.log("Arweave:", filename, url);
-    } catch (e) {
-      console.error("Upload failed:", filename, e?.message || e);
-      upsertManifestEntry(filename, {
-        status: "failed",
-        error: String(e?.message || e),
-        failedAt: new Date().toISOString(),
-      });
-    }
-  }
-  isUploading = false;
+// Every local photo goes on the upload queue (each success deletes the local file), unless
+// the Turbo credits fall short; policy "refuse" | "fit" | "ignore" (lib/upload-estimate.js)
+async function queueAllUploads(policy = "refuse") {
+  const result = await uploadEstimator.plan(policy);
+  if (result.ok) result.queue.forEach(n => enqueueUpload(n));
+  return result;
 }
 
+// ---------- Access (paired tokens and roles, see lib/auth.js) ----------
+const auth = createAuth({
+  file: config.resolvePath("tokens"),
+  getSettings: () => cfg().auth,
+  onPairing: ({ code, role }) => {
+    wakeScreen();
+    ui.showPairing(code, role);
+  },
+  onPairingEnd: () => {
+    if (!isBusy) showIdle();
+  },
+});
+const { allow, allowGallery } = auth;
+app.use(auth.identify);
+
 // ---------- Static + APIs ----------
+// The page itself is always served (it is where a browser pairs); photos need gallery access
 app.use(
+  (req, res, next) => (req.path.endsWith(".webp") ? allowGallery(req, res, next) : next()),
   express.static(PUBLIC_DIR, {
     setHeaders: (res, p) => {
       if (p.endsWith("latest.webp")) res.setHeader("Cache-Control", "no-store");
     },
   })
 );
-app.use("/images", express.static(IMAGES_DIR, { maxAge: "1d" }));
+app.use("/images", allowGallery, express.static(IMAGES_DIR, { maxAge: "1d" }));
+
+// Thumbnails: /thumbs/<name> (256px) or /thumbs/<size>/<name>. A photo's name never
+// changes, so they can be cached for good; a missing one is made on the spot.
+async function sendThumb(req, res) {
+  const size = req.params.size ? Number(req.params.size) : DEFAULT_SIZE;
+  const { name } = req.params;
+  if (!THUMB_SIZES.includes(size) || path.basename(name) !== name || !name.endsWith(".webp")) {
+    return res.status(404).json({ ok: false, error: "Not found" });
+  }
+  if (!thumbs.has(name, size)) await thumbs.queue(name);
+  if (!thumbs.has(name, size)) return res.status(404).json({ ok: false, error: "Not found" });
+  res.sendFile(thumbs.thumbPath(name, size), { maxAge: "365d", immutable: true });
+}
+app.get("/thumbs/:size(\\d+)/:name", allowGallery, sendThumb);
+app.get("/thumbs/:name", allowGallery, sendThumb);
 
-// Gallery split: local (disk) + archived (arweave)
-app.get("/gallery.json", async (_req, res) => {
+async function listLocalImages() {
+  return galleryIndex.localImages();
+}
+
+// Paged gallery over local and archived photos. Query (all optional):
+//   status=local,pending,uploaded,failed  preset=trix,pan  favorite=true|false
+//   from=YYYY-MM-DD|ISO  to=YYYY-MM-DD|ISO  sort=newest|oldest|largest|smallest
+//   limit=1..200  cursor=<nextCursor from the previous page>
+app.get("/gallery.json", allowGallery, (req, res) => {
+  const { filters, errors } = galleryIndex.parseQuery(req.query);
+  if (errors) return res.status(400).json({ ok: false, errors });
   try {
-    const names = (await fs.promises.readdir(IMAGES_DIR)).filter(n => n.toLowerCase().endsWith(".webp"));
-    const locals = await Promise.all(
-      names.map(async (name) => {
-        const full = path.join(IMAGES_DIR, name);
-        const st = await fs.promises.stat(full);
-        return {
-          name,
-          url: `/images/${encodeURIComponent(name)}`,
-          mtimeMs: st.mtimeMs,
-          size: st.size,
-        };
-      })
-    );
-    locals.sort((a, b) => b.mtimeMs - a.mtimeMs);
-
-    const archived = readManifest()
-      .filter((m) => m.status === "success" && m.url)
-      .map((m) => ({
-        name: m.filename,
-        url: m.url,
-        txId: m.txId,
-        uploadedAt: m.uploadedAt || null,
-        size: m.size || null,
-      }))
-      .sort((a, b) => {
-        const at = a.uploadedAt ? Date.parse(a.uploadedAt) : 0;
-        const bt = b.uploadedAt ? Date.parse(b.uploadedAt) : 0;
-        return bt - at;
-      });
-
-    res.json({ ok: true, local: locals, archived });
+    res.json({ ok: true, ...galleryIndex.query(filters) });
   } catch (e) {
     console.error("gallery.json error:", e);
     res.status(500).json({ ok: false, error: "Failed to read gallery" });
   }
 });
 
-// ---------- SSE ----------
-const clients = new Set();
-app.get("/events", (req, res) => {
-  res.set({
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-store",
-    "Connection": "keep-alive",
-  });
-  res.flushHeaders();
-  res.write("retry: 2000\n\n");
-  clients.add(res);
-  req.on("close", () => clients.delete(res));
+// Newest local image (used by public/index.html)
+app.get("/latest", allowGallery, async (_req, res) => {
+  try {
+    const [latest] = await listLocalImages();
+    if (!latest) return res.json({ success: false, message: "No images captured yet" });
+    res.json({
+      success: true,
+      filename: latest.name,
+      url: latest.url,
+      latestUrl: `/latest.webp?ts=${Math.round(latest.mtimeMs)}`,
+    });
+  } catch (e) {
+    console.error("/latest error:", e);
+    res.json({ success: false, error: e.message });
+  }
 });
-function broadcast(obj) {
-  const payload = `data: ${JSON.stringify(obj)}\n\n`;
-  for (const res of clients) {
-    try { res.write(payload); } catch {}
+
+// All local images (used by public/index.html)
+app.get("/gallery", allowGallery, async (_req, res) => {
+  try {
+    const images = (await listLocalImages()).map(img => ({
+      filename: img.name,
+      url: img.url,
+      thumbUrl: img.thumb,
+      favorite: img.favorite,
+      title: img.title,
+      caption: img.caption,
+      mtime: new Date(img.mtimeMs),
+      size: img.size,
+    }));
+    res.json({ success: true, images });
+  } catch (e) {
+    console.error("Gallery API error:", e);
+    res.json({ success: false, error: e.message });
   }
-}
-function notifyCaptured(filename = null) {
-  broadcast({ type: "captured", ts: Date.now(), filename });
-}
+});
 
-// ---------- Capture pipeline (with FIXES) ----------
-let isBusy = false;
+app.get("/events", allow("viewer"), events.handler);
 
-// FIX #1: reject with Error, not plain object
-function safeExec(cmd, opts = {}) {
-  return new Promise((resolve, reject) => {
-    console.log('Executing:', cmd);
-    exec(cmd, { timeout: 30000, ...opts }, (err, stdout, stderr) => {
-      if (err) {
-        console.error('Command failed:', err.message);
-        console.error('Stderr:', stderr);
-        const e = new Error(String(stderr || err.message || "exec failed"));
-        e.stderr = String(stderr || "");
-        e.cause = err;
-        return reject(e);
-      }
-      console.log('Command completed successfully');
-      resolve({ stdout: String(stdout), stderr: String(stderr) });
-    });
-  });
-}
+// ---------- Live viewfinder (MJPEG) ----------
+const viewfinder = createViewfinder({ camera: hw.camera, config });
+app.get("/stream", allow("viewer"), viewfinder.handler);
 
-async function captureImage() {
-  // Simple capture using the approach that works
-  const tempFile = path.join(ROOT_DIR, 'temp_capture.jpg');
-  
-  console.log('Starting camera capture...');
-  
-  return new Promise((resolve, reject) => {
-    const cmd = `rpicam-still -o "${tempFile}"`;
-    console.log('Executing:', cmd);
-    
-    exec(cmd, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Capture failed:', error);
-        reject(new Error('Camera capture failed: ' + error.message));
-        return;
-      }
-      
-      console.log('Camera capture completed');
-      
-      // Check if file was created
-      if (!fs.existsSync(tempFile)) {
-        reject(new Error('No file created'));
-        return;
-      }
-      
-      console.log('Processing image...');
-      // Convert to WebP
-      const convertCmd = `convert "${tempFile}" -resize '1024x1024>' -colorspace Gray -quality 80 "${OUTPUT_PATH}"`;
-      
-      exec(convertCmd, (convertError, convertStdout, convertStderr) => {
-        // Clean up temp file
-        try { fs.unlinkSync(tempFile); } catch {}
-        
-        if (convertError) {
-          console.error('Convert failed:', convertError);
-          reject(new Error('Image processing failed: ' + convertError.message));
-          return;
-        }
-        
-        const name = `${nowStamp()}.webp`;
-        fs.copyFileSync(OUTPUT_PATH, path.join(IMAGES_DIR, name));
-        console.log('Image saved:', name);
-        resolve(name);
-      });
-    });
-  });
-}
+// ---------- Capture pipeline ----------
+let isBusy = false;
+
+const { captureImage } = createCapture({
+  camera: hw.camera,
+  config,
+  photos,
+  viewfinder,
+  tempFile: config.resolvePath("temp"),
+  imagesDir: IMAGES_DIR,
+  outputPath: OUTPUT_PATH,
+});
 
-// ---------- Waveshare 1.44" Display Functions ----------
+// ---------- Display ----------
 let display = null;
 let displayReady = false;
 
 async function initDisplay() {
   try {
-    // Initialize ST7735S display driver
-    display = new ST7735SDisplay({
-      rotation: 0,
-      spiDevice: '/dev/spidev0.0'
-    });
-    
+    display = hw.createDisplay(cfg().display);
+
     const success = await display.init();
-    if (success) {
-      console.log("Waveshare 1.44\" display initialized");
-      displayReady = true;
-      return true;
-    } else {
-      displayReady = false;
-      return false;
-    }
+    displayReady = !!success;
+    if (success) console.log(`Display initialized (${hw.backends.display})`);
+    return displayReady;
   } catch (e) {
     console.error("Display init failed:", e.message || e);
     displayReady = false;
@@ -373,223 +320,915 @@ async function initDisplay() {
   }
 }
 
-async function showStatus(text) {
-  console.log(`Display: ${text}`);
-  if (!displayReady || !display) return;
-  
-  try {
-    await display.showText(text, 'small', 'white');
-  } catch (e) {
-    console.log(`Display: ${text}`);
-  }
-}
-
-function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+const ui = createUI({ getDisplay: () => (displayReady ? display : null) });
+const { showStatus, showActiveCountdown, showResult } = ui;
 
-async function showRemainingBig(n) {
-  console.log(`Display: Shots left: ${n}`);
-  if (!displayReady || !display) return;
-  
-  try {
-    await display.showNumber(n, 'large');
-  } catch (e) {
-    console.log(`Display: Shots left: ${n}`);
-  }
+// Idle screen: time-lapse progress while one runs, shots left when the quota
+// feature is on, otherwise just "Ready"
+async function showIdle() {
+  if (isBusy || review.isActive() || settingsMenu.isActive()) return;
+  const tl = timelapse.status();
+  if (tl && ["running", "paused"].includes(tl.status)) return ui.showTimelapse(tl);
+  if (!cfg().features.quota) return showStatus("Ready");
+  await ui.showRemainingBig(quota.status(DEVICE).remaining);
 }
 
-async function showActiveCountdown(seconds = 3) {
-  console.log(`Display: Countdown starting...`);
-  if (!displayReady || !display) {
-    await sleep(seconds * 1000);
-    return;
-  }
-  
-  for (let s = seconds; s >= 1; s--) {
-    console.log(`Display: ${s}`);
-    try {
-      await display.showNumber(s, 'large');
-    } catch (e) {
-      console.log(`Display: ${s}`);
-    }
-    await sleep(1000);
-  }
-}
+// Full capture UI flow (NO auto-upload) with a self-catching capture promise.
+// account: whose quota the shot counts against; attempt: from beginAttempt(), ended here.
+// An error thrown after the timeout has .late set: the capture is still running and releases
+// isBusy itself (settleLate), so the caller must leave it set.
+async function runCaptureWithUI(account, options, attempt) {
+  wakeScreen();
 
-async function showResult(ok, msg = "") {
-  if (ok) {
-    console.log("Display: Saved ✓");
-    if (displayReady && display) {
-      try {
-        await display.showText("SAVED ✓", 'large', 'green');
-      } catch (e) {
-        console.log("Display: Saved ✓");
-      }
-    }
-  } else {
-    console.log(`Display: Error - ${msg}`);
-    if (displayReady && display) {
-      try {
-        await display.showText("ERROR", 'large', 'red');
-      } catch (e) {
-        console.log(`Display: Error - ${msg}`);
-      }
-    }
-  }
-}
-
-// Full capture UI flow (NO auto-upload) with FIX #2 (self-catching capture promise)
-async function runCaptureWithUI(state) {
-  // Start capture immediately, but PREVENT unhandled rejection:
-  let capError = null;
-  const capPromise = captureImage().catch((e) => {
-    capError = e;   // store error so it won't crash as unhandled
-    return null;    // make the promise resolve -> prevents unhandled rejection
-  });
+  // Start capture immediately; the no-op catch keeps a rejection during the countdown from
+  // counting as unhandled (the race below still sees it)
+  const capture = captureImage({ ...options, stages: attempt.stages });
+  capture.catch(() => {});
 
   // Show countdown while capture runs
-  await showActiveCountdown(3);
+  await showActiveCountdown(cfg().capture.countdownSec);
 
   // Processing splash - show until capture actually completes
   await showStatus("Processing...");
-  
+
   // Wait for capture to actually complete (with timeout)
-  const filename = await Promise.race([
-    capPromise,
-    new Promise((_, reject) => setTimeout(() => reject(new Error('Capture timeout after 15 seconds')), 15000))
-  ]);
-  
-  if (capError) {
-    // If there was an error, show error message
-    await showResult(false, "Capture error");
-    throw capError;
+  const { timeoutMs } = cfg().capture;
+  let timer;
+  let filename;
+  try {
+    filename = await Promise.race([
+      capture,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          // Blamed on the stage that had not finished by now, not by the time the capture ends
+          const stage = STAGES.find(s => !(s in attempt.stages)) || null;
+          reject(Object.assign(new Error(`Capture timeout after ${timeoutMs / 1000} seconds`), { code: "TIMEOUT", stage }));
+        }, timeoutMs);
+      }),
+    ]);
+  } catch (e) {
+    if (e.code === "TIMEOUT") {
+      e.late = settleLate(account, capture, attempt, e);
+    } else {
+      attempt.fail(e);
+      await showResult(false, "Capture error");
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
   }
+  attempt.succeed(filename);
 
   // Now show saved after capture actually completed
   await showResult(true);
-  
+
   // Reset busy state after showing saved (so user can take another photo)
   isBusy = false;
+  capturedPhoto(account, filename);
 
-  // Decrement quota & UI
-  decAndPersist(state);
-  notifyCaptured(filename);
-
+  // Quick look at the new shot, then back to idle
   setTimeout(async () => {
-    const fresh = readState(); ensureToday(fresh);
-    await showRemainingBig(fresh.shotsRemaining);
+    if (!(await review.preview(filename))) showIdle();
   }, 800);
 
   return filename;
 }
 
-// ------------- Button via ALERT (GPIO 13) -------------
-const BUTTON_GPIO = 13; // Waveshare 1.44" display button pin
-let btn = null;
+// Quota & UI for a photo that was saved
+function capturedPhoto(account, filename) {
+  if (cfg().features.quota) quota.consume(account);
+  notifyCaptured(filename);
+  thumbs.queue(filename);
+  enforceRetention();
+}
 
-function initButtons() {
-  try {
-    btn = new Gpio(BUTTON_GPIO, { mode: Gpio.INPUT, pullUpDown: Gpio.PUD_UP });
-    btn.glitchFilter(10000);
-    btn.enableAlert();
-
-    btn.on("alert", async (level) => {
-      if (level !== 0) return;     // falling edge = press (active-low)
-      if (isBusy) { 
-        showStatus("Busy…"); 
-        return; 
-      }
-      
-      const state = readState(); 
-      ensureToday(state);
-      
-      if (!canCapture(state)) { 
-        await showStatus("Limit reached"); 
-        setTimeout(async () => await showRemainingBig(state.shotsRemaining), 1500); 
-        return; 
-      }
-      
-      isBusy = true;
-      try {
-        console.log("Button PRESSED → capturing...");
-        await runCaptureWithUI(state);
-      } catch (e) {
-        console.error("Button capture failed:", e?.stderr || e);
-        await showResult(false, "Check camera");
-        setTimeout(async () => await showRemainingBig(readState().shotsRemaining), 1500);
-        isBusy = false; // Reset busy state on error
-      }
-      // Note: isBusy is reset inside runCaptureWithUI after showing "Saved ✓"
+// A capture past its timeout still holds the camera: isBusy stays set until it ends, and a photo
+// it saves after all is journaled (with the timeout), counted and announced like any other
+function settleLate(account, capture, attempt, timeoutError) {
+  return capture
+    .then((filename) => {
+      console.warn("Capture finished after its timeout:", filename);
+      attempt.fail(timeoutError, filename);
+      capturedPhoto(account, filename);
+    }, (e) => {
+      console.error("Capture failed after its timeout:", e?.stderr || e);
+      attempt.fail(timeoutError);
+    })
+    .finally(() => {
+      isBusy = false;
+      showIdle();
     });
+}
+
+// Quota gate shared by the button and HTTP triggers
+function quotaBlocked(account = DEVICE) {
+  return cfg().features.quota && !quota.canCapture(account);
+}
 
-    console.log(`Button ready on GPIO ${BUTTON_GPIO} [ALERT mode].`);
-    return true;
+// Free-space gate shared by every trigger; when space is short retention (if on) makes room
+// first and the space is checked again. Callers hold isBusy meanwhile.
+async function diskFull() {
+  try {
+    return (await storage.ensureSpace()).low;
   } catch (e) {
-    console.error("Button init failed:", e.message || e);
+    console.error("Disk check failed:", e.message);
     return false;
   }
 }
 
+// With quota.perToken on, a paired token shoots on its own quota; everyone else on the camera's
+function quotaAccount(req) {
+  return cfg().quota.perToken.enabled && req.auth?.id ? req.auth.id : DEVICE;
+}
+
+// ---------- Review mode (today's photos on the display) ----------
+const UPLOAD_LABELS = { pending: "upload queued", failed: "upload failed", success: "uploaded" };
+
+function describePhoto(name) {
+  const info = photos.getPhoto(name);
+  const time = info?.capturedAt
+    ? new Date(info.capturedAt).toTimeString().slice(0, 8)
+    : name.slice(11, 19).replace(/-/g, ":");
+  const status = manifest.getManifestEntry(name)?.status;
+  return [
+    name.replace(/\.webp$/, ""),
+    info?.preset ? `${time}  ${info.preset}` : time,
+    UPLOAD_LABELS[status] || "not uploaded",
+  ];
+}
+
+const review = createReview({
+  ui,
+  imagePath: (name) => thumbs.bestPath(name, 128),
+  listImages: listLocalImages,
+  describe: describePhoto,
+  getSettings: () => cfg().review,
+  onExit: () => showIdle(),
+});
+
+// ---------- Settings menu (on the display, see menu.gestures in config) ----------
+const settingsMenu = createMenu({
+  ui,
+  getSettings: () => cfg().menu,
+  onExit: () => showIdle(),
+});
+
+// ---------- Screen sleep ----------
+// After screen.sleepSec without a button press the backlight goes off; the next
+// press only wakes it, so nothing fires by accident in the dark.
+let screenAsleep = false;
+let sleepTimer = null;
+
+function armSleep() {
+  clearTimeout(sleepTimer);
+  const { sleepSec } = cfg().screen;
+  if (!sleepSec) return;
+  sleepTimer = setTimeout(() => {
+    if (isBusy) return armSleep();
+    screenAsleep = true;
+    ui.setBrightness(0);
+  }, sleepSec * 1000);
+}
+
+// Returns true when the screen was asleep
+function wakeScreen() {
+  const wasAsleep = screenAsleep;
+  if (wasAsleep) {
+    screenAsleep = false;
+    ui.setBrightness(cfg().screen.brightness);
+  }
+  armSleep();
+  return wasAsleep;
+}
+
+// Short message, then back to the idle screen
+async function flashStatus(text, ms = 1500) {
+  await showStatus(text);
+  setTimeout(showIdle, ms);
+}
+
+async function showLimitReached() {
+  await flashStatus("Limit reached");
+}
+
+async function showDiskFull() {
+  await flashStatus("Disk full", 3000);
+}
+
+// ------------- Time-lapse -------------
+// Scheduled shots skip the countdown; quota, busy flag and notifications match a button press.
+// Busy/quota/disk refusals are not journaled: the scheduler retries them every few seconds.
+async function captureForSchedule({ preset, account = DEVICE }) {
+  if (isBusy) throw Object.assign(new Error("Busy"), { code: "BUSY" });
+  if (quotaBlocked(account)) throw Object.assign(new Error("Shot quota used up"), { code: "QUOTA" });
+  isBusy = true;
+  if (await diskFull()) {
+    isBusy = false;
+    throw Object.assign(new Error("Not enough disk space"), { code: "DISK" });
+  }
+  const attempt = beginAttempt("schedule", { account, preset });
+  try {
+    const filename = await captureImage({ preset: preset || undefined, stages: attempt.stages });
+    attempt.succeed(filename);
+    if (cfg().features.quota) quota.consume(account);
+    notifyCaptured(filename);
+    enforceRetention();
+    return filename;
+  } catch (e) {
+    attempt.fail(e);
+    throw e;
+  } finally {
+    isBusy = false;
+  }
+}
+
+const timelapse = createTimelapse({
+  file: config.resolvePath("timelapse"),
+  takeShot: captureForSchedule,
+  broadcast,
+  onProgress: (job) => {
+    if (isBusy) return;
+    if (["running", "paused"].includes(job.status)) ui.showTimelapse(job);
+    else showIdle();
+  },
+});
+
+// ------------- Buttons (map comes from config / the profile) -------------
+let buttonPins = null;
+
+function localAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(a => a && a.family === "IPv4" && !a.internal)
+    .map(a => a.address);
+}
+
+// Named actions that buttons, gestures and chords can be mapped to (see lib/gestures.js)
+const buttonActions = {
+  async capture() {
+    if (isBusy) {
+      beginAttempt("button").refuse("BUSY", "Busy");
+      showStatus("Busy…");
+      return;
+    }
+
+    if (quotaBlocked()) {
+      beginAttempt("button").refuse("QUOTA", "Shot quota used up");
+      await showLimitReached();
+      return;
+    }
+
+    isBusy = true;
+    if (await diskFull()) {
+      isBusy = false;
+      beginAttempt("button").refuse("DISK", "Not enough disk space");
+      await showDiskFull();
+      return;
+    }
+
+    try {
+      console.log("Button PRESSED → capturing...");
+      await runCaptureWithUI(DEVICE, {}, beginAttempt("button"));
+    } catch (e) {
+      console.error("Button capture failed:", e?.stderr || e);
+      await showResult(false, "Check camera");
+      setTimeout(showIdle, 1500);
+      if (!e.late) isBusy = false; // Reset busy state on error
+    }
+    // Note: isBusy is reset inside runCaptureWithUI after showing "Saved ✓"
+  },
+
+  // Next film preset becomes the saved default (same as PUT /config)
+  async cyclePreset() {
+    const names = listPresets().map(p => p.name);
+    const next = names[(names.indexOf(cfg().capture.preset) + 1) % names.length];
+    const result = config.update({ capture: { preset: next } });
+    if (!result.ok) {
+      console.error("Preset change refused:", result.errors.join("; "));
+      return flashStatus("Preset locked");
+    }
+    await flashStatus(`Preset: ${next}`);
+  },
+
+  // Review mode: newest photo first, buttons page back (see review.gestures in config)
+  async showLast() {
+    if (!(await review.open())) await flashStatus("No photos today");
+  },
+
+  // Deletes the newest local photo (the quota is not refunded)
+  async discardLast() {
+    const [latest] = await listLocalImages();
+    if (!latest) return flashStatus("No photos");
+    if (manifest.getManifestEntry(latest.name)?.status === "pending") return flashStatus("Uploading…");
+
+    await library.deletePhoto(latest.name);
+    await flashStatus("Discarded");
+  },
+
+  async menu() {
+    await settingsMenu.open(buildSettingsMenu({
+      config,
+      quota,
+      uploadsEnabled: cfg().features.upload,
+      queueAllUploads,
+      estimateUploads: uploadEstimator.estimate,
+      showHealth: async () => {
+        await showHealth();
+        await sleep(HEALTH_SCREEN_MS);
+      },
+    }));
+  },
+
+  async showIp() {
+    const [ip] = localAddresses();
+    await showStatus(ip ? `${ip}:${PORT}` : "No network");
+    setTimeout(showIdle, 5000);
+  },
+
+  async health() {
+    await showStatus("Checking…");
+    await showHealth();
+    setTimeout(showIdle, HEALTH_SCREEN_MS);
+  },
+};
+
+function dispatchAction(name, ctx) {
+  if (wakeScreen()) return;
+  // The menu and review mode take over the buttons while they are open
+  if (settingsMenu.isActive()) {
+    settingsMenu.handle(ctx.gesture).catch((e) => console.error("Menu failed:", e?.message || e));
+    return;
+  }
+  // While reviewing, every gesture pages through photos instead of its normal action
+  if (review.isActive()) {
+    review.handle(ctx.gesture).catch((e) => console.error("Review failed:", e?.message || e));
+    return;
+  }
+  const action = buttonActions[name];
+  if (!action) return console.error(`Unknown button action "${name}"`);
+  // Only capture knows how to queue behind a running capture; the rest would garble the screen
+  if (isBusy && name !== "capture") return showStatus("Busy…");
+  Promise.resolve(action(ctx)).catch((e) => {
+    console.error(`Action ${name} failed:`, e?.message || e);
+    flashStatus("Error");
+  });
+}
+
+// ------------- Device status (GET /status, "health" gesture) -------------
+// Listing cameras runs rpicam-still, so its answer is reused for a while
+const CAMERA_PROBE_TTL_MS = 60 * 1000;
+const HEALTH_SCREEN_MS = 8000;
+
+const health = createHealth({
+  camera: cached(() => hw.camera.detect(), CAMERA_PROBE_TTL_MS),
+  display: () => ({
+    driver: hw.backends.display,
+    ready: displayReady,
+    // st7735s: the display server process is up and answering; restarts since startup
+    running: display ? (display.isRunning ? display.isRunning() : !!display.initialized) : false,
+    ...(display && display.restarts !== undefined ? { restarts: display.restarts } : {}),
+  }),
+  buttons: () => ({ backend: hw.backends.buttons, initialized: !!buttonPins, count: buttonPins ? buttonPins.length : 0 }),
+  disk: async () => {
+    const { minFreeBytes, low } = storage.diskStatus();
+    return { ...(await diskSpace(IMAGES_DIR)), minFreeBytes, low };
+  },
+  uploads: () => {
+    if (!cfg().features.upload) return { enabled: false };
+    const { paused, current, lastError, queue, backends } = uploader.status();
+    return {
+      enabled: true,
+      paused,
+      queued: queue.length,
+      current,
+      // Backends that cannot start right now (locked wallet, unmounted share, ...)
+      blocked: backends.filter(b => b.error).map(b => b.name),
+      lastError,
+    };
+  },
+  quota: () => (cfg().features.quota ? { enabled: true, ...quota.status(DEVICE) } : { enabled: false }),
+  uptime,
+  temperatureC: socTemperature,
+  network: () => ({ addresses: localAddresses(), port: PORT }),
+  versions: async () => ({
+    app: APP_VERSION,
+    node: process.version,
+    board: await boardModel().catch(() => UNAVAILABLE),
+  }),
+});
+
+// Condensed report on the display: six rows, values cut to fit
+async function showHealth() {
+  const s = await health.check();
+  const show = (v, fn) => (v === UNAVAILABLE ? "n/a" : fn(v));
+  await ui.showDetails("Status", [
+    { label: "IP", value: show(s.network, n => n.addresses[0] || "none") },
+    { label: "Camera", value: show(s.camera, c => (c.detected ? c.model : "none")) },
+    { label: "Disk", value: show(s.disk, d => `${d.low ? "LOW " : ""}${shortBytes(d.freeBytes)} free`) },
+    {
+      label: "Uploads",
+      value: show(s.uploads, u => (!u.enabled ? "off" : u.blocked.length ? `${u.queued} ${u.blocked[0]} down` : `${u.queued} queued`)),
+    },
+    { label: "Temp", value: show(s.temperatureC, t => `${t}°C`) },
+    { label: "Up", value: show(s.uptime, u => shortDuration(u.processSec)) },
+  ]);
+}
+
 // ------------- HTTP routes -------------
-app.post("/capture", async (_req, res) => {
-  if (isBusy) return res.status(409).json({ ok: false, error: "Busy" });
-  const state = readState(); ensureToday(state);
-  if (!canCapture(state)) {
-    await showStatus("Limit reached"); 
-    setTimeout(async () => await showRemainingBig(state.shotsRemaining), 1500);
-    return res.status(403).json({ ok: false, error: "Daily limit reached" });
+app.use("/hal", allow("shooter"));
+hal.mountRoutes(app, hw);
+
+// Probes that cannot run on this host (not a Pi, no sensor) answer "unavailable"
+app.get("/status", allow("viewer"), async (_req, res) => {
+  try {
+    res.json({ ok: true, checkedAt: new Date().toISOString(), ...(await health.check()) });
+  } catch (e) {
+    console.error("status error:", e);
+    res.status(500).json({ ok: false, error: "Status check failed" });
+  }
+});
+
+app.get("/presets", allow("viewer"), (_req, res) => {
+  res.json({ ok: true, default: cfg().capture.preset, presets: listPresets() });
+});
+
+// Body (optional): { preset } to shoot this one frame with a different film preset,
+// { caption } to embed a caption in the photo's metadata
+app.post("/capture", allow("shooter"), express.json(), async (req, res) => {
+  const { preset, caption } = req.body || {};
+  if (preset !== undefined && !isPreset(preset)) {
+    return res.status(400).json({ ok: false, error: `Unknown preset "${preset}"`, presets: listPresets().map(p => p.name) });
+  }
+  if (caption !== undefined && (typeof caption !== "string" || caption.length > 200 || /[\x00-\x1f]/.test(caption))) {
+    return res.status(400).json({ ok: false, error: "caption must be a single line of at most 200 characters" });
+  }
+  const account = quotaAccount(req);
+  const attempt = beginAttempt("http", { account, by: req.auth?.name || null, preset });
+  if (isBusy) {
+    attempt.refuse("BUSY", "Busy");
+    return res.status(409).json({ ok: false, error: "Busy" });
+  }
+  if (quotaBlocked(account)) {
+    attempt.refuse("QUOTA", "Shot quota used up");
+    await showLimitReached();
+    return res.status(403).json({ ok: false, error: "Shot quota used up", quota: quota.status(account) });
   }
   isBusy = true;
+  if (await diskFull()) {
+    isBusy = false;
+    attempt.refuse("DISK", "Not enough disk space");
+    await showDiskFull();
+    return res.status(507).json({ ok: false, error: "Not enough disk space", disk: storage.diskStatus() });
+  }
   try {
-    const filename = await runCaptureWithUI(state);
-    return res.json({ ok: true, url: `/latest.webp?ts=${Date.now()}`, saved: `/images/${encodeURIComponent(filename)}` });
+    const filename = await runCaptureWithUI(account, { preset, caption: caption || undefined }, attempt);
+    return res.json({
+      ok: true,
+      url: `/latest.webp?ts=${Date.now()}`,
+      saved: `/images/${encodeURIComponent(filename)}`,
+      ...photoMeta(photos.getPhoto(filename)),
+    });
   } catch (e) {
     console.error("Capture error:", e?.stderr || e);
     await showResult(false, "Capture failed");
-    setTimeout(async () => await showRemainingBig(readState().shotsRemaining), 1500);
+    setTimeout(showIdle, 1500);
+    if (!e.late) isBusy = false; // a capture past its timeout releases it when it ends
     return res.status(500).json({ ok: false, error: "Capture failed" });
-  } finally {
-    isBusy = false;
   }
 });
 
-// Manual upload ALL local images (each success deletes local file)
-app.post("/upload-all", async (_req, res) => {
+// Capture attempts, newest first; filters in lib/journal.js (source, result, error, account, from, to, limit, before)
+app.get("/history", allow("viewer"), (req, res) => {
+  const { filters, errors } = journal.parseQuery(req.query);
+  if (errors) return res.status(400).json({ ok: false, errors });
   try {
-    const names = (await fs.promises.readdir(IMAGES_DIR)).filter(n => n.toLowerCase().endsWith(".webp"));
-    names.forEach(n => enqueueUpload(n));
-    res.json({ ok: true, queued: names.length });
+    res.json({ ok: true, ...journal.query(filters) });
   } catch (e) {
-    console.error("/upload-all error:", e);
-    res.status(500).json({ ok: false, error: "Failed to queue uploads" });
+    console.error("history error:", e);
+    res.status(500).json({ ok: false, error: "Failed to read the capture journal" });
   }
 });
 
-// Optional: retry a specific filename
-app.post("/upload/:filename", async (req, res) => {
+// ------------- Photo management -------------
+// Errors from lib/library carry the HTTP status to answer with
+function sendLibraryError(res, e, what) {
+  if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+  console.error(`${what} error:`, e);
+  res.status(500).json({ ok: false, error: `${what} failed` });
+}
+
+app.delete("/images/:name", allow("shooter"), async (req, res) => {
   try {
-    const filename = decodeURIComponent(req.params.filename);
-    const full = path.join(IMAGES_DIR, filename);
-    if (!fs.existsSync(full)) return res.status(404).json({ ok: false, error: "File not found" });
-    enqueueUpload(filename);
+    await library.deletePhoto(req.params.name);
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ ok: false, error: "Failed to queue file" });
+    sendLibraryError(res, e, "Delete");
+  }
+});
+
+// Body: any of { favorite: bool, title: string|null, caption: string|null }
+app.patch("/images/:name", allow("shooter"), express.json(), async (req, res) => {
+  try {
+    const record = await library.updatePhoto(req.params.name, req.body);
+    res.json({ ok: true, photo: { filename: req.params.name, favorite: record.favorite === true, ...photoMeta(record) } });
+  } catch (e) {
+    sendLibraryError(res, e, "Update");
   }
 });
 
+// Body: { action: "delete" | "update", names: [...], patch? } -> per-photo results
+app.post("/images/bulk", allow("shooter"), express.json(), async (req, res) => {
+  const { action, names, patch } = req.body || {};
+  if (!["delete", "update"].includes(action)) return res.status(400).json({ ok: false, error: 'action must be "delete" or "update"' });
+  if (!Array.isArray(names) || !names.length || names.length > 500) {
+    return res.status(400).json({ ok: false, error: "names must be a list of 1 to 500 filenames" });
+  }
+  try {
+    if (action === "update") library.validatePatch(patch);
+    const results = await library.bulk(action, names, patch);
+    res.json({ ok: results.every(r => r.ok), results });
+  } catch (e) {
+    sendLibraryError(res, e, "Bulk");
+  }
+});
+
+// ------------- Storage (retention, free space) -------------
+// Free space, the retention settings and what retention would delete right now
+app.get("/storage", allow("viewer"), async (_req, res) => {
+  try {
+    res.json({ ok: true, disk: storage.diskStatus(), retention: cfg().retention, plan: await storage.plan() });
+  } catch (e) {
+    console.error("storage error:", e);
+    res.status(500).json({ ok: false, error: "Failed to read storage" });
+  }
+});
+
+// Applies the retention policy now instead of after the next capture / hourly run
+app.post("/storage/cleanup", allow("admin"), async (_req, res) => {
+  if (!cfg().retention.enabled) return res.status(409).json({ ok: false, error: "Retention is off (retention.enabled)" });
+  try {
+    res.json({ ok: true, ...(await storage.enforce()), disk: storage.diskStatus() });
+  } catch (e) {
+    console.error("cleanup error:", e);
+    res.status(500).json({ ok: false, error: "Cleanup failed" });
+  }
+});
+
+// ------------- Export -------------
+// Query (all optional): from=YYYY-MM-DD  to=YYYY-MM-DD  include=local,archived
+app.get("/export.zip", allow("viewer"), async (req, res) => {
+  const request = exporter.parseExportQuery(req.query);
+  if (request.errors) return res.status(400).json({ ok: false, errors: request.errors });
+  try {
+    const { count, missing } = await exporter.streamExport(res, request);
+    console.log(`Export: ${count} photo(s)${missing ? `, ${missing} unavailable` : ""}`);
+  } catch (e) {
+    console.error("Export failed:", e.message);
+    // Once the ZIP has started the only way to tell the client is to cut it short
+    if (res.headersSent) res.destroy();
+    else res.status(500).json({ ok: false, error: "Export failed" });
+  }
+});
+
+// ------------- Time-lapse API -------------
+app.get("/timelapse", allow("viewer"), (_req, res) => {
+  res.json({ ok: true, timelapse: timelapse.status() });
+});
+
+// Body: { intervalSec, count, preset?, onQuota?: "pause" | "stop" }
+app.post("/timelapse", allow("shooter"), express.json(), (req, res) => {
+  const { intervalSec, count, preset = null, onQuota = "pause" } = req.body || {};
+  const errors = [];
+  if (!Number.isInteger(intervalSec) || intervalSec < 5 || intervalSec > 86400) errors.push("intervalSec must be an integer between 5 and 86400");
+  if (!Number.isInteger(count) || count < 1 || count > 10000) errors.push("count must be an integer between 1 and 10000");
+  if (preset !== null && !isPreset(preset)) errors.push(`Unknown preset "${preset}"`);
+  if (!["pause", "stop"].includes(onQuota)) errors.push('onQuota must be "pause" or "stop"');
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  try {
+    res.json({ ok: true, timelapse: timelapse.start({ intervalSec, count, preset, onQuota, account: quotaAccount(req) }) });
+  } catch (e) {
+    if (e.code === "RUNNING") return res.status(409).json({ ok: false, error: e.message, timelapse: timelapse.status() });
+    console.error("/timelapse error:", e);
+    res.status(500).json({ ok: false, error: "Failed to start time-lapse" });
+  }
+});
+
+app.delete("/timelapse", allow("shooter"), (_req, res) => {
+  const job = timelapse.cancel();
+  if (!job) return res.status(404).json({ ok: false, error: "No time-lapse running" });
+  res.json({ ok: true, timelapse: job });
+});
+
+// ------------- Quota API -------------
+// Current period of every account the caller may see (admins: all), plus shots per day
+app.get("/quota", allow("viewer"), (req, res) => {
+  const names = new Map(auth.listTokens().map(t => [t.id, t.name]));
+  const mine = quotaAccount(req);
+  const you = quota.status(mine);
+  const { accounts, history } = quota.summary();
+  const visible = (id) => req.auth.role === "admin" || id === DEVICE || id === mine;
+  res.json({
+    ok: true,
+    enabled: cfg().features.quota,
+    settings: cfg().quota,
+    you,
+    accounts: accounts
+      .filter(a => visible(a.account))
+      .map(a => ({ ...a, name: a.account === DEVICE ? "camera" : names.get(a.account) ?? null })),
+    history: history.map(({ date, accounts: byAccount }) => ({
+      date,
+      accounts: Object.fromEntries(Object.entries(byAccount).filter(([id]) => visible(id))),
+    })),
+  });
+});
+
+// "device" or the id of a paired token (GET /auth/tokens)
+const isQuotaAccount = (id) => id === DEVICE || auth.listTokens().some(t => t.id === id);
+
+function sendQuota(res, account, run) {
+  if (!isQuotaAccount(account)) return res.status(404).json({ ok: false, error: `No account "${account}"` });
+  try {
+    const status = run();
+    if (account === DEVICE && !isBusy) showIdle();
+    res.json({ ok: true, quota: status });
+  } catch (e) {
+    if (!e.status) console.error("Quota error:", e);
+    res.status(e.status || 500).json({ ok: false, error: e.status ? e.message : "Quota change failed" });
+  }
+}
+
+// Body { account = "device", shots, reason? }: grant = extra shots this period,
+// refund = give back shots used this period
+for (const action of ["grant", "refund"]) {
+  app.post(`/quota/${action}`, allow("admin"), express.json(), (req, res) => {
+    const { account = DEVICE, shots, reason = null } = req.body || {};
+    if (!Number.isInteger(shots) || shots < 1 || shots > 10000) {
+      return res.status(400).json({ ok: false, error: "shots must be an integer between 1 and 10000" });
+    }
+    sendQuota(res, account, () => {
+      const status = quota[action](account, shots);
+      console.log(`Quota: ${action} ${shots} shot(s) for ${account} by ${req.auth.name || "admin"}${reason ? ` (${reason})` : ""}`);
+      return status;
+    });
+  });
+}
+
+// Body { account = "device" }: a full allowance now; with period "roll", the next roll
+app.post("/quota/reset", allow("admin"), express.json(), (req, res) => {
+  const account = req.body?.account ?? DEVICE;
+  sendQuota(res, account, () => quota.reset(account));
+});
+
+// Body { limit }: this account's shots per period; null goes back to the configured limit
+app.put("/quota/accounts/:id", allow("admin"), express.json(), (req, res) => {
+  const limit = req.body?.limit;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 0 || limit > 10000)) {
+    return res.status(400).json({ ok: false, error: "limit must be an integer between 0 and 10000, or null" });
+  }
+  sendQuota(res, req.params.id, () => quota.setLimit(req.params.id, limit));
+});
+
+// ------------- Config API -------------
+app.get("/config", allow("admin"), (_req, res) => {
+  res.json({
+    ok: true,
+    config: config.redacted(),
+    file: config.file,
+    envOverrides: config.envOverrides(),
+    restartRequired: config.pendingRestart(),
+  });
+});
+
+// Partial update; hot settings apply now, the rest are saved for the next restart
+app.put("/config", allow("admin"), express.json(), (req, res) => {
+  const result = config.update(req.body);
+  if (!result.ok) return res.status(400).json(result);
+  res.json({ ...result, config: config.redacted() });
+});
+
+config.on("change", async ({ changed, previous, current }) => {
+  console.log("Config updated:", changed.join(", "));
+  if (changed.includes("quota.dailyLimit") || changed.includes("quota.perToken.limit")) {
+    quota.applyLimitChange(previous.quota, current.quota);
+  }
+  if (changed.some(k => k.startsWith("quota.")) && !isBusy) await showIdle();
+  if (changed.some(k => k.startsWith("viewfinder."))) await viewfinder.restart();
+  if (changed.includes("screen.brightness") && !screenAsleep) await ui.setBrightness(current.screen.brightness);
+  if (changed.includes("screen.sleepSec")) armSleep();
+  if (changed.some(k => k.startsWith("uploads."))) uploader.reschedule();
+});
+
+if (cfg().features.upload) {
+  // What /upload-all would send: count, bytes, Turbo price and wallet credits
+  app.get("/upload-all/estimate", allow("viewer"), async (_req, res) => {
+    try {
+      const { names, fitting, ...estimate } = await uploadEstimator.estimate();
+      res.json({ ok: true, ...estimate });
+    } catch (e) {
+      console.error("/upload-all/estimate error:", e);
+      res.status(500).json({ ok: false, error: "Failed to estimate uploads" });
+    }
+  });
+
+  // Manual upload ALL local images (each success deletes local file).
+  // Body { ifInsufficient: "refuse" (default, 402) | "fit" (only what the credits cover) | "ignore" }
+  app.post("/upload-all", allow("shooter"), express.json(), async (req, res) => {
+    const policy = req.body?.ifInsufficient ?? "refuse";
+    if (!UPLOAD_POLICIES.includes(policy)) {
+      return res.status(400).json({ ok: false, error: `ifInsufficient must be one of ${UPLOAD_POLICIES.join(", ")}` });
+    }
+    try {
+      const result = await queueAllUploads(policy);
+      if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error, estimate: result.estimate });
+      res.json({ ok: true, queued: result.queue.length, skipped: result.estimate.count - result.queue.length, estimate: result.estimate });
+    } catch (e) {
+      console.error("/upload-all error:", e);
+      res.status(500).json({ ok: false, error: "Failed to queue uploads" });
+    }
+  });
+
+  // Optional: retry a specific filename
+  app.post("/upload/:filename", allow("shooter"), async (req, res) => {
+    try {
+      // Express has already decoded the name; anything but a photo in images/ (a wallet file via
+      // "..%2F") must never reach the queue, since archive copies can be public and permanent
+      const filename = req.params.filename;
+      if (!isPhotoName(filename)) return res.status(400).json({ ok: false, error: "Invalid filename" });
+      const full = path.join(IMAGES_DIR, filename);
+      if (!fs.existsSync(full)) return res.status(404).json({ ok: false, error: "File not found" });
+      enqueueUpload(filename);
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: "Failed to queue file" });
+    }
+  });
+
+  // Queue state: what is waiting (with retry times), what gave up, totals by status
+  app.get("/uploads", allow("viewer"), (_req, res) => {
+    const entries = manifest.readManifest();
+    const counts = { pending: 0, failed: 0, success: 0 };
+    for (const m of entries) if (m.status in counts) counts[m.status]++;
+    const failed = entries
+      .filter(m => m.status === "failed")
+      .map(({ filename, attempts = 0, error = null, failedAt = null }) => ({ filename, attempts, error, failedAt }));
+    res.json({ ok: true, ...uploader.status(), counts, failed });
+  });
+
+  // Pausing is saved in config.json (uploads.paused), so it survives a restart
+  for (const [route, paused] of [["/uploads/pause", true], ["/uploads/resume", false]]) {
+    app.post(route, allow("shooter"), (_req, res) => {
+      const result = config.update({ uploads: { paused } });
+      if (!result.ok) return res.status(409).json({ ok: false, errors: result.errors });
+      res.json({ ok: true, ...uploader.status() });
+    });
+  }
+}
+
+// ------------- Auth API -------------
+// Who am I: { role, name } (null when not paired) and whether photos are public
+app.get("/auth/me", (req, res) => {
+  res.json({
+    ok: true,
+    enabled: cfg().auth.enabled,
+    publicGallery: cfg().auth.publicGallery,
+    role: req.auth?.role || null,
+    name: req.auth?.name || null,
+    pairing: auth.pairingStatus(),
+  });
+});
+
+// Body { role } (default "viewer"): shows a code on the device's screen for auth.pairingTtlSec
+app.post("/auth/pair/start", express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, ...auth.startPairing({ role: req.body?.role }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Body { code, name }: the code from the screen -> a token for this browser (cookie) or script
+app.post("/auth/pair", express.json(), (req, res) => {
+  try {
+    const { token, ...record } = auth.completePairing({ code: req.body?.code, name: req.body?.name });
+    auth.setCookie(res, token);
+    res.json({ ok: true, token, ...record });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Forgets this browser's token (revoked for good)
+app.post("/auth/logout", allow("viewer"), (req, res) => {
+  if (req.auth.id) auth.revokeToken(req.auth.id);
+  auth.clearCookie(res);
+  res.json({ ok: true });
+});
+
+app.get("/auth/tokens", allow("admin"), (_req, res) => {
+  res.json({ ok: true, tokens: auth.listTokens() });
+});
+
+// Body { name, role }: a token for a script, without pairing
+app.post("/auth/tokens", allow("admin"), express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, ...auth.issueToken({ name: req.body?.name, role: req.body?.role }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/auth/tokens/:id", allow("admin"), (req, res) => {
+  if (!auth.revokeToken(req.params.id)) return res.status(404).json({ ok: false, error: "No such token" });
+  res.json({ ok: true });
+});
+
+// ------------- Wallet API -------------
+app.get("/wallet", allow("viewer"), (_req, res) => {
+  res.json({ ok: true, ...wallet.status() });
+});
+
+// Body { passphrase }; 403 when wrong, 429 after too many wrong tries in a row
+app.post("/wallet/unlock", allow("admin"), express.json(), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await wallet.unlock(req.body?.passphrase)) });
+  } catch (e) {
+    if (!e.status) console.error("/wallet/unlock error:", e);
+    res.status(e.status || 500).json({ ok: false, error: e.status ? e.message : "Failed to unlock wallet" });
+  }
+});
+
+app.post("/wallet/lock", allow("admin"), (_req, res) => {
+  wallet.lock();
+  res.json({ ok: true, ...wallet.status() });
+});
+
+// Passphrase from the environment, else asked on an interactive terminal; otherwise the
+// wallet stays locked (Turbo uploads wait) until POST /wallet/unlock
+async function unlockWalletAtStartup() {
+  const st = wallet.status();
+  if (st.plaintext) {
+    console.warn(`Wallet: plaintext ${config.resolvePath("wallet")} is not used; encrypt it with \`node lib/wallet.js migrate\``);
+  }
+  try {
+    const fromEnv = passphraseFromEnv(); // read even when unused, so the secret leaves the environment
+    if (!st.keystore || !archive.names.includes("turbo")) return;
+    const passphrase = fromEnv ?? (process.stdin.isTTY ? await promptHidden(`Wallet passphrase (${st.address}): `) : null);
+    if (passphrase) await wallet.unlock(passphrase);
+    else console.log("Wallet: locked; unlock with POST /wallet/unlock");
+  } catch (e) {
+    console.error(`Wallet: ${e.message}; unlock with POST /wallet/unlock`);
+  }
+}
+
 // ------------- Startup -------------
+// Leftovers of a capture or write cut short by a crash or power loss (nothing runs yet)
+function sweepTempFiles() {
+  const tempFile = config.resolvePath("temp");
+  storage.sweepTemp({
+    files: [
+      tempFile,
+      `${tempFile}.meta.json`,
+      `${OUTPUT_PATH}.tmp`,
+      ...["state", "manifest", "photos", "timelapse", "tokens"].map(k => `${config.resolvePath(k)}.tmp`),
+    ],
+    dirs: [
+      [IMAGES_DIR, [".tmp"]],
+      ...THUMB_SIZES.map(size => [path.join(THUMBS_DIR, String(size)), [".tmp.webp"]]),
+      [config.resolvePath("archiveCache"), [".part"]],
+    ],
+  });
+}
+
 async function startApp() {
-  const bootState = readState(); 
-  ensureToday(bootState);
-  
+  console.log(`Profile: ${cfg().profile}`);
+  quota.status(DEVICE); // starts a new period if one began while the camera was off
+  sweepTempFiles();
+
   const displayOk = await initDisplay();
-  await showRemainingBig(bootState.shotsRemaining);
-  const buttonsOk = initButtons();
+  if (cfg().screen.brightness !== 100) await ui.setBrightness(cfg().screen.brightness);
+  armSleep();
+  await showIdle();
+  buttonPins = initButtons({
+    Gpio: hw.Gpio,
+    buttons: cfg().buttons,
+    getGestureSettings: () => cfg().gestures,
+    dispatch: dispatchAction,
+  });
+  await unlockWalletAtStartup(); // before the sim buttons start reading stdin
+  hal.attachStdin(hw);
+  timelapse.resume();
+  if (cfg().features.upload) uploader.resume();
+  // Retention first, so no thumbnails are made for photos it is about to delete
+  storage.start()
+    .catch((e) => console.error("Retention failed:", e?.message || e))
+    .then(() => thumbs.backfill())
+    .then((n) => { if (n) console.log(`Thumbnails: backfilling ${n} photo(s)`); })
+    .catch((e) => console.error("Thumbnail backfill failed:", e?.message || e));
 
   app.listen(PORT, () => {
     console.log(`Pi BnW cam listening on http://localhost:${PORT}`);
-    if (!displayOk) console.log("Waveshare 1.44\" display not available; continuing without display.");
-    if (!buttonsOk) console.log("Button not available; continuing without GPIO.");
+    if (!displayOk) console.log(`Display (${hw.backends.display}) not available; continuing without display.`);
+    if (!buttonPins) console.log("Buttons not available; continuing without GPIO.");
   });
 }
 
@@ -597,8 +1236,12 @@ startApp().catch(console.error);
 
 // ------------- Cleanup -------------
 process.on("SIGINT", async () => {
-  try { 
-    if (btn?.disableAlert) btn.disableAlert(); 
+  try {
+    for (const pin of buttonPins || []) pin.disableAlert();
+    await viewfinder.stop();
+    galleryIndex.stop();
+    storage.stop();
+    wallet.lock();
     if (display?.cleanup) await display.cleanup();
   } catch {}
   console.log("\nBye.");
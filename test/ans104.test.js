@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createDataItem, verifyDataItem, encodeTags, deepHash } = require("../lib/archive/ans104");
+// The reference implementation, to check against something this repo did not write
+const arweaveDeepHash = require("arweave/node/lib/deepHash").default;
+const ArweaveCrypto = require("arweave/node/lib/crypto/node-driver").default;
+
+// Arweave wallets are RSA-4096: the owner and signature fields are 512 bytes
+const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 4096, publicExponent: 65537 });
+const jwk = privateKey.export({ format: "jwk" });
+
+const TAGS = [
+  { name: "Content-Type", value: "image/webp" },
+  { name: "App-Name", value: "pixel" },
+  { name: "x".repeat(64), value: "é" },
+];
+
+test("tags are Avro: zig-zag counts and lengths, then a 0 block end", () => {
+  assert.equal(encodeTags([]).length, 0);
+  assert.equal(encodeTags([{ name: "a", value: "b" }]).toString("hex"), "020261026200");
+  // 64 bytes -> zig-zag 128 -> two varint bytes; "é" is two UTF-8 bytes
+  assert.equal(encodeTags([{ name: "x".repeat(64), value: "é" }]).toString("hex"), "02" + "8001" + "78".repeat(64) + "04c3a9" + "00");
+  assert.throws(() => encodeTags([{ name: "a", value: "" }]), /Empty tag value/);
+  assert.throws(() => encodeTags(Array.from({ length: 129 }, () => ({ name: "a", value: "b" }))), /At most 128 tags/);
+});
+
+test("deepHash matches arweave-js", async () => {
+  const chunks = [Buffer.from("dataitem"), Buffer.from("1"), Buffer.alloc(0), crypto.randomBytes(1000)];
+  assert.deepEqual(deepHash(chunks), Buffer.from(await arweaveDeepHash(chunks)));
+  assert.deepEqual(deepHash([]), Buffer.from(await arweaveDeepHash([])));
+});
+
+test("a data item has the ANS-104 layout and a signature arweave-js accepts", async () => {
+  const data = crypto.randomBytes(3000);
+  const { id, bytes } = createDataItem({ jwk, data, tags: TAGS });
+  const tagBytes = encodeTags(TAGS);
+
+  assert.equal(bytes.readUInt16LE(0), 1); // Arweave signature type
+  const signature = bytes.subarray(2, 514);
+  assert.deepEqual(bytes.subarray(514, 1026), Buffer.from(jwk.n, "base64url"));
+  assert.deepEqual([bytes[1026], bytes[1027]], [0, 0]); // no target, no anchor
+  assert.equal(bytes.readBigUInt64LE(1028), BigInt(TAGS.length));
+  assert.equal(bytes.readBigUInt64LE(1036), BigInt(tagBytes.length));
+  assert.deepEqual(bytes.subarray(1044, 1044 + tagBytes.length), tagBytes);
+  assert.deepEqual(bytes.subarray(1044 + tagBytes.length), data);
+  assert.equal(id, crypto.createHash("sha256").update(signature).digest("base64url"));
+
+  const message = await arweaveDeepHash([
+    Buffer.from("dataitem"), Buffer.from("1"), Buffer.from("1"),
+    Buffer.from(jwk.n, "base64url"), Buffer.alloc(0), Buffer.alloc(0), tagBytes, data,
+  ]);
+  assert.equal(await new ArweaveCrypto().verify(jwk.n, message, signature), true);
+  assert.deepEqual(verifyDataItem(bytes), { id, owner: jwk.n, data });
+});
+
+test("a data item whose data or tags changed does not verify", () => {
+  const { bytes } = createDataItem({ jwk, data: Buffer.from("photo"), tags: TAGS });
+  const data = Buffer.from(bytes);
+  data[data.length - 1] ^= 1;
+  assert.throws(() => verifyDataItem(data), /does not verify/);
+  const tags = Buffer.from(bytes);
+  tags[1050] ^= 1;
+  assert.throws(() => verifyDataItem(tags), /does not verify/);
+});
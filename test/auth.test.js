@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createAuth } = require("../lib/auth");
+
+// The auth middleware on a few routes guarded the way pixel.js guards them
+async function setup(t, settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-auth-"));
+  const file = path.join(dir, "tokens.json");
+  const s = { enabled: true, publicGallery: false, pairingTtlSec: 120, ...settings };
+  const shown = [];
+  const ended = [];
+  const auth = createAuth({
+    file,
+    getSettings: () => s,
+    onPairing: (p) => shown.push(p),
+    onPairingEnd: (reason) => ended.push(reason),
+  });
+  for (const method of ["log", "error"]) t.mock.method(console, method, () => {});
+
+  const app = express();
+  app.use(auth.identify);
+  const ok = (_req, res) => res.json({ ok: true });
+  app.get("/images", auth.allowGallery, ok);
+  app.get("/status", auth.allow("viewer"), ok);
+  app.post("/capture", auth.allow("shooter"), ok);
+  app.put("/config", auth.allow("admin"), ok);
+  app.post("/auth/pair", express.json(), (req, res) => {
+    try {
+      const { token, ...record } = auth.completePairing({ code: req.body?.code, name: req.body?.name });
+      auth.setCookie(res, token);
+      res.json({ ok: true, token, ...record });
+    } catch (e) {
+      res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+  });
+  const server = await new Promise((resolve) => {
+    const srv = app.listen(0, "127.0.0.1", () => resolve(srv));
+  });
+  t.after(() => {
+    auth.cancelPairing();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // -> HTTP status of each guarded route for these request headers
+  async function access(headers = {}) {
+    const out = {};
+    for (const [method, route] of [["GET", "/images"], ["GET", "/status"], ["POST", "/capture"], ["PUT", "/config"]]) {
+      out[route] = (await fetch(base + route, { method, headers })).status;
+    }
+    return out;
+  }
+  const pair = (code, name = "phone") => fetch(`${base}/auth/pair`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ code, name }),
+  });
+  const bearer = (token) => ({ authorization: `Bearer ${token}` });
+  return { auth, file, s, shown, ended, access, pair, bearer };
+}
+
+test("each role reaches its own routes and the ones below it", async (t) => {
+  const { auth, access, bearer } = await setup(t);
+  assert.deepEqual(await access(), { "/images": 401, "/status": 401, "/capture": 401, "/config": 401 });
+  const viewer = auth.issueToken({ name: "frame", role: "viewer" }).token;
+  const shooter = auth.issueToken({ name: "phone", role: "shooter" }).token;
+  const admin = auth.issueToken({ name: "laptop", role: "admin" }).token;
+  assert.deepEqual(await access(bearer(viewer)), { "/images": 200, "/status": 200, "/capture": 403, "/config": 403 });
+  assert.deepEqual(await access(bearer(shooter)), { "/images": 200, "/status": 200, "/capture": 200, "/config": 403 });
+  assert.deepEqual(await access(bearer(admin)), { "/images": 200, "/status": 200, "/capture": 200, "/config": 200 });
+  assert.deepEqual(await access(bearer(`${admin}x`)), { "/images": 401, "/status": 401, "/capture": 401, "/config": 401 });
+  assert.throws(() => auth.issueToken({ name: "x", role: "root" }), { status: 400 });
+});
+
+test("PIXEL_ADMIN_TOKEN is an admin token, and with auth off everyone is admin", async (t) => {
+  const { access, bearer, s } = await setup(t);
+  process.env.PIXEL_ADMIN_TOKEN = "from-the-environment";
+  t.after(() => delete process.env.PIXEL_ADMIN_TOKEN);
+  assert.equal((await access(bearer("from-the-environment")))["/config"], 200);
+  assert.equal((await access(bearer("from-the-environment-")))["/config"], 401);
+  s.enabled = false;
+  assert.equal((await access())["/config"], 200);
+});
+
+test("the code on screen pairs once, as the role asked for, and sets a strict HttpOnly cookie", async (t) => {
+  const { auth, shown, ended, access, pair } = await setup(t);
+  assert.throws(() => auth.startPairing({ role: "owner" }), { status: 400 });
+  assert.equal((await pair("123456")).status, 409); // nothing to pair with yet
+
+  auth.startPairing({ role: "shooter" });
+  const { code } = shown[0];
+  assert.match(code, /^\d{6}$/);
+  const res = await pair(`${code.slice(0, 3)} ${code.slice(3)}`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.role, "shooter");
+  assert.deepEqual(ended, ["paired"]);
+
+  const cookie = res.headers.get("set-cookie");
+  assert.match(cookie, /^pixel_token=pxl_[\w-]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+$/);
+  const sent = { cookie: `other=1; ${cookie.split(";")[0]}` };
+  assert.deepEqual(await access(sent), { "/images": 200, "/status": 200, "/capture": 200, "/config": 403 });
+  assert.equal((await pair(code)).status, 409);
+});
+
+test("five wrong codes cancel the pairing and block new ones for a minute", async (t) => {
+  const { auth, shown, ended, pair } = await setup(t);
+  auth.startPairing({ role: "admin" });
+  const wrong = shown[0].code === "000000" ? "111111" : "000000";
+  const statuses = [];
+  for (let i = 0; i < 5; i++) statuses.push((await pair(wrong)).status);
+  assert.deepEqual(statuses, [403, 403, 403, 403, 429]);
+  assert.deepEqual(ended, ["cancelled"]);
+  assert.equal(auth.pairingStatus(), null);
+  // The right code is refused too while blocked
+  assert.equal((await pair(shown[0].code)).status, 429);
+  assert.throws(() => auth.startPairing(), { status: 429 });
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 61 * 1000 });
+  auth.startPairing();
+  assert.equal((await pair(shown[1].code)).status, 200);
+});
+
+test("a right code resets the count of wrong ones", async (t) => {
+  const { auth, shown, pair } = await setup(t);
+  auth.startPairing();
+  const wrong = (code) => (code === "000000" ? "111111" : "000000");
+  for (let i = 0; i < 4; i++) assert.equal((await pair(wrong(shown[0].code))).status, 403);
+  assert.equal((await pair(shown[0].code)).status, 200);
+  auth.startPairing();
+  for (let i = 0; i < 4; i++) assert.equal((await pair(wrong(shown[1].code))).status, 403);
+  assert.equal((await pair(shown[1].code)).status, 200);
+});
+
+test("a revoked token is refused, also after a restart, and only hashes are stored", async (t) => {
+  const { auth, file, s, access, bearer } = await setup(t);
+  const kept = auth.issueToken({ name: "laptop", role: "admin" });
+  const revoked = auth.issueToken({ name: "lost phone", role: "shooter" });
+  assert.equal(auth.revokeToken(revoked.id), true);
+  assert.equal(auth.revokeToken(revoked.id), false);
+  assert.equal((await access(bearer(revoked.token)))["/status"], 401);
+  assert.deepEqual(auth.listTokens().map(r => r.id), [kept.id]);
+
+  const stored = fs.readFileSync(file, "utf8");
+  assert.equal(stored.includes(kept.token), false);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  const restarted = createAuth({ file, getSettings: () => s });
+  assert.deepEqual(restarted.listTokens().map(r => r.id), [kept.id]);
+});
+
+test("auth.publicGallery opens the photos to anyone, and nothing else", async (t) => {
+  const { access, s } = await setup(t);
+  assert.equal((await access())["/images"], 401);
+  s.publicGallery = true;
+  assert.deepEqual(await access(), { "/images": 200, "/status": 401, "/capture": 401, "/config": 401 });
+});
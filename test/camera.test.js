@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { FixtureCamera } = require("../hal/camera");
+
+const LOGO = path.join(__dirname, "..", "logo.png");
+let hasImageMagick = true;
+try {
+  execFileSync("convert", ["-version"], { stdio: "ignore" });
+  execFileSync("identify", ["-version"], { stdio: "ignore" });
+} catch {
+  hasImageMagick = false;
+}
+
+// Resolves with the first frame, or rejects with the preview's error
+function firstFrame(preview) {
+  return new Promise((resolve, reject) => {
+    preview.once("frame", (buf, type) => resolve({ buf, type }));
+    preview.once("error", reject);
+  }).finally(() => preview.stop());
+}
+
+test("fixture preview frames are gray JPEGs at the preview size", { skip: !hasImageMagick && "ImageMagick not installed" }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-camera-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const camera = new FixtureCamera({ dir, fallback: LOGO });
+  const { buf, type } = await firstFrame(camera.openPreview({ width: 160, height: 120, fps: 20 }));
+  assert.equal(type, "image/jpeg");
+  const file = path.join(dir, "frame.jpg");
+  fs.writeFileSync(file, buf);
+  const [size, colorspace] = execFileSync("identify", ["-format", "%wx%h %[colorspace]", file], { encoding: "utf8" }).split(" ");
+  assert.equal(size, "160x120");
+  assert.equal(colorspace, "Gray");
+});
+
+test("fixture preview ends with an error when a frame cannot be converted", async () => {
+  const camera = new FixtureCamera({ dir: "/nonexistent", fallback: LOGO, convertBin: "/nonexistent/convert" });
+  const preview = camera.openPreview({ fps: 50 });
+  const closed = new Promise((resolve) => preview.once("close", resolve));
+  await assert.rejects(firstFrame(preview), /\/nonexistent\/convert failed for logo\.png/);
+  await closed;
+});
+
+test("fixture camera captures its frames round-robin, falling back to the logo", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-camera-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const empty = new FixtureCamera({ dir: path.join(dir, "none"), fallback: LOGO });
+  assert.deepEqual(await empty.detect(), { detected: true, model: "fixture", frames: 0 });
+
+  fs.writeFileSync(path.join(dir, "a.jpg"), "A");
+  fs.writeFileSync(path.join(dir, "b.jpg"), "B");
+  fs.writeFileSync(path.join(dir, "b.jpg.json"), JSON.stringify({ ExposureTime: 8000, AnalogueGain: 2 }));
+  const camera = new FixtureCamera({ dir, fallback: LOGO });
+  const out = path.join(dir, "out.jpg");
+  assert.deepEqual(await camera.capture(out), { exposureUs: null, analogueGain: null, digitalGain: null });
+  assert.equal(fs.readFileSync(out, "utf8"), "A");
+  assert.deepEqual(await camera.capture(out), { exposureUs: 8000, analogueGain: 2, digitalGain: null });
+  assert.equal(fs.readFileSync(out, "utf8"), "B");
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ST7735SDisplay = require("../display");
+
+// Starts the driver on display_server_mock.js; env holds the MOCK_DISPLAY_* knobs for it
+async function setup(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-display-"));
+  const log = path.join(dir, "commands.jsonl");
+  const vars = { MOCK_DISPLAY_LOG: log, ...env };
+  Object.assign(process.env, vars);
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+  const display = new ST7735SDisplay({ server: "mock" });
+  t.after(async () => {
+    await display.cleanup();
+    for (const name of Object.keys(vars)) delete process.env[name];
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  assert.equal(await display.init(), true);
+  // Commands each server process received, without the ids
+  const received = () => {
+    const byPid = new Map();
+    const lines = fs.existsSync(log) ? fs.readFileSync(log, "utf8").split("\n").filter(Boolean) : [];
+    for (const { pid, id, ...command } of lines.map(l => JSON.parse(l))) {
+      if (!byPid.has(pid)) byPid.set(pid, []);
+      byPid.get(pid).push(command);
+    }
+    return [...byPid.values()];
+  };
+  return { display, received };
+}
+
+async function waitFor(check, ms = 8000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("Timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const text = (t) => ({ action: "text", text: t, size: "small", color: "white", caption: "" });
+
+test("a queued frame is dropped for a newer one, and answers split across chunks still arrive", async (t) => {
+  const { display, received } = await setup(t, { MOCK_DISPLAY_DELAY_MS: "100", MOCK_DISPLAY_CHUNKED: "1" });
+  const results = await Promise.all([
+    display.sendCommand(text("a")),
+    display.sendCommand(text("b")),
+    display.sendCommand({ action: "backlight", level: 20 }),
+    display.sendCommand({ action: "backlight", level: 60 }),
+    display.sendCommand(text("c")),
+  ]);
+  assert.deepEqual(results.map(r => r.status), ["ok", "superseded", "superseded", "ok", "ok"]);
+  assert.deepEqual(received(), [[text("a"), { action: "backlight", level: 60 }, text("c")]]);
+});
+
+test("an image the server cannot open rejects with its message", async (t) => {
+  const { display } = await setup(t);
+  await assert.rejects(display.showImage("/nonexistent/photo.webp"), /No such file: \/nonexistent\/photo\.webp/);
+  await display.showText("still here");
+  assert.equal(display.isRunning(), true);
+});
+
+test("a server that exits is restarted and gets the backlight and last frame again", async (t) => {
+  const { display, received } = await setup(t, { MOCK_DISPLAY_CRASH_AFTER: "3" });
+  await display.setBrightness(40);
+  await display.showText("one");
+  await assert.rejects(display.showText("two"), /Display server exited \(3\)/);
+  assert.equal(display.isRunning(), false);
+
+  await waitFor(() => display.restarts === 1 && received().length === 2 && received()[1].length === 2);
+  const [, after] = received();
+  // "two" was never answered, so "one" is what the screen last showed
+  assert.deepEqual(after, [{ action: "backlight", level: 40 }, text("one")]);
+  assert.equal(display.isRunning(), true);
+});
+
+test("a hung server is killed and restarted; what is sent meanwhile is drawn afterwards", async (t) => {
+  const { display, received } = await setup(t, { MOCK_DISPLAY_HANG_AFTER: "2" });
+  await display.showText("a");
+  const hung = await Promise.allSettled([display.showText("b"), display.showText("c")]);
+  assert.deepEqual(hung.map(r => r.reason?.message), ["Display command timeout", "Display command timeout"]);
+
+  await waitFor(() => !display.isRunning());
+  assert.deepEqual(await display.sendCommand(text("d")), { status: "deferred" });
+  await waitFor(() => display.restarts === 1 && received().length === 2 && received()[1].length === 1);
+  // The queued "d" is newer than the last frame, so only it is drawn
+  assert.deepEqual(received()[1], [text("d")]);
+});
+
+test("cleanup rejects what is still queued and stops the server", async (t) => {
+  const { display } = await setup(t, { MOCK_DISPLAY_DELAY_MS: "200" });
+  const inFlight = display.sendCommand(text("a"));
+  const queued = display.sendCommand({ action: "backlight", level: 10 });
+  const child = display.serverProcess;
+  await display.cleanup();
+  await assert.rejects(inFlight, /Display closed/);
+  await assert.rejects(queued, /Display closed/);
+  await assert.rejects(display.sendCommand(text("b")), /Display server not running/);
+  await waitFor(() => child.exitCode !== null || child.signalCode !== null);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough, Readable } = require("stream");
+const { sha256 } = require("../lib/hash");
+const { createExporter } = require("../lib/export");
+
+const MB = 1024 * 1024;
+
+// Archived photos whose local files are gone; copies[name] is what the backend hands back
+function setup(t, { photos, copies, archiveCacheMb = 1 }) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-export-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const cacheDir = path.join(root, "archive-cache");
+  const downloads = [];
+  const entries = Object.entries(photos).map(([name, body]) => ({
+    name,
+    onDisk: false,
+    status: "uploaded",
+    archives: [{ backend: "webdav", url: `http://nas.example/${name}`, sha256: sha256(body) }],
+  }));
+  const exporter = createExporter({
+    galleryIndex: { select: () => entries },
+    imagesDir: path.join(root, "images"),
+    cacheDir,
+    archive: {
+      get: () => ({
+        download: async (url) => {
+          const name = path.basename(url);
+          downloads.push(name);
+          return Readable.from([copies[name]]);
+        },
+      }),
+    },
+    getSettings: () => ({ archiveCacheMb }),
+  });
+  return { exporter, cacheDir, downloads };
+}
+
+// -> index.json of the ZIP (stored uncompressed, so it can be read straight out of the bytes)
+async function exportAll(exporter) {
+  const res = new PassThrough();
+  res.setHeader = () => {};
+  const chunks = [];
+  res.on("data", c => chunks.push(c));
+  await exporter.streamExport(res, { filters: {}, include: ["archived"], label: "all" });
+  const zip = Buffer.concat(chunks).toString("latin1");
+  const start = zip.indexOf('{\n  "exportedAt"');
+  return JSON.parse(zip.slice(start, zip.indexOf("\n}", start) + 2)).photos;
+}
+
+test("a fetched copy is cached once it matches the manifest hash, and read from the cache next time", async (t) => {
+  const body = Buffer.from("archived photo");
+  const { exporter, cacheDir, downloads } = setup(t, { photos: { "a.webp": body }, copies: { "a.webp": body } });
+
+  assert.deepEqual((await exportAll(exporter)).map(p => p.source), ["archive:webdav"]);
+  assert.deepEqual(fs.readFileSync(path.join(cacheDir, "a.webp")), body);
+  assert.deepEqual((await exportAll(exporter)).map(p => p.source), ["cache"]);
+  assert.deepEqual(downloads, ["a.webp"]);
+});
+
+test("a copy that does not match the manifest hash is neither cached nor exported", async (t) => {
+  const { exporter, cacheDir } = setup(t, { photos: { "a.webp": "archived photo" }, copies: { "a.webp": Buffer.from("something else") } });
+  const [row] = await exportAll(exporter);
+  assert.equal(row.source, "missing");
+  assert.equal(row.file, null);
+  assert.match(row.error, /webdav: Copy does not match the manifest \(SHA-256\)/);
+  assert.deepEqual(fs.readdirSync(cacheDir), []);
+});
+
+test("the cache drops the least recently used photos to stay within disk.archiveCacheMb", async (t) => {
+  const photo = (c) => Buffer.alloc(0.4 * MB, c);
+  const { exporter, cacheDir } = setup(t, { photos: { "c.webp": photo("c") }, copies: { "c.webp": photo("c") } });
+  // From earlier exports: a was last used before b
+  const cached = (name, ageMs) => {
+    const file = path.join(cacheDir, name);
+    fs.writeFileSync(file, photo(name[0]));
+    fs.utimesSync(file, new Date(Date.now() - ageMs), new Date(Date.now() - ageMs));
+  };
+  cached("a.webp", 120000);
+  cached("b.webp", 60000);
+
+  assert.deepEqual((await exportAll(exporter)).map(p => p.source), ["archive:webdav"]);
+  assert.deepEqual(fs.readdirSync(cacheDir).sort(), ["b.webp", "c.webp"]);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createGalleryIndex } = require("../lib/gallery-index");
+const { createManifest } = require("../lib/manifest");
+const { createPhotoStore } = require("../lib/photos");
+
+const stamp = (day) => `2026-03-${String(day).padStart(2, "0")}_12-00-00.webp`;
+
+function setup(t, days) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-gallery-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const imagesDir = path.join(root, "images");
+  fs.mkdirSync(imagesDir);
+  // Size grows with the day, except two photos of equal size to exercise the name tie-break
+  for (const day of days) fs.writeFileSync(path.join(imagesDir, stamp(day)), "x".repeat(day === 4 ? 3 : day));
+  const manifest = createManifest(path.join(root, "arweave.json"));
+  const photos = createPhotoStore(path.join(root, "photos.json"));
+  const index = createGalleryIndex({ imagesDir, manifest, photos });
+  index.rebuild();
+  return { index, imagesDir, manifest, photos };
+}
+
+function page(index, q) {
+  const parsed = index.parseQuery(q);
+  assert.equal(parsed.errors, undefined);
+  return index.query(parsed.filters);
+}
+
+// Follows nextCursor to the end -> names in order
+function walk(index, q, between = () => {}) {
+  const names = [];
+  let cursor;
+  for (;;) {
+    const res = page(index, { ...q, ...(cursor ? { cursor } : {}) });
+    names.push(...res.items.map(i => i.name));
+    if (!res.nextCursor) return names;
+    cursor = res.nextCursor;
+    between(names);
+  }
+}
+
+test("cursor pages cover every photo once, in order, for each sort", (t) => {
+  const { index } = setup(t, [1, 2, 3, 4, 5, 6, 7]);
+  const newest = [7, 6, 5, 4, 3, 2, 1].map(d => stamp(d));
+  assert.deepEqual(walk(index, { limit: "3" }), newest);
+  assert.deepEqual(walk(index, { sort: "oldest", limit: "2" }), [...newest].reverse());
+  // Days 3 and 4 are both 3 bytes: the name breaks the tie, in the sort's direction
+  assert.deepEqual(walk(index, { sort: "largest", limit: "2" }), [7, 6, 5, 4, 3, 2, 1].map(d => stamp(d)));
+  assert.deepEqual(walk(index, { sort: "smallest", limit: "1" }), [1, 2, 3, 4, 5, 6, 7].map(d => stamp(d)));
+});
+
+test("photos added or removed between pages neither repeat nor skip the rest", (t) => {
+  const { index, imagesDir } = setup(t, [1, 2, 3, 4, 5, 6]);
+  const seen = walk(index, { limit: "2" }, (names) => {
+    if (names.length !== 2) return;
+    // A new shot lands on top, and one already shown is deleted
+    fs.writeFileSync(path.join(imagesDir, stamp(9)), "new");
+    index.refresh(stamp(9));
+    fs.rmSync(path.join(imagesDir, stamp(6)));
+    index.refresh(stamp(6));
+  });
+  assert.deepEqual(seen, [6, 5, 4, 3, 2, 1].map(d => stamp(d)));
+});
+
+test("filters narrow the pages and the total; archived photos are listed without a local file", (t) => {
+  const { index, manifest, photos } = setup(t, [1, 2, 3]);
+  photos.upsertPhoto(stamp(2), { favorite: true, preset: "grain" });
+  manifest.upsertManifestEntry(stamp(8), { status: "success", url: "ar://eight" });
+
+  const uploaded = page(index, { status: "uploaded" });
+  assert.deepEqual(uploaded.items.map(i => [i.name, i.onDisk, i.url]), [[stamp(8), false, "ar://eight"]]);
+  assert.deepEqual(uploaded.counts, { all: 4, local: 3, pending: 0, uploaded: 1, failed: 0 });
+
+  assert.deepEqual(page(index, { favorite: "true" }).items.map(i => i.name), [stamp(2)]);
+  assert.equal(page(index, { preset: "grain,classic" }).total, 1);
+  const range = page(index, { from: "2026-03-02", to: "2026-03-03" });
+  assert.deepEqual(range.items.map(i => i.name), [stamp(3), stamp(2)]);
+  assert.equal(range.nextCursor, null);
+});
+
+test("bad query values are all reported at once", (t) => {
+  const { index } = setup(t, [1]);
+  const { errors } = index.parseQuery({ sort: "random", limit: "0", cursor: "!!", status: "lost", favorite: "yes", from: "soon" });
+  assert.equal(errors.length, 6);
+});
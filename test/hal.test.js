@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveBackends } = require("../hal");
+const { VirtualDisplay } = require("../hal/display");
+const { VirtualGpio } = require("../hal/buttons");
+
+test("PIXEL_HAL=sim picks every simulated backend, per-part choices still win", () => {
+  assert.deepEqual(resolveBackends({ hal: "sim" }), { camera: "fixture", buttons: "virtual", display: "virtual" });
+  assert.equal(resolveBackends({ hal: "sim", display: "st7735s" }).display, "st7735s");
+  assert.equal(resolveBackends({ hal: "real", displayDriver: "ssd1306" }).display, "ssd1306");
+});
+
+test("virtual display records frames only once initialized", async () => {
+  const d = new VirtualDisplay();
+  await d.showText("before");
+  await d.init();
+  await d.showText("hello", "large");
+  await d.setBrightness(40);
+  assert.deepEqual(d.frames.map(f => f.action), ["text", "backlight"]);
+  assert.equal(d.frames[0].text, "hello");
+  assert.equal(d.lastFrame().level, 40);
+});
+
+test("virtual buttons alert on both edges of a press, active low", async () => {
+  const pin = new VirtualGpio(91, { alert: true });
+  const levels = [];
+  pin.on("alert", (level) => levels.push(level));
+  await VirtualGpio.press(91, 5);
+  assert.deepEqual(levels, [0, 1]);
+  assert.throws(() => VirtualGpio.press(92), /No virtual button on GPIO 92/);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createManifest } = require("../lib/manifest");
+const { createUploader } = require("../lib/uploader");
+const { createLibrary, isPhotoName } = require("../lib/library");
+const { createArchive } = require("../lib/archive");
+const { MARKER } = require("../lib/archive/local");
+
+function setup() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-library-"));
+  const imagesDir = path.join(root, "images");
+  fs.mkdirSync(imagesDir);
+  fs.mkdirSync(path.join(root, "archive"));
+  fs.writeFileSync(path.join(root, "archive", MARKER), "");
+  const archive = createArchive({
+    rootDir: root,
+    settings: {
+      local: { enabled: true, priority: 1, dir: "archive" },
+      // Nothing listens there: every upload fails and is retried
+      webdav: { enabled: true, priority: 2, url: "http://127.0.0.1:9/photos" },
+    },
+  });
+  const manifest = createManifest(path.join(root, "arweave.json"));
+  const settings = { maxAttempts: 5, backoffBaseSec: 60, backoffMaxSec: 600, paused: false };
+  const newUploader = () => createUploader({ imagesDir, archive, manifest, broadcast: () => {}, getSettings: () => settings });
+  return { root, imagesDir, manifest, settings, newUploader };
+}
+
+test("only bare .webp names count as photos", () => {
+  assert.equal(isPhotoName("2026-01-02_03-04-05.webp"), true);
+  for (const name of ["../wallet.json", "../wallet.keystore.json", "../images/x.webp", "/etc/x.webp", "sub/x.webp", "..", "x.webp.json", null]) {
+    assert.equal(isPhotoName(name), false, String(name));
+  }
+});
+
+test("deleting a partly archived photo cancels the copies still queued", async (t) => {
+  const { root, imagesDir, manifest, settings, newUploader } = setup();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const name = "2026-01-02_03-04-05.webp";
+  fs.writeFileSync(path.join(imagesDir, name), "photo");
+
+  const uploader = newUploader();
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+  const queued = manifest.getManifestEntry(name);
+  assert.equal(queued.status, "pending");
+  assert.equal(queued.backends.local.status, "success");
+  assert.equal(queued.backends.webdav.status, "pending");
+
+  const library = createLibrary({
+    imagesDir,
+    outputPath: path.join(root, "latest.webp"),
+    photos: { removePhoto: () => {} },
+    manifest,
+    thumbs: { remove: async () => {} },
+    uploader,
+    listImages: async () => (fs.existsSync(path.join(imagesDir, name)) ? [{ name }] : []),
+    broadcast: () => {},
+  });
+  await library.deletePhoto(name);
+  settings.paused = true;
+  uploader.reschedule();
+
+  // A restart must not turn the deleted photo into a "File missing" failure
+  const restarted = newUploader();
+  assert.equal(restarted.resume(), 0);
+  const entry = manifest.getManifestEntry(name);
+  assert.equal(entry.status, "success");
+  assert.equal(entry.error, null);
+  assert.equal(entry.backends.webdav.status, "cancelled");
+  assert.match(entry.url, /^file:/);
+  assert.equal(restarted.status().queue.length, 0);
+});
+
+test("deleting a photo no backend has archived forgets it entirely", async (t) => {
+  const { root, imagesDir, manifest, settings, newUploader } = setup();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const name = "2026-01-02_03-04-06.webp";
+  fs.writeFileSync(path.join(imagesDir, name), "photo");
+  settings.paused = true;
+  const uploader = newUploader();
+  uploader.enqueueUpload(name);
+
+  const removed = [];
+  const library = createLibrary({
+    imagesDir,
+    outputPath: path.join(root, "latest.webp"),
+    photos: { removePhoto: (n) => removed.push(n) },
+    manifest,
+    thumbs: { remove: async () => {} },
+    uploader,
+    listImages: async () => [],
+    broadcast: () => {},
+  });
+  await library.deletePhoto(name);
+  assert.equal(manifest.getManifestEntry(name), undefined);
+  assert.deepEqual(removed, [name]);
+  assert.equal(uploader.status().queue.length, 0);
+});
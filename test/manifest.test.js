@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createManifest, backendRecords } = require("../lib/manifest");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-manifest-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, file: path.join(dir, "arweave.json") };
+}
+
+test("a manifest that does not parse is moved aside, not overwritten", (t) => {
+  const { dir, file } = tempFile(t);
+  const torn = '[{"filename":"a.webp","status":"success","url":"ar://x"},{"filen';
+  fs.writeFileSync(file, torn);
+  const manifest = createManifest(file);
+
+  assert.deepEqual(manifest.readManifest(), []);
+  const aside = fs.readdirSync(dir).filter(n => n.startsWith("arweave.json.corrupt-"));
+  assert.equal(aside.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, aside[0]), "utf8"), torn);
+  assert.equal(fs.existsSync(file), false);
+
+  manifest.upsertManifestEntry("b.webp", { status: "pending" });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).map(m => m.filename), ["b.webp"]);
+});
+
+test("entries are served from memory after the first read", (t) => {
+  const { file } = tempFile(t);
+  fs.writeFileSync(file, JSON.stringify([{ filename: "a.webp", status: "pending" }]));
+  const manifest = createManifest(file);
+  assert.equal(manifest.getManifestEntry("a.webp").status, "pending");
+
+  // Nothing but this process writes the file: edits behind its back are not seen
+  fs.writeFileSync(file, "[]");
+  assert.equal(manifest.getManifestEntry("a.webp").status, "pending");
+
+  const changes = [];
+  manifest.on("change", (c) => changes.push(c));
+  manifest.upsertManifestEntry("a.webp", { status: "success" });
+  manifest.upsertManifestEntry("c.webp", { status: "pending" });
+  assert.equal(manifest.removeManifestEntry("c.webp"), true);
+  assert.equal(manifest.removeManifestEntry("c.webp"), false);
+  assert.equal(manifest.getManifestEntry("a.webp").status, "success");
+  assert.equal(manifest.getManifestEntry("c.webp"), undefined);
+  assert.deepEqual(changes.map(c => [c.filename, c.entry?.status ?? null]), [["a.webp", "success"], ["c.webp", "pending"], ["c.webp", null]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), manifest.readManifest());
+});
+
+test("a missing manifest starts empty without creating a file", (t) => {
+  const { file } = tempFile(t);
+  const manifest = createManifest(file);
+  assert.deepEqual(manifest.readManifest(), []);
+  assert.equal(manifest.getManifestEntry("a.webp"), undefined);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test("entries from before per-backend records count as Arweave copies", () => {
+  assert.deepEqual(backendRecords({ status: "success", url: "ar://x", txId: "x", uploadedAt: "2026-01-01T00:00:00Z" }),
+    { turbo: { status: "success", url: "ar://x", id: "x", uploadedAt: "2026-01-01T00:00:00Z" } });
+  assert.deepEqual(backendRecords({ status: "pending" }), {});
+  assert.deepEqual(backendRecords(undefined), {});
+});
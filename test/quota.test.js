@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createQuota, DEVICE } = require("../lib/quota");
+
+const SETTINGS = {
+  dailyLimit: 10,
+  period: "daily",
+  resetTime: "04:00",
+  weekStart: "monday",
+  rollover: 3,
+  perToken: { enabled: false, limit: 5 },
+  historyDays: 90,
+};
+
+// Local wall-clock time, the way quota periods are counted
+const at = (y, mo, d, h = 12, mi = 0) => new Date(y, mo - 1, d, h, mi).getTime();
+
+function setup(t, settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-quota-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const s = { ...SETTINGS, ...settings };
+  const statePath = path.join(dir, "state.json");
+  return { s, statePath, quota: createQuota({ statePath, getSettings: () => s }) };
+}
+
+function useClock(t, now) {
+  t.mock.timers.enable({ apis: ["Date"], now });
+  return (next) => t.mock.timers.setTime(next);
+}
+
+test("unused shots roll over into the next day, up to quota.rollover", (t) => {
+  const setNow = useClock(t, at(2026, 3, 10, 12));
+  const { quota } = setup(t);
+  for (let i = 0; i < 5; i++) quota.consume();
+  assert.equal(quota.status().remaining, 5);
+
+  // 03:59 is still the same quota day (resetTime 04:00)
+  setNow(at(2026, 3, 11, 3, 59));
+  assert.equal(quota.status().remaining, 5);
+
+  setNow(at(2026, 3, 11, 4, 0));
+  const next = quota.status();
+  assert.equal(next.carried, 3);
+  assert.equal(next.remaining, 13);
+  assert.equal(next.used, 0);
+  assert.equal(next.startedAt, new Date(at(2026, 3, 11, 4, 0)).toISOString());
+  assert.equal(next.resetsAt, new Date(at(2026, 3, 12, 4, 0)).toISOString());
+});
+
+test("a used-up day carries nothing; an idle day in between carries its unused shots", (t) => {
+  const setNow = useClock(t, at(2026, 3, 10, 12));
+  const { quota } = setup(t, { dailyLimit: 2 });
+  quota.consume();
+  quota.consume();
+  setNow(at(2026, 3, 11, 12));
+  assert.equal(quota.status().remaining, 2);
+
+  quota.consume();
+  quota.consume();
+  // The untouched 12th would have ended with its 2 shots unused; those carry into the 13th
+  setNow(at(2026, 3, 13, 12));
+  const st = quota.status();
+  assert.equal(st.carried, 2);
+  assert.equal(st.remaining, 4);
+});
+
+test("weekly periods start on quota.weekStart at resetTime", (t) => {
+  // Thursday 2026-03-12
+  const setNow = useClock(t, at(2026, 3, 12, 12));
+  const { quota } = setup(t, { period: "weekly", rollover: 0 });
+  const st = quota.status();
+  assert.equal(st.startedAt, new Date(at(2026, 3, 9, 4, 0)).toISOString());
+  assert.equal(st.resetsAt, new Date(at(2026, 3, 16, 4, 0)).toISOString());
+  quota.consume();
+
+  setNow(at(2026, 3, 16, 4, 0));
+  assert.equal(quota.status().remaining, 10);
+});
+
+test("a roll only refills when the next one is loaded, carrying what is left", (t) => {
+  const setNow = useClock(t, at(2026, 3, 10, 12));
+  const { quota } = setup(t, { period: "roll", dailyLimit: 4, rollover: 1 });
+  quota.consume();
+  setNow(at(2026, 4, 10, 12));
+  const first = quota.status();
+  assert.equal(first.roll, 1);
+  assert.equal(first.remaining, 3);
+  assert.equal(first.resetsAt, null);
+
+  const next = quota.reset();
+  assert.equal(next.roll, 2);
+  assert.equal(next.carried, 1);
+  assert.equal(next.remaining, 5);
+});
+
+test("grants and refunds apply to this period and show in the history", (t) => {
+  useClock(t, at(2026, 3, 10, 12));
+  const { quota } = setup(t);
+  quota.consume();
+  quota.grant(DEVICE, 2);
+  assert.equal(quota.refund(DEVICE, 1).remaining, 12);
+  assert.throws(() => quota.refund(DEVICE, 1), { status: 400 });
+  const { history } = quota.summary();
+  assert.deepEqual(history, [{ date: "2026-03-10", accounts: { device: { used: 1, granted: 2, refunded: 1 } } }]);
+});
+
+test("a state.json from before accounts keeps the day's shots left", (t) => {
+  useClock(t, at(2026, 3, 10, 12));
+  const { quota, statePath } = setup(t, { resetTime: "00:00", rollover: 0 });
+  fs.writeFileSync(statePath, JSON.stringify({ date: "2026-03-10", shotsRemaining: 4 }));
+  const st = quota.status();
+  assert.equal(st.remaining, 4);
+  assert.equal(st.used, 6);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSettingsMenu } = require("../lib/settings-menu");
+const { SCHEMA, DEFAULTS } = require("../lib/config");
+
+function menu(updates = []) {
+  const config = {
+    get: () => DEFAULTS,
+    update: (patch) => {
+      updates.push(patch);
+      return { ok: true, restartRequired: [] };
+    },
+  };
+  return buildSettingsMenu({ config, quota: {}, uploadsEnabled: false, queueAllUploads: async () => {}, estimateUploads: async () => {}, showHealth: async () => {} });
+}
+
+test("the Countdown row offers exactly what the config accepts", () => {
+  const updates = [];
+  const countdown = menu(updates).items.find(i => i.label === "Countdown");
+  const { min, max } = SCHEMA.capture.countdownSec;
+  assert.equal(countdown.min, min);
+  assert.equal(countdown.max, max);
+  assert.equal(countdown.get(), DEFAULTS.capture.countdownSec);
+  assert.equal(countdown.set(max), null);
+  assert.deepEqual(updates, [{ capture: { countdownSec: max } }]);
+});
@@ -0,0 +1,162 @@
+// test/standin.js - Local stand-ins for an S3 bucket and a WebDAV share, for testing
+// the s3 and webdav backends without an account anywhere. Just enough of each protocol:
+//   S3     : PUT/GET /<bucket>/<key> (path style), SigV4 and payload hash checked (the signature
+//            by checkSigV4 below, written from the AWS spec apart from the client's signV4);
+//            a bucket is a folder under <dir> (mkdir /tmp/bucket/photos)
+//   WebDAV : PUT/GET/MKCOL, optional Basic auth; PUT into a missing folder answers 409
+// faults (tests only) is what the next requests get instead, one entry each: an HTTP status,
+// "reset" (the connection drops mid-body) or "truncate" (WebDAV keeps half of what it got)
+//
+//   node test/standin.js s3 9000 /tmp/bucket        (key "test", secret "testsecret")
+//   node test/standin.js webdav 9001 /tmp/dav [user:password]
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Request path -> file under root, or null if it tries to leave it
+function resolveUnder(root, urlPath) {
+  const rel = decodeURIComponent(urlPath.split("?")[0]);
+  const full = path.resolve(root, "." + rel);
+  return full === root || full.startsWith(root + path.sep) ? full : null;
+}
+
+// Reads the whole body; the stand-ins only ever see photos
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// RFC 3986: unreserved characters stay, every other UTF-8 byte becomes %XX (uppercase)
+function uriEncode(text) {
+  let out = "";
+  for (const byte of Buffer.from(text, "utf8")) {
+    const c = String.fromCharCode(byte);
+    out += /[A-Za-z0-9\-._~]/.test(c) ? c : "%" + byte.toString(16).toUpperCase().padStart(2, "0");
+  }
+  return out;
+}
+
+// Checks a request's AWS Signature Version 4 from what came over the wire (method, raw URL,
+// headers) -> null when it holds, else the S3 error code. Deliberately shares nothing with
+// lib/archive/s3.js, so a signing bug there cannot sign and verify the same way.
+function checkSigV4({ method, url, headers }, { accessKeyId, secretAccessKey, region, service = "s3" }) {
+  const auth = /^AWS4-HMAC-SHA256 Credential=([^/,]+)\/(\d{8})\/([^/,]+)\/([^/,]+)\/aws4_request, ?SignedHeaders=([a-z0-9;-]+), ?Signature=([0-9a-f]{64})$/
+    .exec(headers.authorization || "");
+  if (!auth) return "AuthorizationHeaderMalformed";
+  const [, keyId, day, scopeRegion, scopeService, signedHeaders, signature] = auth;
+  if (keyId !== accessKeyId) return "InvalidAccessKeyId";
+  const amzDate = headers["x-amz-date"] || "";
+  if (day !== amzDate.slice(0, 8) || scopeRegion !== region || scopeService !== service) return "SignatureDoesNotMatch";
+  const signed = signedHeaders.split(";");
+  if (!["host", "x-amz-date", "x-amz-content-sha256"].every(h => signed.includes(h))) return "SignatureDoesNotMatch";
+
+  const [rawPath, rawQuery = ""] = url.split("?");
+  const canonicalUri = rawPath.split("/").map(seg => uriEncode(decodeURIComponent(seg))).join("/");
+  const canonicalQuery = rawQuery.split("&").filter(Boolean)
+    .map((pair) => {
+      const [k, v = ""] = pair.split("=");
+      return [uriEncode(decodeURIComponent(k)), uriEncode(decodeURIComponent(v))];
+    })
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : a[0] < b[0] ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const canonicalHeaders = signed.map(h => `${h}:${String(headers[h] ?? "").trim().replace(/\s+/g, " ")}\n`).join("");
+  const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, headers["x-amz-content-sha256"]].join("\n");
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = `AWS4-HMAC-SHA256\n${amzDate}\n${scope}\n${crypto.createHash("sha256").update(canonicalRequest).digest("hex")}`;
+  let key = Buffer.from(`AWS4${secretAccessKey}`, "utf8");
+  for (const part of [day, region, service, "aws4_request"]) key = crypto.createHmac("sha256", key).update(part).digest();
+  const expected = Buffer.from(crypto.createHmac("sha256", key).update(stringToSign).digest("hex"));
+  return crypto.timingSafeEqual(expected, Buffer.from(signature)) ? null : "SignatureDoesNotMatch";
+}
+
+function sendFile(res, file) {
+  if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) return false;
+  res.writeHead(200, { "content-length": fs.statSync(file).size });
+  fs.createReadStream(file).pipe(res);
+  return true;
+}
+
+function createS3Standin({ dir, accessKeyId = "test", secretAccessKey = "testsecret", region = "us-east-1", faults = [] }) {
+  const root = path.resolve(dir);
+  const fail = (res, status, code, message) => {
+    res.writeHead(status, { "content-type": "application/xml" });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+  };
+
+  return http.createServer(async (req, res) => {
+    const file = resolveUnder(root, req.url);
+    if (!file) return fail(res, 400, "InvalidURI", "Bad key");
+    const denied = checkSigV4(req, { accessKeyId, secretAccessKey, region });
+    if (denied) return fail(res, 403, denied, "Request signature rejected");
+    const fault = faults.shift();
+    if (typeof fault === "number") return fail(res, fault, fault === 503 ? "SlowDown" : "InternalError", "Injected failure");
+    if (fault === "reset") return req.once("data", () => req.socket.destroy());
+    if (req.method === "GET") return sendFile(res, file) || fail(res, 404, "NoSuchKey", "The specified key does not exist.");
+    if (req.method !== "PUT") return fail(res, 405, "MethodNotAllowed", req.method);
+
+    const body = await readBody(req);
+    const hash = crypto.createHash("sha256").update(body).digest("hex");
+    if (hash !== req.headers["x-amz-content-sha256"]) return fail(res, 400, "XAmzContentSHA256Mismatch", "Payload hash does not match");
+    const bucket = path.join(root, req.url.split("/")[1] || "");
+    if (!fs.existsSync(bucket)) return fail(res, 404, "NoSuchBucket", "The specified bucket does not exist");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+    res.writeHead(200, { etag: `"${crypto.createHash("md5").update(body).digest("hex")}"` });
+    res.end();
+  });
+}
+
+function createWebdavStandin({ dir, username = null, password = "", faults = [] }) {
+  const root = path.resolve(dir);
+  const expected = username ? "Basic " + Buffer.from(`${username}:${password}`).toString("base64") : null;
+  const send = (res, status) => {
+    res.writeHead(status);
+    res.end();
+  };
+
+  return http.createServer(async (req, res) => {
+    if (expected && req.headers.authorization !== expected) {
+      res.writeHead(401, { "www-authenticate": 'Basic realm="standin"' });
+      return res.end();
+    }
+    const file = resolveUnder(root, req.url);
+    if (!file) return send(res, 400);
+    const fault = faults.shift();
+    if (typeof fault === "number") return send(res, fault);
+    if (fault === "reset") return req.once("data", () => req.socket.destroy());
+    if (req.method === "GET") return sendFile(res, file) || send(res, 404);
+    if (req.method === "MKCOL") {
+      if (fs.existsSync(file)) return send(res, 405);
+      if (!fs.existsSync(path.dirname(file))) return send(res, 409);
+      fs.mkdirSync(file);
+      return send(res, 201);
+    }
+    if (req.method !== "PUT") return send(res, 405);
+    const body = await readBody(req);
+    if (!fs.existsSync(path.dirname(file))) return send(res, 409);
+    const existed = fs.existsSync(file);
+    fs.writeFileSync(file, fault === "truncate" ? body.subarray(0, body.length >> 1) : body);
+    send(res, existed ? 204 : 201);
+  });
+}
+
+if (require.main === module) {
+  const [kind, port, dir, credentials] = process.argv.slice(2);
+  if (!["s3", "webdav"].includes(kind) || !port || !dir) {
+    console.error("Usage: node test/standin.js s3|webdav <port> <dir> [user:password]");
+    process.exit(1);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const [username, password] = credentials ? credentials.split(":") : [];
+  const server = kind === "s3" ? createS3Standin({ dir }) : createWebdavStandin({ dir, username, password });
+  server.listen(Number(port), () => console.log(`${kind} stand-in on http://localhost:${port} serving ${path.resolve(dir)}`));
+}
+
+module.exports = { createS3Standin, createWebdavStandin, checkSigV4 };
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Newest first, like the gallery; one photo a day going back
+function photo(daysAgo, extra = {}) {
+  const at = new Date(Date.now() - daysAgo * DAY_MS);
+  return { name: `day-${daysAgo}.webp`, capturedAt: at.toISOString(), size: 1024 * 1024, status: "local", favorite: false, ...extra };
+}
+
+function setup(t, { images, retention = {}, minFreeMb = 1, archiving = false }) {
+  const imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-storage-"));
+  t.after(() => fs.rmSync(imagesDir, { recursive: true, force: true }));
+  let left = images;
+  const deleted = [];
+  const storage = createStorage({
+    imagesDir,
+    listImages: async () => left,
+    deletePhoto: async (name) => {
+      deleted.push(name);
+      left = left.filter(i => i.name !== name);
+    },
+    getSettings: () => ({
+      retention: { enabled: true, maxSizeMb: null, maxAgeDays: null, keepFavorites: true, keepUnuploaded: true, ...retention },
+      disk: { minFreeMb },
+    }),
+    archiving: () => archiving,
+  });
+  return { storage, deleted };
+}
+
+test("without an archive backend, keepUnuploaded does not hold photos back", async (t) => {
+  const images = [photo(0), photo(10), photo(20, { favorite: true }), photo(30)];
+  const { storage, deleted } = setup(t, { images, retention: { maxAgeDays: 7 } });
+  const out = await storage.enforce();
+  assert.deepEqual(deleted.sort(), ["day-10.webp", "day-30.webp"]);
+  assert.equal(out.freedBytes, 2 * 1024 * 1024);
+});
+
+test("with an archive backend, keepUnuploaded keeps photos still to be copied", async (t) => {
+  const images = [photo(0), photo(10, { status: "pending" }), photo(20, { status: "uploaded" }), photo(30, { status: "failed" })];
+  const { storage, deleted } = setup(t, { images, retention: { maxAgeDays: 7 }, archiving: true });
+  await storage.enforce();
+  assert.deepEqual(deleted, ["day-20.webp"]);
+});
+
+test("size limit removes the oldest photos first and never the newest", async (t) => {
+  const images = [photo(0), photo(1), photo(2), photo(3)];
+  const { storage } = setup(t, { images, retention: { maxSizeMb: 2 } });
+  const plan = await storage.plan();
+  assert.deepEqual(plan.remove.map(r => [r.name, r.reason]), [["day-3.webp", "size"], ["day-2.webp", "size"]]);
+  assert.equal(plan.overLimit, false);
+});
+
+test("ensureSpace waits for retention before checking the space again", async (t) => {
+  const images = [photo(0), photo(10), photo(20)];
+  // No disk has this much free: space is always short
+  const { storage, deleted } = setup(t, { images, retention: { maxAgeDays: 7 }, minFreeMb: 1024 * 1024 * 1024 });
+  const disk = await storage.ensureSpace();
+  assert.equal(disk.low, true);
+  assert.deepEqual(deleted.sort(), ["day-10.webp", "day-20.webp"]);
+});
+
+test("ensureSpace leaves photos alone while retention is off", async (t) => {
+  const images = [photo(0), photo(10)];
+  const { storage, deleted } = setup(t, { images, retention: { enabled: false, maxAgeDays: 7 }, minFreeMb: 1024 * 1024 * 1024 });
+  assert.equal((await storage.ensureSpace()).low, true);
+  assert.deepEqual(deleted, []);
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTimelapse } = require("../lib/timelapse");
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function setup(t, job, fail = () => null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-timelapse-"));
+  const file = path.join(dir, "timelapse.json");
+  if (job) fs.writeFileSync(file, JSON.stringify(job));
+  const shots = [];
+  const timelapse = createTimelapse({
+    file,
+    takeShot: async () => {
+      const e = fail();
+      if (e) throw Object.assign(new Error(`No shot (${e})`), { code: e });
+      shots.push(Date.now());
+      return `shot-${shots.length}.webp`;
+    },
+    broadcast: () => {},
+  });
+  t.after(() => {
+    timelapse.cancel();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { timelapse, shots };
+}
+
+test("a job resumed after downtime takes one shot, then waits for the next slot", async (t) => {
+  const intervalSec = 60;
+  const { timelapse, shots } = setup(t, {
+    id: "abc",
+    status: "running",
+    reason: null,
+    intervalSec,
+    count: 10,
+    preset: null,
+    onQuota: "pause",
+    account: "device",
+    taken: 1,
+    failed: 0,
+    startedAt: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+    // The camera was off for ten minutes: nine slots went by
+    nextShotAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    lastFilename: null,
+    lastError: null,
+  });
+
+  timelapse.resume();
+  await sleep(100);
+  const job = timelapse.status();
+  assert.equal(shots.length, 1);
+  assert.equal(job.taken, 2);
+  const wait = Date.parse(job.nextShotAt) - Date.now();
+  assert.ok(wait > (intervalSec - 5) * 1000 && wait <= intervalSec * 1000, `next shot in ${wait}ms`);
+});
+
+test("a job resumed while paused waits a full interval after its first shot back", async (t) => {
+  const intervalSec = 60;
+  const { timelapse, shots } = setup(t, {
+    id: "abc",
+    status: "paused",
+    reason: "quota",
+    intervalSec,
+    count: 10,
+    preset: null,
+    onQuota: "pause",
+    account: "device",
+    taken: 3,
+    failed: 0,
+    startedAt: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+    nextShotAt: null,
+    lastFilename: null,
+    lastError: null,
+  });
+
+  timelapse.resume();
+  await sleep(100);
+  const job = timelapse.status();
+  assert.equal(shots.length, 1);
+  assert.equal(job.status, "running");
+  const wait = Date.parse(job.nextShotAt) - Date.now();
+  assert.ok(wait > (intervalSec - 5) * 1000 && wait <= intervalSec * 1000, `next shot in ${wait}ms`);
+});
+
+test("a job paused for quota waits a full interval after its first shot back", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.parse("2026-03-10T12:00:00Z") });
+  const flush = () => new Promise(r => setImmediate(r));
+  let outOfShots = true;
+  const { timelapse, shots } = setup(t, null, () => (outOfShots ? "QUOTA" : null));
+
+  timelapse.start({ intervalSec: 30, count: 5 });
+  t.mock.timers.tick(0);
+  await flush();
+  assert.equal(timelapse.status().status, "paused");
+  assert.equal(timelapse.status().nextShotAt, null);
+
+  // The quota refills; the paused job finds out on its next check
+  outOfShots = false;
+  t.mock.timers.tick(60 * 1000);
+  await flush();
+  assert.equal(shots.length, 1);
+  assert.equal(Date.parse(timelapse.status().nextShotAt), Date.now() + 30 * 1000);
+
+  t.mock.timers.tick(29 * 1000);
+  await flush();
+  assert.equal(shots.length, 1);
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.equal(shots.length, 2);
+});
+
+test("a new job shoots at once and keeps its cadence", async (t) => {
+  const { timelapse, shots } = setup(t);
+  const started = Date.now();
+  timelapse.start({ intervalSec: 30, count: 3 });
+  await sleep(50);
+  assert.equal(shots.length, 1);
+  const next = Date.parse(timelapse.status().nextShotAt);
+  assert.ok(Math.abs(next - (started + 30000)) < 1000);
+});
+
+test("a second job is refused while one runs", (t) => {
+  const { timelapse } = setup(t);
+  timelapse.start({ intervalSec: 30, count: 3 });
+  assert.throws(() => timelapse.start({ intervalSec: 5, count: 2 }), { code: "RUNNING" });
+});
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createManifest } = require("../lib/manifest");
+const { createUploadEstimator, formatCredits } = require("../lib/upload-estimate");
+const turbo = require("../lib/archive/turbo");
+
+// Turbo prices an item at its size plus the data item header (ITEM_OVERHEAD in lib/archive/turbo.js)
+const ITEM_OVERHEAD = 1044 + 2048;
+// The mock charges nothing up to 100 KiB, then wincPerByte (1 here) for every byte
+const cost = (size) => (size + ITEM_OVERHEAD <= 100 * 1024 ? 0 : size + ITEM_OVERHEAD);
+
+const SIZES = {
+  "2026-03-01_10-00-00.webp": 200000,
+  "2026-03-02_10-00-00.webp": 1000000, // more than what is left once the first is paid for
+  "2026-03-03_10-00-00.webp": 150000,
+  "2026-03-04_10-00-00.webp": 50, // free
+  "2026-03-05_10-00-00.webp": 300000, // already on Arweave, only the NAS copy is missing
+};
+const NAMES = Object.keys(SIZES);
+
+function setup(t, { winc, address = "mock-address" }) {
+  process.env.PIXEL_TURBO = "mock";
+  process.env.PIXEL_TURBO_MOCK_WINC = String(winc);
+  process.env.PIXEL_TURBO_MOCK_WINC_PER_BYTE = "1";
+  t.mock.method(console, "log", () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-estimate-"));
+  t.after(() => {
+    for (const name of ["PIXEL_TURBO", "PIXEL_TURBO_MOCK_WINC", "PIXEL_TURBO_MOCK_WINC_PER_BYTE"]) delete process.env[name];
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const imagesDir = path.join(root, "images");
+  fs.mkdirSync(imagesDir);
+  for (const [name, size] of Object.entries(SIZES)) fs.writeFileSync(path.join(imagesDir, name), Buffer.alloc(size));
+  // Fully archived: not a candidate
+  fs.writeFileSync(path.join(imagesDir, "2026-02-28_10-00-00.webp"), "done");
+
+  const manifest = createManifest(path.join(root, "arweave.json"));
+  manifest.upsertManifestEntry("2026-02-28_10-00-00.webp", { status: "success", backends: { turbo: { status: "success" }, nas: { status: "success" } } });
+  manifest.upsertManifestEntry(NAMES[4], { status: "failed", backends: { turbo: { status: "success" }, nas: { status: "failed" } } });
+
+  const wallet = { address: () => address };
+  const backends = [
+    { name: "turbo", ...turbo.create({}, { wallet }) },
+    { name: "nas", init: async () => {}, upload: async () => ({ url: "https://nas.example/x" }) },
+  ];
+  const archive = { backends, names: backends.map(b => b.name), get: (name) => backends.find(b => b.name === name) };
+  return createUploadEstimator({ imagesDir, manifest, archive });
+}
+
+test("credits are formatted with six decimals, rounded down", () => {
+  assert.equal(formatCredits(1234567890123n), "1.234567");
+  assert.equal(formatCredits(999999n), "0.000000");
+  assert.equal(formatCredits(0n), "0.000000");
+});
+
+test("the estimate prices only the photos Turbo has no copy of", async (t) => {
+  const balance = cost(SIZES[NAMES[0]]) + cost(SIZES[NAMES[2]]) + 1000;
+  const estimator = setup(t, { winc: balance });
+  const est = await estimator.estimate();
+  const total = NAMES.slice(0, 4).reduce((n, name) => n + cost(SIZES[name]), 0);
+
+  assert.equal(est.count, 5);
+  assert.equal(est.bytes, Object.values(SIZES).reduce((a, b) => a + b, 0));
+  assert.deepEqual(est.names, NAMES);
+  assert.deepEqual(est.turbo, {
+    count: 4,
+    bytes: 200000 + 1000000 + 150000 + 50,
+    cost: formatCredits(BigInt(total)),
+    balance: formatCredits(BigInt(balance)),
+    costWinc: String(total),
+    balanceWinc: String(balance),
+    enough: false,
+    fits: 3,
+  });
+  // Oldest first; the big one is skipped, the later ones still fit in what is left
+  assert.deepEqual(est.fitting, [NAMES[0], NAMES[2], NAMES[3], NAMES[4]]);
+});
+
+test("short of credits: refuse queues nothing, fit queues what they cover, ignore queues all", async (t) => {
+  const estimator = setup(t, { winc: cost(SIZES[NAMES[0]]) + cost(SIZES[NAMES[2]]) });
+
+  const refused = await estimator.plan("refuse");
+  assert.equal(refused.ok, false);
+  assert.equal(refused.status, 402);
+  assert.equal(refused.error, "Not enough Turbo credits");
+  assert.equal(refused.estimate.turbo.fits, 3);
+  assert.equal(refused.estimate.names, undefined);
+
+  assert.deepEqual((await estimator.plan("fit")).queue, [NAMES[0], NAMES[2], NAMES[3], NAMES[4]]);
+  assert.deepEqual((await estimator.plan("ignore")).queue, NAMES);
+  assert.equal((await estimator.plan()).status, 402); // refuse is the default
+});
+
+test("with enough credits every policy queues everything", async (t) => {
+  const estimator = setup(t, { winc: 10n ** 12n });
+  for (const policy of ["refuse", "fit", "ignore"]) {
+    const result = await estimator.plan(policy);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.queue, NAMES);
+    assert.equal(result.estimate.turbo.enough, true);
+  }
+});
+
+test("credits that cannot be checked refuse the upload unless the policy is ignore", async (t) => {
+  const estimator = setup(t, { winc: 10n ** 12n, address: null });
+  const est = await estimator.estimate();
+  assert.deepEqual(est.turbo, { count: 4, bytes: 1350050, error: "No wallet keystore (run `node lib/wallet.js migrate`)" });
+
+  for (const policy of ["refuse", "fit"]) {
+    const result = await estimator.plan(policy);
+    assert.equal(result.status, 503);
+    assert.match(result.error, /^Could not check Turbo credits: No wallet keystore/);
+  }
+  assert.deepEqual((await estimator.plan("ignore")).queue, NAMES);
+});
@@ -0,0 +1,239 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createManifest } = require("../lib/manifest");
+const { createUploader } = require("../lib/uploader");
+const turbo = require("../lib/archive/turbo");
+const { sha256 } = require("../lib/hash");
+
+// Arweave keys are RSA-4096; one is enough for every test
+const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 4096, publicExponent: 65537 });
+const jwk = privateKey.export({ format: "jwk" });
+const wallet = {
+  address: () => crypto.createHash("sha256").update(Buffer.from(jwk.n, "base64url")).digest("base64url"),
+  isUnlocked: () => true,
+  getJwk: () => jwk,
+};
+
+const flush = () => new Promise(r => setImmediate(r));
+
+// Turbo (through lib/archive/turbo-mock.js) first, then a NAS that fails while nas.failures > 0
+function setup(t, settings = {}) {
+  process.env.PIXEL_TURBO = "mock";
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"], now: Date.parse("2026-03-10T12:00:00Z") });
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-uploader-"));
+  t.after(() => {
+    delete process.env.PIXEL_TURBO;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const imagesDir = path.join(root, "images");
+  fs.mkdirSync(imagesDir);
+
+  const nas = {
+    failures: 0,
+    down: false,
+    uploads: [],
+    async init() {
+      if (nas.down) throw new Error("share not mounted");
+    },
+    async upload({ filename, sha256: hash }) {
+      if (nas.failures > 0) {
+        nas.failures--;
+        throw new Error("HTTP 503");
+      }
+      nas.uploads.push(hash);
+      return { url: `https://nas.example/${filename}` };
+    },
+  };
+  const backends = [
+    { name: "turbo", priority: 1, ...turbo.create({}, { wallet }) },
+    { name: "nas", priority: 2, ...nas },
+  ];
+  const archive = { backends, names: backends.map(b => b.name), get: (name) => backends.find(b => b.name === name) };
+
+  const manifest = createManifest(path.join(root, "arweave.json"));
+  const s = { maxAttempts: 3, backoffBaseSec: 60, backoffMaxSec: 150, paused: false, ...settings };
+  const events = [];
+  const uploaded = [];
+  const newUploader = () => createUploader({
+    imagesDir,
+    archive,
+    manifest,
+    broadcast: (e) => events.push(e),
+    getSettings: () => s,
+    onUploaded: (name) => uploaded.push(name),
+  });
+  const photo = (name, body = `photo ${name}`) => {
+    fs.writeFileSync(path.join(imagesDir, name), body);
+    return name;
+  };
+  return { imagesDir, manifest, nas, s, events, uploaded, newUploader, photo };
+}
+
+// Lets ms pass, and waits for whatever the uploader's own timer started meanwhile
+async function after(t, uploader, ms) {
+  t.mock.timers.tick(ms);
+  const until = performance.now() + 10000;
+  while (uploader.status().running && performance.now() < until) await flush();
+}
+
+test("every backend gets a copy, then the local file goes", async (t) => {
+  const { imagesDir, manifest, nas, events, uploaded, newUploader, photo } = setup(t);
+  const uploader = newUploader();
+  const name = photo("2026-03-10_11-00-00.webp");
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+
+  const entry = manifest.getManifestEntry(name);
+  assert.equal(entry.status, "success");
+  assert.match(entry.url, /^https:\/\/arweave\.net\/[\w-]{43}$/);
+  assert.equal(entry.txId, entry.backends.turbo.id);
+  assert.equal(entry.backends.nas.url, `https://nas.example/${name}`);
+  assert.deepEqual(nas.uploads, [sha256(`photo ${name}`)]);
+  assert.equal(fs.existsSync(path.join(imagesDir, name)), false);
+  assert.deepEqual(uploaded, [name]);
+  assert.deepEqual(events.map(e => e.type), ["upload-copy", "upload-copy", "uploaded"]);
+});
+
+test("failures back off exponentially up to backoffMaxSec, then fail for good at maxAttempts", async (t) => {
+  const { imagesDir, manifest, nas, events, newUploader, photo } = setup(t, { maxAttempts: 4 });
+  const uploader = newUploader();
+  const name = photo("2026-03-10_11-00-00.webp");
+  nas.failures = 10;
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+
+  // The Turbo copy is made; the NAS one waits 60 s ±20%, then 120 s, then the 150 s cap
+  const waits = [];
+  for (const expected of [60, 120, 150]) {
+    const r = manifest.getManifestEntry(name).backends.nas;
+    assert.equal(r.status, "pending");
+    assert.equal(r.error, "HTTP 503");
+    const wait = Date.parse(r.nextAttemptAt) - Date.now();
+    assert.ok(wait >= expected * 800 && wait <= expected * 1200, `waits ${wait} ms, expected about ${expected} s`);
+    waits.push(wait);
+    // Nothing happens before the retry is due
+    await after(t, uploader, wait - 1000);
+    assert.equal(manifest.getManifestEntry(name).backends.nas.attempts, waits.length);
+    await after(t, uploader, 1000);
+  }
+
+  const entry = manifest.getManifestEntry(name);
+  assert.equal(entry.status, "failed");
+  assert.equal(entry.backends.turbo.status, "success");
+  assert.equal(entry.backends.nas.status, "failed");
+  assert.equal(entry.backends.nas.attempts, 4);
+  assert.equal(entry.backends.nas.nextAttemptAt, null);
+  assert.equal(entry.error, "nas: HTTP 503");
+  assert.equal(uploader.status().queue.length, 0);
+  assert.equal(events.filter(e => e.type === "upload-failed").length, 1);
+  // A failed photo stays on the card
+  assert.equal(fs.existsSync(path.join(imagesDir, name)), true);
+
+  // Queued again by hand, only the missing copy is made
+  nas.failures = 0;
+  uploader.enqueueUpload(name);
+  assert.deepEqual(uploader.status().queue.map(j => [j.backend, j.attempts]), [["nas", 0]]);
+  await uploader.processUploadQueue();
+  assert.equal(manifest.getManifestEntry(name).status, "success");
+});
+
+test("a paused queue keeps its jobs and picks them up when resumed", async (t) => {
+  const { manifest, s, newUploader, photo } = setup(t, { paused: true });
+  const uploader = newUploader();
+  const name = photo("2026-03-10_11-00-00.webp");
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+  assert.equal(uploader.status().paused, true);
+  assert.equal(uploader.status().queue.length, 2);
+  assert.equal(manifest.getManifestEntry(name).status, "pending");
+
+  s.paused = false;
+  uploader.reschedule();
+  await after(t, uploader, 0);
+  assert.equal(manifest.getManifestEntry(name).status, "success");
+});
+
+test("a backend that cannot start keeps its jobs without using up their attempts", async (t) => {
+  const { manifest, nas, newUploader, photo } = setup(t);
+  const uploader = newUploader();
+  const name = photo("2026-03-10_11-00-00.webp");
+  nas.down = true;
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+  const [, nasStatus] = uploader.status().backends;
+  assert.equal(nasStatus.error.error, "share not mounted");
+  assert.equal(manifest.getManifestEntry(name).backends.nas.attempts, 0);
+
+  nas.down = false;
+  uploader.retryBackend("nas");
+  await after(t, uploader, 0);
+  assert.equal(manifest.getManifestEntry(name).status, "success");
+});
+
+test("resume() rebuilds the queue from the manifest's pending records", async (t) => {
+  const { manifest, nas, newUploader, photo } = setup(t);
+  const retryAt = new Date(Date.now() + 90 * 1000).toISOString();
+  const half = photo("2026-03-10_09-00-00.webp");
+  manifest.upsertManifestEntry(half, {
+    status: "pending",
+    queuedAt: "2026-03-10T09:00:01.000Z",
+    backends: {
+      turbo: { status: "success", url: "https://arweave.net/x", sha256: sha256(`photo ${half}`) },
+      nas: { status: "pending", attempts: 2, error: "HTTP 503", nextAttemptAt: retryAt },
+    },
+  });
+  // Queued before the NAS was set up: it has no record yet
+  const older = photo("2026-03-10_08-00-00.webp");
+  manifest.upsertManifestEntry(older, {
+    status: "pending",
+    queuedAt: "2026-03-10T08:00:01.000Z",
+    backends: { turbo: { status: "pending", attempts: 0 } },
+  });
+  manifest.upsertManifestEntry(photo("2026-03-10_07-00-00.webp"), { status: "failed", backends: { turbo: { status: "failed" } } });
+
+  const uploader = newUploader();
+  assert.equal(uploader.resume(), 2);
+  assert.deepEqual(uploader.status().queue, [
+    { filename: older, backend: "turbo", attempts: 0, nextAttemptAt: null },
+    { filename: older, backend: "nas", attempts: 0, nextAttemptAt: null },
+    { filename: half, backend: "nas", attempts: 2, nextAttemptAt: retryAt },
+  ]);
+  assert.equal(manifest.getManifestEntry(older).backends.nas.status, "pending");
+
+  await after(t, uploader, 0);
+  assert.equal(manifest.getManifestEntry(older).status, "success");
+  assert.equal(manifest.getManifestEntry(half).status, "pending");
+  await after(t, uploader, 90 * 1000);
+  assert.equal(manifest.getManifestEntry(half).status, "success");
+  assert.equal(nas.uploads.length, 2);
+});
+
+test("a file changed after some copies were made is sent again to those backends before it goes", async (t) => {
+  const { imagesDir, manifest, nas, events, uploaded, newUploader, photo } = setup(t);
+  const uploader = newUploader();
+  const name = photo("2026-03-10_11-00-00.webp", "first version");
+  nas.failures = 1;
+  uploader.enqueueUpload(name);
+  await uploader.processUploadQueue();
+  const firstTurbo = manifest.getManifestEntry(name).backends.turbo;
+  assert.equal(firstTurbo.sha256, sha256("first version"));
+
+  // Edited on the camera before the NAS copy was made: the Turbo copy is made again before
+  // the file may go
+  fs.writeFileSync(path.join(imagesDir, name), "second version");
+  await after(t, uploader, 72 * 1000);
+  const copies = events.filter(e => e.type === "upload-copy").map(e => e.backend);
+  assert.deepEqual(copies, ["turbo", "nas", "turbo"]);
+  const entry = manifest.getManifestEntry(name);
+  assert.equal(entry.status, "success");
+  assert.deepEqual(nas.uploads, [sha256("second version")]);
+  assert.equal(entry.backends.turbo.sha256, sha256("second version"));
+  assert.notEqual(entry.backends.turbo.id, firstTurbo.id);
+  assert.equal(fs.existsSync(path.join(imagesDir, name)), false);
+  assert.deepEqual(uploaded, [name]);
+});
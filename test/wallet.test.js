@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { createWallet, encryptWallet, decryptWallet, migrate, findServedWallet } = require("../lib/wallet");
+
+const PASSPHRASE = "correct horse battery";
+
+// An RSA JWK shaped like an Arweave wallet file (a small key: only the format matters here)
+function walletBytes() {
+  const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 1024 });
+  return Buffer.from(JSON.stringify(privateKey.export({ format: "jwk" })));
+}
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pixel-wallet-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, plaintextPath: path.join(dir, "wallet.json"), keystorePath: path.join(dir, "wallet.keystore.json") };
+}
+
+test("migrate encrypts the wallet, removes the plaintext, and unlock gives the same key back", async (t) => {
+  const { plaintextPath, keystorePath } = setup(t);
+  const bytes = walletBytes();
+  fs.writeFileSync(plaintextPath, bytes);
+
+  const address = await migrate({ plaintextPath, keystorePath, passphrase: PASSPHRASE });
+  assert.equal(fs.existsSync(plaintextPath), false);
+  assert.equal(fs.statSync(keystorePath).mode & 0o777, 0o600);
+  const ks = JSON.parse(fs.readFileSync(keystorePath, "utf8"));
+  assert.equal(ks.address, address);
+  assert.equal(fs.readFileSync(keystorePath, "utf8").includes(JSON.parse(bytes).d), false);
+
+  const wallet = createWallet({ keystorePath, plaintextPath });
+  assert.deepEqual(wallet.status(), { keystore: true, locked: true, address, plaintext: false, retryAt: null, keystoreError: null });
+  assert.throws(() => wallet.getJwk(), { code: "LOCKED", status: 423 });
+  await wallet.unlock(PASSPHRASE);
+  assert.deepEqual(wallet.getJwk(), JSON.parse(bytes));
+  assert.equal(wallet.lock(), true);
+  assert.throws(() => wallet.getJwk(), { code: "LOCKED" });
+  await assert.rejects(migrate({ plaintextPath, keystorePath, passphrase: PASSPHRASE }), /already exists/);
+});
+
+test("a wrong passphrase or a tampered keystore does not decrypt", async () => {
+  const bytes = walletBytes();
+  const ks = await encryptWallet(bytes, PASSPHRASE);
+  assert.deepEqual(await decryptWallet(ks, PASSPHRASE), bytes);
+  await assert.rejects(decryptWallet(ks, "wrong passphrase"), { code: "BAD_PASSPHRASE", status: 403 });
+  // The address is outside the ciphertext but authenticated with it
+  await assert.rejects(decryptWallet({ ...ks, address: "someone-else" }, PASSPHRASE), { code: "BAD_PASSPHRASE" });
+  const flipped = Buffer.from(ks.ciphertext, "base64");
+  flipped[0] ^= 1;
+  await assert.rejects(decryptWallet({ ...ks, ciphertext: flipped.toString("base64") }, PASSPHRASE), { code: "BAD_PASSPHRASE" });
+  await assert.rejects(decryptWallet({ ...ks, version: 2 }, PASSPHRASE), { code: "UNSUPPORTED" });
+  await assert.rejects(encryptWallet(Buffer.from('{"kty":"EC"}'), PASSPHRASE), /Not an Arweave wallet/);
+});
+
+test("unlocking is refused for a while after five wrong passphrases", async (t) => {
+  const { plaintextPath, keystorePath } = setup(t);
+  fs.writeFileSync(keystorePath, JSON.stringify(await encryptWallet(walletBytes(), PASSPHRASE)));
+  const wallet = createWallet({ keystorePath, plaintextPath });
+  for (let i = 0; i < 5; i++) await assert.rejects(wallet.unlock("wrong passphrase"), { code: "BAD_PASSPHRASE" });
+  await assert.rejects(wallet.unlock(PASSPHRASE), { code: "COOLDOWN", status: 429 });
+  assert.ok(wallet.status().retryAt);
+});
+
+test("a wallet file inside a served directory is found, also through a symlink", (t) => {
+  const { dir } = setup(t);
+  const publicDir = path.join(dir, "public");
+  fs.mkdirSync(publicDir);
+  fs.symlinkSync(publicDir, path.join(dir, "www"));
+  assert.equal(findServedWallet([path.join(dir, "wallet.json")], [publicDir]), null);
+  assert.deepEqual(findServedWallet([path.join(publicDir, "wallet.json")], [publicDir]), { file: path.join(publicDir, "wallet.json"), dir: publicDir });
+  assert.ok(findServedWallet([path.join(dir, "www", "wallet.json")], [publicDir]));
+});